@@ -1,184 +1,66 @@
 // server.js
-import express from 'express';
-import cors from 'cors';
-import Database from 'better-sqlite3';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createApp } from './server/app.js';
+import { parseApiKeys } from './server/auth.js';
+import { DEFAULT_DATABASE_PATH, getSchemaVersion, openDatabase } from './server/db.js';
+import { DEFAULT_DEM_PATH, DEFAULT_DEM_SOURCE, loadElevationModel } from './server/elevation.js';
+import { getProvidersFromEnv } from './server/geocoders.js';
+import { createRetentionJob } from './server/retention.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// CORS configuration for production
-const allowedOrigins = [
-  'http://localhost:5173',
-  'https://daylightviz.org',
-  'https://www.daylightviz.org',
-  'http://daylightviz.org',
-  'http://www.daylightviz.org'
-];
-
-app.use(cors({
-  origin: function(origin, callback) {
-    if (!origin || allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  }
-}));
-
-app.use(express.json());
-
-// Initialize SQLite database
-const db = new Database('daylight.db');
-
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS locations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    query TEXT NOT NULL UNIQUE,
-    display_name TEXT NOT NULL,
-    lat REAL NOT NULL,
-    lon REAL NOT NULL,
-    full_response TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
+// TRUST_PROXY is "true", a hop count, or addresses/subnets as Express takes them
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
 
-  CREATE TABLE IF NOT EXISTS search_logs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    query TEXT NOT NULL,
-    location_id INTEGER,
-    ip_address TEXT,
-    user_agent TEXT,
-    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (location_id) REFERENCES locations(id)
-  );
+// Open the SQLite database, migrating it to the current schema. On Railway,
+// point DATABASE_PATH at a volume so it survives deploys.
+const db = openDatabase(process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH);
 
-  CREATE INDEX IF NOT EXISTS idx_locations_query ON locations(query);
-  CREATE INDEX IF NOT EXISTS idx_search_logs_timestamp ON search_logs(timestamp);
-`);
+const providers = getProvidersFromEnv(process.env, { db });
 
-// Prepared statements
-const findLocation = db.prepare('SELECT full_response, id FROM locations WHERE query = ?');
-const insertLocation = db.prepare(`
-  INSERT OR IGNORE INTO locations (query, display_name, lat, lon, full_response)
-  VALUES (?, ?, ?, ?, ?)
-`);
-const logSearch = db.prepare(`
-  INSERT INTO search_logs (query, location_id, ip_address, user_agent)
-  VALUES (?, ?, ?, ?)
-`);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Elevation lookups use the bundled grid of town heights unless
+// ELEVATION_DEM_PATH names a real terrain model (see elevation.js);
+// ELEVATION_DEM_SOURCE is how answers credit it
+const demPath = process.env.ELEVATION_DEM_PATH || DEFAULT_DEM_PATH;
+const elevation = loadElevationModel(demPath, {
+  source: process.env.ELEVATION_DEM_SOURCE || (demPath === DEFAULT_DEM_PATH ? DEFAULT_DEM_SOURCE : undefined)
 });
 
-// Geocode endpoint
-app.get('/api/geocode', async (req, res) => {
-  const query = req.query.q;
-  
-  if (!query || query.length < 3) {
-    return res.json([]);
-  }
-  
-  const normalizedQuery = query.toLowerCase().trim();
-  const ip = req.ip || req.headers['x-forwarded-for'] || 'unknown';
-  const userAgent = req.headers['user-agent'] || 'unknown';
-  
-  const cached = findLocation.get(normalizedQuery);
-  
-  if (cached) {
-    console.log(`[CACHE HIT] ${query}`);
-    logSearch.run(query, cached.id, ip, userAgent);
-    return res.json(JSON.parse(cached.full_response));
-  }
-  
-  console.log(`[CACHE MISS] ${query} - fetching from Nominatim`);
-  
-  try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=5`,
-      {
-        headers: {
-          'User-Agent': 'DaylightViz/1.0 (daylightviz.org)'
-        }
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (data.length > 0) {
-      const firstResult = data[0];
-      
-      insertLocation.run(
-        normalizedQuery,
-        firstResult.display_name,
-        parseFloat(firstResult.lat),
-        parseFloat(firstResult.lon),
-        JSON.stringify(data)
-      );
-      
-      const locationId = db.prepare('SELECT id FROM locations WHERE query = ?').get(normalizedQuery)?.id;
-      logSearch.run(query, locationId, ip, userAgent);
-      
-      console.log(`[CACHED] ${query} -> ${firstResult.display_name}`);
-    } else {
-      logSearch.run(query, null, ip, userAgent);
-    }
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Geocoding error:', error);
-    res.status(500).json({ error: 'Geocoding failed' });
-  }
+const app = createApp({
+  db,
+  providers,
+  cache: {
+    ttlHours: Number(process.env.GEOCODE_CACHE_TTL_HOURS) || undefined,
+    emptyTtlHours: Number(process.env.GEOCODE_EMPTY_CACHE_TTL_HOURS) || undefined
+  },
+  rateLimit: {
+    max: Number(process.env.GEOCODE_RATE_LIMIT) || undefined
+  },
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  privacy: {
+    ipMode: process.env.SEARCH_LOG_IP || undefined,
+    userAgentMode: process.env.SEARCH_LOG_USER_AGENT || undefined,
+    saltHours: Number(process.env.SEARCH_LOG_SALT_HOURS) || undefined
+  },
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  elevation
 });
 
-// Analytics endpoint
-app.get('/api/analytics', (req, res) => {
-  const stats = {
-    totalSearches: db.prepare('SELECT COUNT(*) as count FROM search_logs').get().count,
-    uniqueLocations: db.prepare('SELECT COUNT(*) as count FROM locations').get().count,
-    topSearches: db.prepare(`
-      SELECT query, COUNT(*) as count
-      FROM search_logs
-      GROUP BY query
-      ORDER BY count DESC
-      LIMIT 10
-    `).all(),
-    recentSearches: db.prepare(`
-      SELECT query, timestamp
-      FROM search_logs
-      ORDER BY timestamp DESC
-      LIMIT 20
-    `).all(),
-    cacheHitRate: (() => {
-      const total = db.prepare('SELECT COUNT(*) as count FROM search_logs').get().count;
-      const hits = db.prepare('SELECT COUNT(*) as count FROM search_logs WHERE location_id IS NOT NULL').get().count;
-      return total > 0 ? ((hits / total) * 100).toFixed(2) : 0;
-    })()
-  };
-  
-  res.json(stats);
-});
-
-// Export database
-app.get('/api/export', (req, res) => {
-  const locations = db.prepare('SELECT * FROM locations ORDER BY created_at DESC').all();
-  const searches = db.prepare('SELECT * FROM search_logs ORDER BY timestamp DESC').all();
-  
-  res.json({
-    locations,
-    searches,
-    exported_at: new Date().toISOString()
-  });
-});
+// Clear out old logs now and every hour
+const numberOrDefault = (value) => (value === undefined || value === '' ? undefined : Number(value));
+createRetentionJob(db, {
+  searchLogDays: numberOrDefault(process.env.SEARCH_LOG_RETENTION_DAYS),
+  mode: process.env.SEARCH_LOG_RETENTION || undefined,
+  auditLogDays: numberOrDefault(process.env.AUDIT_LOG_RETENTION_DAYS)
+}).start();
 
 app.listen(PORT, () => {
   console.log(`🚀 Daylight Viz API running on port ${PORT}`);
-  console.log(`📊 Database: ${db.name}`);
+  console.log(`📊 Database: ${db.name} (schema version ${getSchemaVersion(db)})`);
+  console.log(`🗺️  Geocoders: ${providers.map(provider => provider.name).join(' → ')}`);
+  console.log(`⛰️  Elevation: ${elevation ? elevation.source : 'none (no elevation model installed)'}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
@@ -0,0 +1,103 @@
+// server/adminApi.js
+import express from 'express';
+import net from 'net';
+import { normalizeQuery } from './geocodeCache.js';
+
+// Geocode cache maintenance, erasure of search logs and the audit log, for
+// API keys with the admin role. Every request here, refused or not, goes into
+// the audit log.
+
+const MAX_REFRESH = 50;
+const MAX_AUDIT_ENTRIES = 500;
+
+// Cache filters from the query string: ?query=london, ?prefix=lon, ?expired=true
+const parseFilter = (source) => ({
+  query: typeof source.query === 'string' ? source.query : undefined,
+  prefix: typeof source.prefix === 'string' ? source.prefix : undefined,
+  expired: source.expired === true || source.expired === 'true'
+});
+
+const hasFilter = (filter) => filter.query !== undefined || filter.prefix !== undefined || filter.expired;
+
+export const createAdminRouter = ({ db, auth, cache, geocode, privacy }) => {
+  const router = express.Router();
+
+  router.use(auth.audit('admin'), auth.requireRole('admin'));
+
+  // Most recent first; ?limit= up to 500
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_AUDIT_ENTRIES);
+    res.json({
+      entries: db.prepare('SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?').all(limit)
+    });
+  });
+
+  // Erase everything logged for one IP address (for data subject requests):
+  // entries stored in full or hashed with the current salt
+  router.delete('/search-logs', (req, res) => {
+    const ip = typeof req.query.ip === 'string' ? req.query.ip.trim() : '';
+    if (!net.isIP(ip)) {
+      return res.status(400).json({ error: 'ip must be an IPv4 or IPv6 address' });
+    }
+    const matches = privacy.getIpMatches(ip);
+    const deleted = db.prepare(`DELETE FROM search_logs WHERE ip_address IN (${matches.map(() => '?').join(', ')})`)
+      .run(...matches).changes;
+    console.log(`[ADMIN] Deleted ${deleted} search logs for an IP address`);
+    res.json({ deleted });
+  });
+
+  router.get('/geocode-cache', (req, res) => {
+    res.json({ queries: cache.list(parseFilter(req.query)) });
+  });
+
+  // Purging everything takes an explicit ?all=true
+  router.delete('/geocode-cache', (req, res) => {
+    const filter = parseFilter(req.query);
+    if (!hasFilter(filter) && req.query.all !== 'true') {
+      return res.status(400).json({ error: 'Pass query, prefix, expired=true or all=true' });
+    }
+    const purged = cache.purge(filter);
+    console.log(`[ADMIN] Purged ${purged.queries} cached queries, ${purged.points} points and ${purged.locations} locations`);
+    res.json({ purged });
+  });
+
+  // Fetch entries again from the geocoders, replacing what's cached. Takes
+  // { "queries": [...] } or the same filters as above, up to 50 at a time.
+  router.post('/geocode-cache/refresh', async (req, res) => {
+    const body = req.body || {};
+    let queries;
+    if (Array.isArray(body.queries)) {
+      queries = body.queries.filter(query => typeof query === 'string').map(normalizeQuery);
+    } else {
+      const filter = parseFilter(body);
+      if (!hasFilter(filter)) {
+        return res.status(400).json({ error: 'Pass queries, query, prefix or expired: true' });
+      }
+      queries = cache.list(filter, MAX_REFRESH).map(entry => entry.query);
+    }
+
+    if (queries.length === 0 || queries.length > MAX_REFRESH) {
+      return res.status(400).json({ error: `Refresh between 1 and ${MAX_REFRESH} queries at a time` });
+    }
+
+    const refreshed = [];
+    const failed = [];
+    for (const query of queries) {
+      try {
+        const { provider, results } = await geocode(query);
+        if (!provider.cacheable) {
+          throw new Error(`only ${provider.name} answered`);
+        }
+        cache.store(query, provider.name, results);
+        refreshed.push({ query, provider: provider.name, resultCount: results.length });
+      } catch (error) {
+        failed.push({ query, error: error.message });
+      }
+    }
+
+    console.log(`[ADMIN] Refreshed ${refreshed.length} cached queries, ${failed.length} failed`);
+    res.json({ refreshed, failed });
+  });
+
+  return router;
+};
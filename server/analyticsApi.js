@@ -0,0 +1,190 @@
+// server/analyticsApi.js
+import express from 'express';
+
+// Search statistics for the dashboard, for API keys with the analytics role.
+// Narrow them to a date range with ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, both
+// days included) and pick ?bucket=hour or day (the default) for searches over
+// time. Searches the retention job has rolled up into daily counts only have
+// a day, a query and outcome counts left, so they count toward the totals,
+// rates, top searches and daily buckets but not hourly buckets, latency,
+// places or the query lists. Rates only count searches with a known outcome
+// (see the search outcomes migration in migrations.js), which leaves out logs
+// from before outcomes were recorded. uniqueLocations is the size of the
+// geocode cache, whatever the range.
+
+const BUCKET_FORMATS = { hour: '%Y-%m-%d %H:00', day: '%Y-%m-%d' };
+const MAX_PLACES = 500;
+const MAX_LISTED_QUERIES = 20;
+
+// Count columns, with the search_logs outcome behind each
+const OUTCOME_COUNTS = { hits: 'hit', stale: 'stale', misses: 'miss', empty: 'empty', errors: 'error' };
+const COUNT_COLUMNS = ['searches', 'found', ...Object.keys(OUTCOME_COUNTS)];
+
+// The same counts from search_logs and from search_log_daily
+const LOG_COUNTS = [
+  'COUNT(*) AS searches',
+  'SUM(location_id IS NOT NULL) AS found',
+  ...Object.entries(OUTCOME_COUNTS).map(([column, outcome]) => `SUM(outcome IS '${outcome}') AS ${column}`)
+].join(', ');
+const DAILY_COUNTS = COUNT_COLUMNS.map(column => `SUM(${column}) AS ${column}`).join(', ');
+const TOTAL_COUNTS = COUNT_COLUMNS.map(column => `COALESCE(SUM(${column}), 0) AS ${column}`).join(', ');
+
+class ValidationError extends Error {}
+
+const parseDay = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const valid = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+  if (!valid) {
+    throw new ValidationError(`${name} must be a date like 2025-01-31`);
+  }
+  return value;
+};
+
+const parseRange = (query) => {
+  const from = parseDay(query.from, 'from');
+  const to = parseDay(query.to, 'to');
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to');
+  }
+  const bucket = query.bucket ?? 'day';
+  if (!Object.hasOwn(BUCKET_FORMATS, bucket)) {
+    throw new ValidationError(`bucket must be one of ${Object.keys(BUCKET_FORMATS).join(', ')}`);
+  }
+  return { from, to, bucket };
+};
+
+// Percentage to two decimals, or 0 with nothing to divide by
+const formatRate = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(2) : 0);
+
+const countKnownOutcomes = (counts) => Object.keys(OUTCOME_COUNTS).reduce((sum, column) => sum + counts[column], 0);
+
+// Conditions on search_logs.timestamp and search_log_daily.day, with the
+// range as @from and @to
+const IN_RANGE = "(@from IS NULL OR timestamp >= @from) AND (@to IS NULL OR timestamp < date(@to, '+1 day'))";
+const DAY_IN_RANGE = '(@from IS NULL OR day >= @from) AND (@to IS NULL OR day <= @to)';
+
+export const createAnalyticsRouter = ({ db, auth }) => {
+  const router = express.Router();
+
+  const totals = db.prepare(`
+    SELECT ${TOTAL_COUNTS}
+    FROM (
+      SELECT ${LOG_COUNTS} FROM search_logs WHERE ${IN_RANGE}
+      UNION ALL
+      SELECT ${DAILY_COUNTS} FROM search_log_daily WHERE ${DAY_IN_RANGE}
+    )
+  `);
+  const countLocations = db.prepare('SELECT COUNT(*) as count FROM locations');
+  const topSearches = db.prepare(`
+    SELECT query, SUM(count) as count
+    FROM (
+      SELECT query, COUNT(*) as count FROM search_logs WHERE ${IN_RANGE} GROUP BY query
+      UNION ALL
+      SELECT query, SUM(searches) as count FROM search_log_daily WHERE ${DAY_IN_RANGE} GROUP BY query
+    )
+    GROUP BY query
+    ORDER BY count DESC
+    LIMIT 10
+  `);
+  const recentSearches = db.prepare(`
+    SELECT query, outcome, timestamp
+    FROM search_logs
+    WHERE ${IN_RANGE}
+    ORDER BY timestamp DESC
+    LIMIT 20
+  `);
+  const hourlySearches = db.prepare(`
+    SELECT strftime('${BUCKET_FORMATS.hour}', timestamp) AS bucket, ${LOG_COUNTS}
+    FROM search_logs
+    WHERE ${IN_RANGE}
+    GROUP BY bucket
+    ORDER BY bucket
+  `);
+  const dailySearches = db.prepare(`
+    SELECT bucket, ${DAILY_COUNTS}
+    FROM (
+      SELECT strftime('${BUCKET_FORMATS.day}', timestamp) AS bucket, ${LOG_COUNTS}
+      FROM search_logs
+      WHERE ${IN_RANGE}
+      GROUP BY bucket
+      UNION ALL
+      SELECT day AS bucket, ${COUNT_COLUMNS.join(', ')} FROM search_log_daily WHERE ${DAY_IN_RANGE}
+    )
+    GROUP BY bucket
+    ORDER BY bucket
+  `);
+  // Time spent waiting on the geocoders, read by rank for percentiles
+  const countLatencies = db.prepare(`SELECT COUNT(*) AS count FROM search_logs WHERE latency_ms IS NOT NULL AND ${IN_RANGE}`);
+  const latencyAtRank = db.prepare(`
+    SELECT latency_ms FROM search_logs
+    WHERE latency_ms IS NOT NULL AND ${IN_RANGE}
+    ORDER BY latency_ms
+    LIMIT 1 OFFSET @offset
+  `).pluck();
+  // Where the places people picked are, for the map
+  const places = db.prepare(`
+    SELECT l.id, l.display_name, l.lat, l.lon, COUNT(*) AS searches
+    FROM search_logs s
+    JOIN locations l ON l.id = s.location_id
+    WHERE ${IN_RANGE}
+    GROUP BY l.id
+    ORDER BY searches DESC
+    LIMIT ${MAX_PLACES}
+  `);
+  // Queries the geocoders answered with nothing, and queries they failed on
+  const listQueries = (condition) => db.prepare(`
+    SELECT query, COUNT(*) AS count, MAX(timestamp) AS lastSearched
+    FROM search_logs
+    WHERE ${condition} AND ${IN_RANGE}
+    GROUP BY query
+    ORDER BY count DESC, lastSearched DESC
+    LIMIT ${MAX_LISTED_QUERIES}
+  `);
+  const zeroResultSearches = listQueries("result_count = 0 AND outcome IN ('hit', 'empty')");
+  const failedSearches = listQueries("outcome = 'error'");
+
+  // Nearest-rank percentiles in milliseconds, null without samples
+  const getLatency = (params) => {
+    const samples = countLatencies.get(params).count;
+    const percentile = (p) => (samples > 0 ? latencyAtRank.get({ ...params, offset: Math.ceil(p * samples) - 1 }) : null);
+    return { samples, p50: percentile(0.5), p95: percentile(0.95) };
+  };
+
+  router.use(auth.requireRole('analytics'));
+
+  router.get('/', (req, res) => {
+    let range;
+    try {
+      range = parseRange(req.query);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const params = { from: range.from, to: range.to };
+    const counts = totals.get(params);
+    const known = countKnownOutcomes(counts);
+
+    res.json({
+      range,
+      totalSearches: counts.searches,
+      uniqueLocations: countLocations.get().count,
+      topSearches: topSearches.all(params),
+      recentSearches: recentSearches.all(params),
+      cacheHitRate: formatRate(counts.hits, known),
+      errorRate: formatRate(counts.errors, known),
+      foundRate: formatRate(counts.found, counts.searches),
+      outcomes: Object.fromEntries(Object.keys(OUTCOME_COUNTS).map(column => [column, counts[column]])),
+      latency: getLatency(params),
+      searchesOverTime: (range.bucket === 'hour' ? hourlySearches : dailySearches).all(params),
+      places: places.all(params),
+      zeroResultSearches: zeroResultSearches.all(params),
+      failedSearches: failedSearches.all(params)
+    });
+  });
+
+  return router;
+};
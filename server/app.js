@@ -0,0 +1,232 @@
+// server/app.js
+import express from 'express';
+import cors from 'cors';
+import { formatCoordinates, isValidLatitude, normalizeLongitude } from '../src/coordinates.js';
+import { createAdminRouter } from './adminApi.js';
+import { createAnalyticsRouter } from './analyticsApi.js';
+import { createAuth } from './auth.js';
+import { createDaylightCalendarRouter, createDaylightRouter } from './daylightApi.js';
+import { createElevationRouter } from './elevation.js';
+import { MIN_QUERY_LENGTH, createGeocodeCache, normalizeQuery } from './geocodeCache.js';
+import { createGeocoder, createNominatimProvider, createReverseGeocoder } from './geocoders.js';
+import { createLocationSetsRouter } from './locationSetsApi.js';
+import { createSearchLogPrivacy } from './privacy.js';
+import { createRateLimiter } from './rateLimit.js';
+import { UpstreamBusyError, queueProvider } from './upstreamQueue.js';
+
+// CORS configuration for production
+const allowedOrigins = [
+  'http://localhost:5173',
+  'https://daylightviz.org',
+  'https://www.daylightviz.org',
+  'http://daylightviz.org',
+  'http://www.daylightviz.org'
+];
+
+// Build the API around an open database and a list of geocoding providers,
+// tried in order (see getProvidersFromEnv in geocoders.js; by default
+// Nominatim, queued to its one request a second). `cache` sets the
+// geocode cache TTLs in hours and how many results it answers with and keeps
+// (see geocodeCache.js), `rateLimit` the per-IP limit shared by
+// /api/geocode and /api/reverse-geocode ({ windowMs, max }), `trustProxy`
+// Express's "trust proxy" setting so req.ip is the client behind a reverse
+// proxy, `privacy` what search logs record about the client (see
+// privacy.js), `apiKeys` the keys for the analytics, export and admin
+// routes and, once there's an editor key, location set changes (see
+// auth.js), and `elevation` the elevation model behind /api/elevation (see
+// elevation.js), if there is one.
+export const createApp = ({
+  db,
+  providers = [queueProvider(createNominatimProvider())],
+  cache: cacheOptions,
+  rateLimit,
+  trustProxy,
+  privacy: privacyOptions,
+  apiKeys,
+  elevation = null
+}) => {
+  const app = express();
+  const auth = createAuth({ db, apiKeys });
+  const privacy = createSearchLogPrivacy({ db, ...privacyOptions });
+  const cache = createGeocodeCache(db, cacheOptions);
+  const geocode = createGeocoder(providers, { limit: cache.candidates });
+  const reverseGeocode = createReverseGeocoder(providers);
+  // One budget per client across both geocoding endpoints
+  const limitGeocoding = createRateLimiter(rateLimit);
+
+  if (trustProxy !== undefined) {
+    app.set('trust proxy', trustProxy);
+  }
+
+  app.use(cors({
+    origin: function(origin, callback) {
+      if (!origin || allowedOrigins.indexOf(origin) !== -1) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    // The search box reads this to know when to try again
+    exposedHeaders: ['Retry-After']
+  }));
+
+  app.use(express.json());
+
+  // Prepared statements
+  const logSearch = db.prepare(`
+    INSERT INTO search_logs (query, location_id, outcome, result_count, latency_ms, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Identical queries arriving while one is being looked up wait for its
+  // answer instead of going upstream again
+  const inFlight = new Map();
+  const fetchAndStore = (normalizedQuery, query) => {
+    if (!inFlight.has(normalizedQuery)) {
+      const lookup = geocode(query)
+        .then(({ provider, results }) => {
+          let locationId = null;
+          if (provider.cacheable) {
+            locationId = cache.store(normalizedQuery, provider.name, results);
+            console.log(`[CACHED] ${query} -> ${results.length} results (${provider.name})`);
+          }
+          return { results: results.slice(0, cache.limit), locationId };
+        })
+        .finally(() => inFlight.delete(normalizedQuery));
+      inFlight.set(normalizedQuery, lookup);
+    } else {
+      console.log(`[COALESCED] ${query}`);
+    }
+    return inFlight.get(normalizedQuery);
+  };
+
+  // Geocode endpoint
+  app.get('/api/geocode', limitGeocoding, async (req, res) => {
+    const query = req.query.q;
+
+    if (!query || query.length < MIN_QUERY_LENGTH) {
+      return res.json([]);
+    }
+
+    const normalizedQuery = normalizeQuery(query);
+    const { ip, userAgent } = privacy.getLogFields(req);
+    // See the search outcomes migration in migrations.js for the outcomes
+    const log = (outcome, locationId, results, latencyMs = null) =>
+      logSearch.run(query, locationId, outcome, results ? results.length : null, latencyMs, ip, userAgent);
+
+    const cached = cache.lookup(normalizedQuery);
+
+    if (cached && !cached.expired) {
+      console.log(`[CACHE HIT] ${query}`);
+      log('hit', cached.locationId, cached.results);
+      return res.json(cached.results);
+    }
+
+    const reused = !cached && cache.findByPrefix(normalizedQuery);
+
+    if (reused) {
+      console.log(`[PREFIX HIT] ${query} <- ${reused.prefix}`);
+      log('hit', reused.locationId, reused.results);
+      return res.json(reused.results);
+    }
+
+    console.log(`[CACHE ${cached ? 'EXPIRED' : 'MISS'}] ${query}`);
+
+    const started = Date.now();
+    try {
+      const { results, locationId } = await fetchAndStore(normalizedQuery, query);
+      log(results.length > 0 ? 'miss' : 'empty', locationId, results, Date.now() - started);
+      res.json(results);
+    } catch (error) {
+      const latencyMs = Date.now() - started;
+      // An expired entry beats no answer while the geocoders are unreachable
+      if (cached) {
+        console.error(`[CACHE STALE] ${query}: ${error.message}`);
+        log('stale', cached.locationId, cached.results, latencyMs);
+        return res.json(cached.results);
+      }
+      log('error', null, null, latencyMs);
+      if (error instanceof UpstreamBusyError) {
+        const retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({ error: 'Geocoding is busy, please try again shortly', retryAfter });
+      }
+      console.error('Geocoding error:', error);
+      res.status(500).json({ error: 'Geocoding failed' });
+    }
+  });
+
+  // Name a point picked on the map: { display_name, lat, lon, named }, with
+  // the point's own coordinates and the place the geocoders put there. When
+  // there's nothing there (out at sea) or they can't be reached, the name is
+  // the coordinates and `named` is false.
+  app.get('/api/reverse-geocode', limitGeocoding, async (req, res) => {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    if (req.query.lat === '' || req.query.lon === '' || !isValidLatitude(lat) || !Number.isFinite(lon)) {
+      return res.status(400).json({ error: 'lat must be a number from -90 to 90 and lon a number' });
+    }
+
+    const point = { lat, lon: normalizeLongitude(lon) };
+    const answer = (result) => res.json({
+      display_name: result ? result.display_name : formatCoordinates(point.lat, point.lon),
+      lat: String(point.lat),
+      lon: String(point.lon),
+      named: Boolean(result)
+    });
+
+    const cached = cache.lookupPoint(point.lat, point.lon);
+    if (cached && !cached.expired) {
+      console.log(`[CACHE HIT] ${formatCoordinates(point.lat, point.lon)}`);
+      return answer(cached.result);
+    }
+
+    try {
+      const { provider, result } = await reverseGeocode(point.lat, point.lon);
+      if (provider.cacheable) {
+        cache.storePoint(point.lat, point.lon, provider.name, result);
+      }
+      answer(result);
+    } catch (error) {
+      console.error(`[REVERSE] ${formatCoordinates(point.lat, point.lon)}: ${error.message}`);
+      answer(cached ? cached.result : null);
+    }
+  });
+
+  // Export database, including every search's IP address and user agent
+  app.get('/api/export', auth.audit('export'), auth.requireRole('export'), (req, res) => {
+    const locations = db.prepare('SELECT * FROM locations ORDER BY created_at DESC').all();
+    const queries = db.prepare(`
+      SELECT q.*, (
+        SELECT json_group_array(location_id)
+        FROM (SELECT location_id FROM geocode_query_locations WHERE query_id = q.id ORDER BY rank)
+      ) AS location_ids
+      FROM geocode_queries q
+      ORDER BY fetched_at DESC
+    `).all().map(row => ({ ...row, location_ids: JSON.parse(row.location_ids) }));
+    const searches = db.prepare('SELECT * FROM search_logs ORDER BY timestamp DESC').all();
+    const dailySearches = db.prepare('SELECT * FROM search_log_daily ORDER BY day DESC, query').all();
+
+    res.json({
+      locations,
+      queries,
+      searches,
+      dailySearches,
+      exported_at: new Date().toISOString()
+    });
+  });
+
+  app.use('/api/analytics', createAnalyticsRouter({ db, auth }));
+  app.use('/api/daylight', createDaylightRouter());
+  app.use('/api/daylight.ics', createDaylightCalendarRouter());
+  app.use('/api/elevation', createElevationRouter({ model: elevation }));
+  app.use('/api/location-sets', createLocationSetsRouter({ db, auth }));
+  app.use('/api/admin', createAdminRouter({ db, auth, cache, geocode, privacy }));
+
+  return app;
+};
@@ -0,0 +1,86 @@
+// server/auth.js
+import crypto from 'crypto';
+
+// API keys for the private routes, configured as API_KEYS entries of the form
+// name:role:sha256-of-key so no plaintext key sits in the environment. Roles
+// build on each other:
+//   analytics  aggregate search statistics
+//   editor     saving, renaming and deleting the shared location sets, once
+//              there's a key with this role (until then anyone can)
+//   export     the full database dump (searches with their IPs and user agents)
+//   admin      geocode cache maintenance, search log erasure and the audit log
+// Keys go in an `Authorization: Bearer <key>` header.
+
+export const ROLES = ['analytics', 'editor', 'export', 'admin'];
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+export const generateApiKey = () => `dlv_${crypto.randomBytes(32).toString('base64url')}`;
+
+export const parseApiKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, role, hash, ...rest] = entry.split(':');
+    if (!name || !ROLES.includes(role) || !/^[0-9a-f]{64}$/i.test(hash || '') || rest.length > 0) {
+      throw new Error(`Invalid API_KEYS entry "${entry}" (expected name:role:sha256, with role one of ${ROLES.join(', ')})`);
+    }
+    return { name, role, hash: hash.toLowerCase() };
+  });
+
+export const createAuth = ({ db, apiKeys = [] }) => {
+  const insertAudit = db.prepare(`
+    INSERT INTO audit_logs (key_name, role, action, method, path, status, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const findKey = (provided) => {
+    const digest = Buffer.from(hashApiKey(provided), 'hex');
+    // Check every key in constant time rather than stopping at the first match
+    return apiKeys.reduce((match, key) =>
+      crypto.timingSafeEqual(digest, Buffer.from(key.hash, 'hex')) ? key : match, null);
+  };
+
+  // Let the request through when its key has at least `role`. Sets req.apiKey
+  // for any valid key, so refusals are audited with the key that tried.
+  const requireRole = (role) => (req, res, next) => {
+    if (apiKeys.length === 0) {
+      return res.status(503).json({ error: 'No API keys are configured (set API_KEYS to enable this route)' });
+    }
+
+    const [scheme, provided] = (req.headers.authorization || '').split(' ');
+    const key = scheme === 'Bearer' && provided ? findKey(provided) : null;
+    if (!key) {
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+
+    req.apiKey = key;
+    if (ROLES.indexOf(key.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `This route needs the ${role} role` });
+    }
+    next();
+  };
+
+  // Record the request once it's answered, including refused attempts
+  const audit = (action) => (req, res, next) => {
+    res.on('finish', () => {
+      insertAudit.run(
+        req.apiKey?.name ?? null,
+        req.apiKey?.role ?? null,
+        action,
+        req.method,
+        req.originalUrl,
+        res.statusCode,
+        req.ip || 'unknown',
+        req.headers['user-agent'] || 'unknown'
+      );
+    });
+    next();
+  };
+
+  // Whether any key has exactly `role`, for routes that only lock once one does
+  const hasKeyWithRole = (role) => apiKeys.some(key => key.role === role);
+
+  return { requireRole, audit, hasKeyWithRole };
+};
@@ -0,0 +1,84 @@
+// server/buildElevationGrid.js
+import fs from 'fs';
+import readline from 'readline';
+import { writeBilGrid } from './elevation.js';
+
+// Usage: npm run elevation-grid -- <cities1000.txt> [cellsize] [output.bil]
+// Builds the bundled grid of town heights from GeoNames' places with at least
+// 1000 people (https://download.geonames.org/export/dump/cities1000.zip,
+// CC BY): each cell holds the median ground height of the places in it,
+// and cells without any have no data. Writes an Int16 grid in ESRI EHdr
+// form, the .bil and its .hdr, over the whole world.
+
+const DEFAULT_CELLSIZE = 0.25;
+const DEFAULT_OUTPUT = 'data/elevation.bil';
+const NODATA = -9999;
+
+// Tab-separated columns of the GeoNames dump
+const LAT = 4;
+const LNG = 5;
+const ELEVATION = 15;
+const DEM = 16;
+
+const [input, cellsizeArg, output = DEFAULT_OUTPUT] = process.argv.slice(2);
+const cellsize = cellsizeArg === undefined ? DEFAULT_CELLSIZE : Number(cellsizeArg);
+
+if (!input || !(cellsize > 0) || !Number.isInteger(180 / cellsize)) {
+  console.error('Usage: npm run elevation-grid -- <cities1000.txt> [cellsize] [output.bil]');
+  console.error('The cell size is in degrees and must divide 180, e.g. 1, 0.5 or 0.25.');
+  process.exit(1);
+}
+
+const ncols = 360 / cellsize;
+const nrows = 180 / cellsize;
+
+// A place's height in metres: the model's (SRTM or GTOPO30) where it has
+// one, otherwise the one GeoNames' editors gave
+const placeHeight = (fields) => {
+  const height = [fields[DEM], fields[ELEVATION]]
+    .map(value => (value === undefined || value === '' ? NaN : Number(value)))
+    .find(value => Number.isFinite(value) && value > NODATA);
+  return height === undefined ? null : height;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const cells = new Map();
+let places = 0;
+
+const lines = readline.createInterface({ input: fs.createReadStream(input, 'utf8'), crlfDelay: Infinity });
+for await (const line of lines) {
+  const fields = line.split('\t');
+  const lat = Number(fields[LAT]);
+  const lng = Number(fields[LNG]);
+  const height = placeHeight(fields);
+  if (height === null || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+  const row = Math.min(Math.floor((90 - lat) / cellsize), nrows - 1);
+  const col = Math.min(Math.floor((lng + 180) / cellsize), ncols - 1);
+  const index = row * ncols + col;
+  if (!cells.has(index)) cells.set(index, []);
+  cells.get(index).push(height);
+  places++;
+}
+
+const heights = new Int16Array(ncols * nrows).fill(NODATA);
+cells.forEach((values, index) => {
+  heights[index] = Math.round(median(values));
+});
+
+writeBilGrid(output, {
+  ncols,
+  nrows,
+  cellsize,
+  west: -180 + cellsize / 2,
+  north: 90 - cellsize / 2,
+  nodata: NODATA,
+  heights
+});
+
+console.log(`${places} places in ${cells.size} of ${heights.length} cells, written to ${output}`);
@@ -0,0 +1,19 @@
+// server/createApiKey.js
+import { ROLES, generateApiKey, hashApiKey } from './auth.js';
+
+// Usage: npm run api-key -- <name> <role>
+// Prints a new key for the client and the API_KEYS entry for the server,
+// which only ever sees the hash.
+
+const [name, role] = process.argv.slice(2);
+
+if (!name || !/^[\w.-]+$/.test(name) || !ROLES.includes(role)) {
+  console.error(`Usage: npm run api-key -- <name> <${ROLES.join('|')}>`);
+  console.error('The name may use letters, digits, "_", "." and "-".');
+  process.exit(1);
+}
+
+const key = generateApiKey();
+
+console.log(`Key for ${name} (shown only once):\n  ${key}\n`);
+console.log(`Add to API_KEYS (comma-separated):\n  ${name}:${role}:${hashApiKey(key)}`);
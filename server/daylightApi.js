@@ -0,0 +1,184 @@
+// server/daylightApi.js
+import express from 'express';
+import SunCalc from 'suncalc';
+import { formatCoordinates } from '../src/coordinates.js';
+import { buildIcs } from '../src/dataExport.js';
+import { MAX_ELEVATION } from '../src/daylight.js';
+import { MAX_YEAR, MIN_YEAR, formatDate, getDaylightData, getDaylightStats, serializeDay } from '../src/daylightData.js';
+import { parseHorizonParam } from '../src/horizon.js';
+import { getTimeZone } from '../src/timeZones.js';
+
+// Per-day records and Analyze statistics as JSON, and sunrise and sunset as
+// a calendar to subscribe to, computed with the same code the pages use
+
+const MAX_COMPARE_LOCATIONS = 10;
+const MAX_NAME_LENGTH = 200;
+
+class ValidationError extends Error {}
+
+const parseNumber = (value, name, min, max) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new ValidationError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseYear = (value) => {
+  if (value === undefined) return new Date().getFullYear();
+  const year = typeof value === 'string' && /^\d{4}$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(year >= MIN_YEAR && year <= MAX_YEAR)) {
+    throw new ValidationError(`year must be a whole year between ${MIN_YEAR} and ${MAX_YEAR}`);
+  }
+  return year;
+};
+
+// Observer elevation in metres, when given, and the horizon profile in the
+// compact "azimuth:altitude,..." form
+const parseTerrain = (elevationValue, horizonValue) => {
+  const terrain = {};
+  if (elevationValue !== undefined) {
+    terrain.elevation = parseNumber(elevationValue, 'elevation', -MAX_ELEVATION, MAX_ELEVATION);
+  }
+  if (horizonValue !== undefined) {
+    const { horizon, error } = parseHorizonParam(typeof horizonValue === 'string' ? horizonValue : '');
+    if (error) {
+      throw new ValidationError(`horizon must be "azimuth:altitude,..." in degrees (${error})`);
+    }
+    terrain.horizon = horizon;
+  }
+  return terrain;
+};
+
+const parseLocation = (latValue, lngValue, elevationValue, horizonValue) => ({
+  lat: parseNumber(latValue, 'lat', -90, 90),
+  lng: parseNumber(lngValue, 'lng', -180, 180),
+  ...parseTerrain(elevationValue, horizonValue)
+});
+
+// Per-day records and Analyze-style statistics for one location and year
+const computeDaylight = (location, year) => {
+  const timeZone = getTimeZone(location.lat, location.lng);
+  const data = getDaylightData(SunCalc, { ...location, timeZone }, year);
+  const stats = getDaylightStats(data, year);
+
+  return {
+    location: { ...location, timeZone },
+    year,
+    summary: {
+      ...stats,
+      minDay: formatDate(stats.minDay.date),
+      maxDay: formatDate(stats.maxDay.date)
+    },
+    days: data.map(d => serializeDay(d, timeZone))
+  };
+};
+
+// Name for a calendar's events, defaulting to the coordinates
+const parseName = (value, location) => {
+  if (value === undefined) return formatCoordinates(location.lat, location.lng);
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name === '' || name.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`name must be 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+};
+
+const sendDaylightError = (res, error) => {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error('Daylight computation error:', error);
+  res.status(500).json({ error: 'Daylight computation failed' });
+};
+
+export const createDaylightRouter = () => {
+  const router = express.Router();
+
+  // GET /api/daylight?lat=33.7879&lng=-117.8531&year=2025
+  // Optional: &elevation=1609 (metres) and &horizon=0:2,90:8,180:4,270:12
+  router.get('/', (req, res) => {
+    try {
+      const location = parseLocation(req.query.lat, req.query.lng, req.query.elevation, req.query.horizon);
+      const year = parseYear(req.query.year);
+      res.json(computeDaylight(location, year));
+    } catch (error) {
+      sendDaylightError(res, error);
+    }
+  });
+
+  // GET /api/daylight/compare?loc=33.7879,-117.8531&loc=39.7392,-104.9903,1609&year=2025
+  // Each loc is "lat,lng" or "lat,lng,elevation"
+  router.get('/compare', (req, res) => {
+    try {
+      const locValues = [req.query.loc].flat().filter(value => value !== undefined);
+      if (locValues.length < 1 || locValues.length > MAX_COMPARE_LOCATIONS) {
+        throw new ValidationError(`loc must be given 1 to ${MAX_COMPARE_LOCATIONS} times as "lat,lng" or "lat,lng,elevation"`);
+      }
+
+      const year = parseYear(req.query.year);
+      const locations = locValues.map(value => {
+        const parts = typeof value === 'string' ? value.split(',') : [];
+        if (parts.length !== 2 && parts.length !== 3) {
+          throw new ValidationError(`loc must be "lat,lng" or "lat,lng,elevation", got "${value}"`);
+        }
+        return parseLocation(...parts);
+      });
+
+      const results = locations.map(location => computeDaylight(location, year));
+      const rankBy = (key) => results
+        .map((result, index) => ({ index, value: result.summary[key] }))
+        .sort((a, b) => b.value - a.value)
+        .map(entry => entry.index);
+
+      res.json({
+        year,
+        locations: results,
+        // Indexes into locations, highest first
+        rankings: {
+          byMean: rankBy('mean'),
+          byStability: rankBy('stability'),
+          byRange: rankBy('range')
+        }
+      });
+    } catch (error) {
+      sendDaylightError(res, error);
+    }
+  });
+
+  return router;
+};
+
+// GET /api/daylight.ics?lat=33.7879&lng=-117.8531&name=Orange%2C%20CA
+// Optional: &elevation=1609 and &year=2025. Without a year the calendar
+// covers this year and next, so a subscription keeps rolling forward.
+export const createDaylightCalendarRouter = () => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      const location = parseLocation(req.query.lat, req.query.lng, req.query.elevation);
+      const name = parseName(req.query.name, location);
+      const thisYear = new Date().getFullYear();
+      const years = req.query.year === undefined
+        ? [thisYear, Math.min(thisYear + 1, MAX_YEAR)].filter((year, i, all) => all.indexOf(year) === i)
+        : [parseYear(req.query.year)];
+
+      const timeZone = getTimeZone(location.lat, location.lng);
+      const series = years.map(year => ({ ...location, id: year, name, timeZone, year }));
+      const daylightDataMap = Object.fromEntries(
+        series.map(entry => [entry.id, getDaylightData(SunCalc, entry, entry.year)])
+      );
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="daylight.ics"');
+      // Calendar apps poll subscriptions; the times only change with the year
+      res.set('Cache-Control', 'public, max-age=86400');
+      res.send(buildIcs(series, daylightDataMap, `Sunrise & Sunset: ${name}`));
+    } catch (error) {
+      sendDaylightError(res, error);
+    }
+  });
+
+  return router;
+};
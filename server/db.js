@@ -0,0 +1,85 @@
+// server/db.js
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { MIGRATIONS } from './migrations.js';
+
+export const DEFAULT_DATABASE_PATH = 'daylight.db';
+export const LATEST_VERSION = MIGRATIONS.at(-1).version;
+
+// Open (or create) the SQLite database in WAL mode and migrate it to the
+// latest schema. Pass { migrate: false } to open it as it is, e.g. to
+// migrate down. Either way, a database migrated by newer code is refused.
+export const openDatabase = (filename = DEFAULT_DATABASE_PATH, { migrate: shouldMigrate = true } = {}) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+
+  try {
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      -- One row per applied migration (see migrations.js)
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const version = getSchemaVersion(db);
+    if (version > LATEST_VERSION) {
+      throw new Error(
+        `Database ${db.name} is at schema version ${version}, but this code only knows up to ${LATEST_VERSION}. ` +
+        'Deploy the newer code, or migrate the database down with it first.'
+      );
+    }
+    if (shouldMigrate) migrate(db);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  return db;
+};
+
+export const getSchemaVersion = (db) => db.prepare('SELECT COALESCE(MAX(version), 0) FROM schema_version').pluck().get();
+
+// Apply migrations up or down until the schema is at `target`, one
+// transaction per step. Returns the steps taken.
+export const migrate = (db, target = LATEST_VERSION) => {
+  if (!Number.isInteger(target) || target < 0 || target > LATEST_VERSION) {
+    throw new Error(`Schema version must be between 0 and ${LATEST_VERSION}`);
+  }
+
+  const current = getSchemaVersion(db);
+  const steps = target >= current
+    ? MIGRATIONS.filter(m => m.version > current && m.version <= target).map(m => ({ ...m, direction: 'up' }))
+    : MIGRATIONS.filter(m => m.version <= current && m.version > target).reverse().map(m => ({ ...m, direction: 'down' }));
+  if (steps.length === 0) return [];
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  const forget = db.prepare('DELETE FROM schema_version WHERE version = ?');
+
+  // Foreign keys can only be switched off outside a transaction. Tables get
+  // rebuilt with rows pointing at each other, so they're checked at the end
+  // of each step instead.
+  db.pragma('foreign_keys = OFF');
+  try {
+    steps.forEach(step => db.transaction(() => {
+      step[step.direction](db);
+      if (db.pragma('foreign_key_check').length > 0) {
+        throw new Error(`Migration ${step.version} (${step.name}) left dangling references`);
+      }
+      if (step.direction === 'up') {
+        record.run(step.version, step.name);
+      } else {
+        forget.run(step.version);
+      }
+    })());
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+
+  return steps.map(({ version, name, direction }) => ({ version, name, direction }));
+};
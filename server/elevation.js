@@ -0,0 +1,236 @@
+// server/elevation.js
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isValidLatitude, normalizeLongitude } from '../src/coordinates.js';
+
+// Ground elevation from a coarse digital elevation model, in one of two
+// forms:
+// - ESRI EHdr (.bil with a .hdr beside it): a single band of 16-bit signed
+//   heights in metres, read straight into an Int16Array. The bundled
+//   data/elevation.bil is one, though not a terrain model: it only has the
+//   heights of towns, in the cells that have any (see buildElevationGrid.js).
+// - ESRI ASCII grid (.asc): a header of ncols, nrows, xllcorner/xllcenter,
+//   yllcorner/yllcenter, cellsize and an optional NODATA_value, then one row
+//   of heights per line from north to south, scanned into a Float32Array.
+//   GET /api/elevation?lat=39.7392&lng=-104.9903
+//   -> { lat, lng, elevation, source }
+// Points below sea level (the sea itself, in models with bathymetry) are 0.
+
+export const DEFAULT_DEM_PATH = 'data/elevation.bil';
+export const DEFAULT_DEM_SOURCE = 'GeoNames town heights (CC BY), 0.25° cells with towns only';
+
+class GridFormatError extends Error {}
+
+const HEADER_KEYS = ['ncols', 'nrows', 'xllcorner', 'xllcenter', 'yllcorner', 'yllcenter', 'cellsize', 'nodata_value'];
+
+const checkSize = ({ ncols, nrows, cellsize }) => {
+  if (!(Number.isInteger(ncols) && ncols > 0 && Number.isInteger(nrows) && nrows > 0 && cellsize > 0)) {
+    throw new GridFormatError('The header needs whole ncols and nrows and a positive cellsize');
+  }
+};
+
+// Walks the text a token at a time, so a 30 MB grid never becomes millions
+// of strings at once
+export const parseAsciiGrid = (text) => {
+  const token = /\S+/g;
+  const header = {};
+  let match = token.exec(text);
+  while (match && HEADER_KEYS.includes(match[0].toLowerCase())) {
+    const value = token.exec(text);
+    header[match[0].toLowerCase()] = value ? Number(value[0]) : NaN;
+    match = token.exec(text);
+  }
+
+  const { ncols, nrows, cellsize } = header;
+  checkSize(header);
+  // Corner coordinates are the outer edge of the first cell, half a cell from its centre
+  const west = header.xllcorner !== undefined ? header.xllcorner + cellsize / 2 : header.xllcenter;
+  const south = header.yllcorner !== undefined ? header.yllcorner + cellsize / 2 : header.yllcenter;
+  if (!Number.isFinite(west) || !Number.isFinite(south)) {
+    throw new GridFormatError('The header needs xllcorner or xllcenter and yllcorner or yllcenter');
+  }
+
+  const heights = new Float32Array(ncols * nrows);
+  let count = 0;
+  for (; match; match = token.exec(text), count++) {
+    if (count < heights.length) {
+      const height = Number(match[0]);
+      heights[count] = height === header.nodata_value ? NaN : height;
+    }
+  }
+  if (count !== heights.length) {
+    throw new GridFormatError(`Expected ${heights.length} heights, found ${count}`);
+  }
+
+  return {
+    ncols,
+    nrows,
+    cellsize,
+    // Centres of the first column and the top (northernmost) row
+    west,
+    north: south + (nrows - 1) * cellsize,
+    heights
+  };
+};
+
+// Keys of an EHdr header, one "KEY value" pair per line
+const parseBilHeader = (text) => Object.fromEntries(
+  text.split(/\r?\n/)
+    .map(line => line.trim().split(/\s+/))
+    .filter(([key, value]) => key && value !== undefined)
+    .map(([key, value]) => [key.toUpperCase(), value])
+);
+
+// An EHdr grid from its header text and the raw heights. The heights stay
+// in the file's buffer when its byte order is the machine's.
+export const parseBilGrid = (headerText, buffer) => {
+  const header = parseBilHeader(headerText);
+  const number = (key, fallback) => (header[key] === undefined ? fallback : Number(header[key]));
+  const ncols = number('NCOLS');
+  const nrows = number('NROWS');
+  const cellsize = number('XDIM');
+  checkSize({ ncols, nrows, cellsize });
+
+  if (number('NBANDS', 1) !== 1 || number('NBITS', 8) !== 16 || (header.PIXELTYPE || 'SIGNEDINT').toUpperCase() !== 'SIGNEDINT') {
+    throw new GridFormatError('Only single-band grids of 16-bit signed heights are supported');
+  }
+  if (number('YDIM', cellsize) !== cellsize) {
+    throw new GridFormatError('XDIM and YDIM must be the same');
+  }
+  const west = number('ULXMAP');
+  const north = number('ULYMAP');
+  if (!Number.isFinite(west) || !Number.isFinite(north)) {
+    throw new GridFormatError('The header needs ULXMAP and ULYMAP');
+  }
+  if (buffer.length !== ncols * nrows * 2) {
+    throw new GridFormatError(`Expected ${ncols * nrows * 2} bytes of heights, found ${buffer.length}`);
+  }
+
+  const littleEndian = (header.BYTEORDER || 'I').toUpperCase() === 'I';
+  let heights;
+  if (littleEndian === (os.endianness() === 'LE') && buffer.byteOffset % 2 === 0) {
+    heights = new Int16Array(buffer.buffer, buffer.byteOffset, ncols * nrows);
+  } else {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.length);
+    heights = new Int16Array(ncols * nrows);
+    for (let i = 0; i < heights.length; i++) heights[i] = view.getInt16(i * 2, littleEndian);
+  }
+
+  return {
+    ncols,
+    nrows,
+    cellsize,
+    west,
+    north,
+    nodata: number('NODATA'),
+    heights
+  };
+};
+
+const headerPathOf = (filename) => filename.slice(0, filename.length - path.extname(filename).length) + '.hdr';
+
+// Writes a grid of Int16 heights as `filename` (.bil) and its .hdr
+export const writeBilGrid = (filename, { ncols, nrows, cellsize, west, north, nodata, heights }) => {
+  const header = [
+    ['BYTEORDER', 'I'],
+    ['LAYOUT', 'BIL'],
+    ['NROWS', nrows],
+    ['NCOLS', ncols],
+    ['NBANDS', 1],
+    ['NBITS', 16],
+    ['PIXELTYPE', 'SIGNEDINT'],
+    ['ULXMAP', west],
+    ['ULYMAP', north],
+    ['XDIM', cellsize],
+    ['YDIM', cellsize],
+    ['NODATA', nodata]
+  ];
+  const buffer = Buffer.alloc(heights.length * 2);
+  heights.forEach((height, i) => buffer.writeInt16LE(height, i * 2));
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, buffer);
+  fs.writeFileSync(headerPathOf(filename), header.map(([key, value]) => `${key} ${value}`).join('\n') + '\n');
+};
+
+// Height in metres at a point, interpolated between the four nearest cell
+// centres, or null outside the grid or where it has no data. A grid that
+// spans the globe wraps around the antimeridian.
+export const getGridElevation = (grid, lat, lng) => {
+  const { ncols, nrows, cellsize, west, north, nodata, heights } = grid;
+  const wraps = ncols * cellsize >= 360 - cellsize / 2;
+  const row = (north - lat) / cellsize;
+  let col = (lng - west) / cellsize;
+  if (wraps) col = ((col % ncols) + ncols) % ncols;
+
+  // Half a cell past the outer centres still belongs to the grid
+  if (row < -0.5 || row > nrows - 0.5 || (!wraps && (col < -0.5 || col > ncols - 0.5))) {
+    return null;
+  }
+
+  const row0 = Math.min(Math.max(Math.floor(row), 0), nrows - 1);
+  const row1 = Math.min(row0 + 1, nrows - 1);
+  const col0 = Math.min(Math.max(Math.floor(col), 0), ncols - 1);
+  const col1 = wraps ? (col0 + 1) % ncols : Math.min(col0 + 1, ncols - 1);
+  const rowWeight = Math.min(Math.max(row - row0, 0), 1);
+  const colWeight = Math.min(Math.max(col - col0, 0), 1);
+
+  let total = 0;
+  let weights = 0;
+  [
+    [row0, col0, (1 - rowWeight) * (1 - colWeight)],
+    [row0, col1, (1 - rowWeight) * colWeight],
+    [row1, col0, rowWeight * (1 - colWeight)],
+    [row1, col1, rowWeight * colWeight]
+  ].forEach(([r, c, weight]) => {
+    const height = heights[r * ncols + c];
+    if (weight > 0 && !isNaN(height) && height !== nodata) {
+      total += height * weight;
+      weights += weight;
+    }
+  });
+  return weights > 0 ? total / weights : null;
+};
+
+// The elevation model in `filename`, an EHdr .bil or an ASCII grid, or null
+// when there's no such file. `source` names it in answers and defaults to
+// the file name.
+export const loadElevationModel = (filename, { source = path.basename(filename) } = {}) => {
+  if (!fs.existsSync(filename)) return null;
+  const grid = path.extname(filename).toLowerCase() === '.bil'
+    ? parseBilGrid(fs.readFileSync(headerPathOf(filename), 'utf8'), fs.readFileSync(filename))
+    : parseAsciiGrid(fs.readFileSync(filename, 'utf8'));
+  return {
+    source,
+    getElevation: (lat, lng) => {
+      const elevation = getGridElevation(grid, lat, lng);
+      return elevation === null ? null : Math.max(0, Math.round(elevation));
+    }
+  };
+};
+
+export const createElevationRouter = ({ model }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    if (req.query.lat === '' || req.query.lng === '' || !isValidLatitude(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ error: 'lat must be a number from -90 to 90 and lng a number' });
+    }
+    if (!model) {
+      return res.status(503).json({ error: 'No elevation model is installed on this server; enter the elevation by hand' });
+    }
+
+    const point = { lat, lng: normalizeLongitude(lng) };
+    const elevation = model.getElevation(point.lat, point.lng);
+    if (elevation === null) {
+      return res.status(404).json({ error: 'The elevation model has no data for this point; enter the elevation by hand' });
+    }
+    res.json({ ...point, elevation, source: model.source });
+  });
+
+  return router;
+};
@@ -0,0 +1,122 @@
+// server/gazetteer.js
+import { createRequire } from 'module';
+
+// Offline geocoding from the world-cities dataset bundled with the
+// all-the-cities package (GeoNames places with at least 1000 inhabitants).
+// The cities are copied into SQLite once, then searched by name prefix with
+// the most populous matches first. Points are named after the nearest place
+// within MAX_REVERSE_KM.
+
+const require = createRequire(import.meta.url);
+
+const MAX_REVERSE_KM = 30;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in kilometres
+const getDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const getCountryName = (code) => {
+  try {
+    return countryNames.of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// Lowercase without accents, so "sao paulo" finds "São Paulo"
+const foldedLetters = { ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+export const foldName = (text) => text
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[øæœßłđðþı]/g, letter => foldedLetters[letter])
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Copy the cities into the gazetteer table unless it already has rows.
+// `cities` uses the all-the-cities record shape.
+export const loadGazetteer = (db, cities = require('all-the-cities')) => {
+  if (db.prepare('SELECT COUNT(*) AS count FROM gazetteer').get().count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO gazetteer (id, name, search_name, country, admin_code, population, lat, lon)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    cities.forEach(city => {
+      const [lon, lat] = city.loc.coordinates;
+      insert.run(city.cityId, city.name, foldName(city.name), city.country, city.adminCode || null, city.population || 0, lat, lon);
+    });
+  })();
+
+  console.log(`[GAZETTEER] Loaded ${cities.length} places`);
+};
+
+// Letter codes like "CA" or "ENG" are meaningful to readers; numeric
+// GeoNames admin codes aren't
+const toResult = (row) => ({
+  display_name: [row.name, /^[A-Z]+$/.test(row.admin_code || '') ? row.admin_code : null, getCountryName(row.country)]
+    .filter(Boolean)
+    .join(', '),
+  lat: String(row.lat),
+  lon: String(row.lon)
+});
+
+// "Paris, France", "Paris, FR" or "London, ON" narrow the results by country
+// or region
+const matchesQualifier = (row, qualifier) => {
+  const folded = foldName(qualifier);
+  return folded === row.country.toLowerCase() ||
+    folded === (row.admin_code || '').toLowerCase() ||
+    foldName(getCountryName(row.country)).startsWith(folded);
+};
+
+export const createGazetteerProvider = ({ db, cities } = {}) => {
+  loadGazetteer(db, cities);
+
+  const findByPrefix = db.prepare(`
+    SELECT name, country, admin_code, lat, lon
+    FROM gazetteer
+    WHERE search_name >= ? AND search_name < ?
+    ORDER BY population DESC
+    LIMIT 200
+  `);
+  // Everything in a band of latitude; longitude is checked by distance
+  const findByLatitude = db.prepare('SELECT name, country, admin_code, lat, lon FROM gazetteer WHERE lat BETWEEN ? AND ?');
+
+  return {
+    name: 'offline',
+    // Local results are cheap to recompute, and caching them would hide
+    // better answers from online providers once the network is back
+    cacheable: false,
+    search: async (query, limit) => {
+      const [name, ...qualifiers] = query.split(',');
+      const prefix = foldName(name);
+      if (!prefix) return [];
+
+      const qualifier = qualifiers.join(' ').trim();
+      return findByPrefix.all(prefix, `${prefix}\uffff`)
+        .filter(row => !qualifier || matchesQualifier(row, qualifier))
+        .slice(0, limit)
+        .map(toResult);
+    },
+    reverse: async (lat, lon) => {
+      const band = MAX_REVERSE_KM / KM_PER_DEGREE;
+      const nearest = findByLatitude.all(lat - band, lat + band)
+        .map(row => ({ row, distance: getDistanceKm(lat, lon, row.lat, row.lon) }))
+        .filter(({ distance }) => distance <= MAX_REVERSE_KM)
+        .sort((a, b) => a.distance - b.distance)[0];
+      return nearest ? toResult(nearest.row) : null;
+    }
+  };
+};
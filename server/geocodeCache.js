@@ -0,0 +1,246 @@
+// server/geocodeCache.js
+import { foldName } from './gazetteer.js';
+
+// Geocoding results cached per normalized query, with each place stored once
+// and linked to every query that returned it. Entries expire after a TTL
+// (shorter for queries with no results) and can be purged or refreshed.
+// Searches answer with `limit` results but fetch and keep up to `candidates`,
+// so longer queries can be answered from a shorter one's results.
+// Reverse lookups are cached the same way, per point rounded to
+// POINT_DECIMALS (about a kilometre).
+
+export const MIN_QUERY_LENGTH = 3;
+
+const HOUR_SECONDS = 60 * 60;
+const POINT_DECIMALS = 2;
+
+const roundCoordinate = (value) => Number(value.toFixed(POINT_DECIMALS));
+
+export const normalizeQuery = (query) => query.toLowerCase().trim();
+
+// Cache key for a geocoding result: its OpenStreetMap object, or failing that
+// its name and rounded coordinates
+export const getPlaceKey = (result) => result.osm_type && result.osm_id
+  ? `${result.osm_type}/${result.osm_id}`
+  : `${result.display_name}@${Number(result.lat).toFixed(5)},${Number(result.lon).toFixed(5)}`;
+
+export const createGeocodeCache = (db, { ttlHours = 30 * 24, emptyTtlHours = 24, limit = 5, candidates = 25 } = {}) => {
+  const findQuery = db.prepare(`
+    SELECT id, query, provider, result_count, expires_at <= CURRENT_TIMESTAMP AS expired
+    FROM geocode_queries
+    WHERE query = ?
+  `);
+  const findResults = db.prepare(`
+    SELECT l.id, l.display_name, l.lat, l.lon, l.osm_type, l.osm_id
+    FROM geocode_query_locations ql
+    JOIN locations l ON l.id = ql.location_id
+    WHERE ql.query_id = ?
+    ORDER BY ql.rank
+  `);
+  const upsertQuery = db.prepare(`
+    INSERT INTO geocode_queries (query, provider, result_count, fetched_at, expires_at)
+    VALUES (@query, @provider, @resultCount, CURRENT_TIMESTAMP, datetime('now', @ttl))
+    ON CONFLICT (query) DO UPDATE SET
+      provider = excluded.provider,
+      result_count = excluded.result_count,
+      fetched_at = excluded.fetched_at,
+      expires_at = excluded.expires_at
+    RETURNING id
+  `);
+  const upsertPlace = db.prepare(`
+    INSERT INTO locations (place_key, osm_type, osm_id, display_name, lat, lon)
+    VALUES (@placeKey, @osmType, @osmId, @displayName, @lat, @lon)
+    ON CONFLICT (place_key) DO UPDATE SET
+      display_name = excluded.display_name,
+      lat = excluded.lat,
+      lon = excluded.lon,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `);
+  const unlinkPlaces = db.prepare('DELETE FROM geocode_query_locations WHERE query_id = ?');
+  const linkPlace = db.prepare('INSERT INTO geocode_query_locations (query_id, location_id, rank) VALUES (?, ?, ?)');
+  const findPoint = db.prepare(`
+    SELECT p.provider, p.expires_at <= CURRENT_TIMESTAMP AS expired,
+      l.id, l.display_name, l.lat, l.lon, l.osm_type, l.osm_id
+    FROM reverse_geocodes p
+    LEFT JOIN locations l ON l.id = p.location_id
+    WHERE p.lat = ? AND p.lon = ?
+  `);
+  const upsertPoint = db.prepare(`
+    INSERT INTO reverse_geocodes (lat, lon, location_id, provider, fetched_at, expires_at)
+    VALUES (@lat, @lon, @locationId, @provider, CURRENT_TIMESTAMP, datetime('now', @ttl))
+    ON CONFLICT (lat, lon) DO UPDATE SET
+      location_id = excluded.location_id,
+      provider = excluded.provider,
+      fetched_at = excluded.fetched_at,
+      expires_at = excluded.expires_at
+  `);
+  // Places no query or point returns any more, unless search logs still
+  // point at them
+  const deleteOrphanPlaces = db.prepare(`
+    DELETE FROM locations
+    WHERE id NOT IN (SELECT location_id FROM geocode_query_locations)
+      AND id NOT IN (SELECT location_id FROM reverse_geocodes WHERE location_id IS NOT NULL)
+      AND id NOT IN (SELECT location_id FROM search_logs WHERE location_id IS NOT NULL)
+  `);
+
+  const toResult = (row) => ({
+    display_name: row.display_name,
+    lat: String(row.lat),
+    lon: String(row.lon),
+    ...(row.osm_type ? { osm_type: row.osm_type, osm_id: row.osm_id } : {})
+  });
+
+  // The answer to a query is its first `limit` candidates
+  const loadEntry = (row) => {
+    const rows = findResults.all(row.id).slice(0, limit);
+    return {
+      query: row.query,
+      provider: row.provider,
+      expired: row.expired === 1,
+      results: rows.map(toResult),
+      locationId: rows[0]?.id ?? null
+    };
+  };
+
+  // The cached entry for a normalized query, expired or not
+  const lookup = (query) => {
+    const row = findQuery.get(query);
+    return row ? loadEntry(row) : null;
+  };
+
+  // Answer "london" from the candidates of a fresh cached "lon" that start
+  // with the longer query: any of them when that search came back with fewer
+  // than `candidates` (so nothing was cut off), or else when there are enough
+  // to fill the answer. Saves an upstream call per keystroke.
+  const findByPrefix = (query) => {
+    const prefixes = [];
+    for (let length = query.length - 1; length >= MIN_QUERY_LENGTH; length--) {
+      prefixes.push(query.slice(0, length));
+    }
+    if (prefixes.length === 0) return null;
+
+    const rows = db.prepare(`
+      SELECT id, query, provider, result_count
+      FROM geocode_queries
+      WHERE query IN (${prefixes.map(() => '?').join(', ')})
+        AND expires_at > CURRENT_TIMESTAMP
+        AND result_count > 0
+      ORDER BY length(query) DESC
+    `).all(...prefixes);
+
+    const foldedQuery = foldName(query);
+    for (const row of rows) {
+      const matching = findResults.all(row.id)
+        .filter(place => foldName(place.display_name).startsWith(foldedQuery))
+        .slice(0, limit);
+      if (matching.length > 0 && (row.result_count < candidates || matching.length === limit)) {
+        return {
+          query,
+          prefix: row.query,
+          provider: row.provider,
+          results: matching.map(toResult),
+          locationId: matching[0].id
+        };
+      }
+    }
+    return null;
+  };
+
+  const formatTtl = (found) => `+${Math.round((found ? ttlHours : emptyTtlHours) * HOUR_SECONDS)} seconds`;
+
+  const storePlace = (result) => upsertPlace.get({
+    placeKey: getPlaceKey(result),
+    osmType: result.osm_type || null,
+    osmId: result.osm_id || null,
+    displayName: result.display_name,
+    lat: Number(result.lat),
+    lon: Number(result.lon)
+  }).id;
+
+  // Replace a query's cached results; returns the first place's id
+  const store = db.transaction((query, provider, results) => {
+    const queryId = upsertQuery.get({
+      query,
+      provider,
+      resultCount: results.length,
+      ttl: formatTtl(results.length > 0)
+    }).id;
+
+    unlinkPlaces.run(queryId);
+    const placeIds = results.map((result, rank) => {
+      const placeId = storePlace(result);
+      linkPlace.run(queryId, placeId, rank);
+      return placeId;
+    });
+    deleteOrphanPlaces.run();
+
+    return placeIds[0] ?? null;
+  });
+
+  // The cached place at a point (null for nothing there), expired or not
+  const lookupPoint = (lat, lon) => {
+    const row = findPoint.get(roundCoordinate(lat), roundCoordinate(lon));
+    if (!row) return null;
+    return {
+      provider: row.provider,
+      expired: row.expired === 1,
+      result: row.id === null ? null : toResult(row)
+    };
+  };
+
+  const storePoint = db.transaction((lat, lon, provider, result) => {
+    upsertPoint.run({
+      lat: roundCoordinate(lat),
+      lon: roundCoordinate(lon),
+      locationId: result ? storePlace(result) : null,
+      provider,
+      ttl: formatTtl(result !== null)
+    });
+    deleteOrphanPlaces.run();
+  });
+
+  // Filters shared by listing and purging: one query, a prefix, expired
+  // entries only, or everything
+  const buildFilter = ({ query, prefix, expired } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (query !== undefined) {
+      conditions.push('query = ?');
+      params.push(normalizeQuery(query));
+    }
+    if (prefix !== undefined) {
+      conditions.push('substr(query, 1, length(?)) = ?');
+      params.push(normalizeQuery(prefix), normalizeQuery(prefix));
+    }
+    if (expired) {
+      conditions.push('expires_at <= CURRENT_TIMESTAMP');
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  };
+
+  const list = (filter, max = 100) => {
+    const { where, params } = buildFilter(filter);
+    return db.prepare(`
+      SELECT query, provider, result_count AS resultCount, fetched_at AS fetchedAt, expires_at AS expiresAt,
+        expires_at <= CURRENT_TIMESTAMP AS expired
+      FROM geocode_queries
+      ${where}
+      ORDER BY fetched_at DESC
+      LIMIT ?
+    `).all(...params, max).map(row => ({ ...row, expired: row.expired === 1 }));
+  };
+
+  // Points have no query, so filtering by one leaves them alone
+  const purge = db.transaction((filter) => {
+    const { where, params } = buildFilter(filter);
+    const queries = db.prepare(`DELETE FROM geocode_queries ${where}`).run(...params).changes;
+    const points = filter.query === undefined && filter.prefix === undefined
+      ? db.prepare(`DELETE FROM reverse_geocodes ${filter.expired ? 'WHERE expires_at <= CURRENT_TIMESTAMP' : ''}`).run().changes
+      : 0;
+    const locations = deleteOrphanPlaces.run().changes;
+    return { queries, points, locations };
+  });
+
+  return { limit, candidates, lookup, findByPrefix, store, lookupPoint, storePoint, list, purge };
+};
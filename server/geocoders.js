@@ -0,0 +1,228 @@
+// server/geocoders.js
+import { createGazetteerProvider } from './gazetteer.js';
+import { UpstreamBusyError, queueProvider } from './upstreamQueue.js';
+
+// Geocoding providers behind one interface:
+//   { name, cacheable,
+//     search: async (query, limit) => [{ display_name, lat, lon, osm_type?, osm_id? }],
+//     reverse: async (lat, lon) => { display_name, lat, lon, osm_type?, osm_id? } or null }
+// Results use Nominatim's field names (coordinates as strings), which is what
+// the location search on the pages expects, plus the OpenStreetMap object when
+// the provider reports one (the geocode cache keys places by it). reverse
+// names the place at a point, or gives null when there's nothing there (out
+// at sea). A provider throws when it can't answer, so the next one in the
+// list gets a try.
+
+const USER_AGENT = 'DaylightViz/1.0 (daylightviz.org)';
+const REQUEST_TIMEOUT_MS = 5000;
+// Nominatim's zoom for reverse lookups: 10 names the city rather than the street
+const REVERSE_ZOOM = 10;
+
+const fetchJson = async (url) => {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+const osmTypes = { n: 'node', w: 'way', r: 'relation', node: 'node', way: 'way', relation: 'relation' };
+
+const toResult = (displayName, lat, lon, osmType, osmId) => {
+  const result = { display_name: displayName, lat: String(lat), lon: String(lon) };
+  const type = osmTypes[String(osmType).toLowerCase()];
+  if (type && osmId && Number.isFinite(Number(osmId))) {
+    result.osm_type = type;
+    result.osm_id = Number(osmId);
+  }
+  return result;
+};
+
+// MapTiler refers to OpenStreetMap objects as "osm:r62422"
+const parseOsmRef = (ref) => /^osm:([nwr])(\d+)$/.exec(ref || '')?.slice(1) || [];
+
+// Public Nominatim or any self-hosted instance
+export const createNominatimProvider = ({ url = 'https://nominatim.openstreetmap.org' } = {}) => ({
+  name: 'nominatim',
+  cacheable: true,
+  search: async (query, limit) => {
+    const data = await fetchJson(`${url}/search?q=${encodeURIComponent(query)}&format=json&limit=${limit}`);
+    return data.map(place => toResult(place.display_name, place.lat, place.lon, place.osm_type, place.osm_id));
+  },
+  reverse: async (lat, lon) => {
+    const place = await fetchJson(`${url}/reverse?lat=${lat}&lon=${lon}&format=json&zoom=${REVERSE_ZOOM}`);
+    // Nothing there comes back as { error: 'Unable to geocode' }
+    return place.error ? null : toResult(place.display_name, place.lat, place.lon, place.osm_type, place.osm_id);
+  }
+});
+
+// LocationIQ speaks the Nominatim API with a key
+export const createLocationIqProvider = ({ apiKey, url = 'https://us1.locationiq.com/v1' }) => ({
+  name: 'locationiq',
+  cacheable: true,
+  search: async (query, limit) => {
+    let data;
+    try {
+      data = await fetchJson(`${url}/search?key=${encodeURIComponent(apiKey)}&q=${encodeURIComponent(query)}&format=json&limit=${limit}`);
+    } catch (error) {
+      // LocationIQ answers 404 when nothing matches
+      if (error.message === 'HTTP 404') return [];
+      throw error;
+    }
+    return data.map(place => toResult(place.display_name, place.lat, place.lon, place.osm_type, place.osm_id));
+  },
+  reverse: async (lat, lon) => {
+    let place;
+    try {
+      place = await fetchJson(`${url}/reverse?key=${encodeURIComponent(apiKey)}&lat=${lat}&lon=${lon}&format=json&zoom=${REVERSE_ZOOM}`);
+    } catch (error) {
+      if (error.message === 'HTTP 404') return null;
+      throw error;
+    }
+    return place.error ? null : toResult(place.display_name, place.lat, place.lon, place.osm_type, place.osm_id);
+  }
+});
+
+export const createGeoapifyProvider = ({ apiKey, url = 'https://api.geoapify.com/v1' }) => ({
+  name: 'geoapify',
+  cacheable: true,
+  search: async (query, limit) => {
+    const data = await fetchJson(`${url}/geocode/search?text=${encodeURIComponent(query)}&format=json&limit=${limit}&apiKey=${encodeURIComponent(apiKey)}`);
+    return data.results.map(place =>
+      toResult(place.formatted, place.lat, place.lon, place.datasource?.raw?.osm_type, place.datasource?.raw?.osm_id)
+    );
+  },
+  reverse: async (lat, lon) => {
+    const data = await fetchJson(`${url}/geocode/reverse?lat=${lat}&lon=${lon}&format=json&apiKey=${encodeURIComponent(apiKey)}`);
+    const place = data.results[0];
+    return place
+      ? toResult(place.formatted, place.lat, place.lon, place.datasource?.raw?.osm_type, place.datasource?.raw?.osm_id)
+      : null;
+  }
+});
+
+export const createMapTilerProvider = ({ apiKey, url = 'https://api.maptiler.com' }) => ({
+  name: 'maptiler',
+  cacheable: true,
+  search: async (query, limit) => {
+    const data = await fetchJson(`${url}/geocoding/${encodeURIComponent(query)}.json?key=${encodeURIComponent(apiKey)}&limit=${limit}`);
+    return data.features.map(feature =>
+      toResult(feature.place_name, feature.center[1], feature.center[0], ...parseOsmRef(feature.properties?.ref))
+    );
+  },
+  reverse: async (lat, lon) => {
+    const data = await fetchJson(`${url}/geocoding/${lon},${lat}.json?key=${encodeURIComponent(apiKey)}&limit=1`);
+    const feature = data.features[0];
+    return feature
+      ? toResult(feature.place_name, feature.center[1], feature.center[0], ...parseOsmRef(feature.properties?.ref))
+      : null;
+  }
+});
+
+// Providers named in GEOCODERS (comma-separated, tried in order), configured
+// from their own variables:
+//   nominatim   NOMINATIM_URL (optional, for a self-hosted instance)
+//   locationiq  LOCATIONIQ_API_KEY, LOCATIONIQ_URL (optional, e.g. the EU endpoint)
+//   geoapify    GEOAPIFY_API_KEY
+//   maptiler    MAPTILER_API_KEY
+//   offline     the bundled world-cities gazetteer
+// Each online provider gets its own queue, calling it at most once every
+// GEOCODER_INTERVAL_MS (default 1000, Nominatim's limit) with up to
+// GEOCODER_MAX_QUEUE (default 10) searches waiting.
+export const getProvidersFromEnv = (env, { db }) => {
+  const requireKey = (name, variable) => {
+    if (!env[variable]) {
+      throw new Error(`GEOCODERS includes ${name} but ${variable} is not set`);
+    }
+    return env[variable];
+  };
+
+  const factories = {
+    nominatim: () => createNominatimProvider({ url: env.NOMINATIM_URL || undefined }),
+    locationiq: () => createLocationIqProvider({
+      apiKey: requireKey('locationiq', 'LOCATIONIQ_API_KEY'),
+      url: env.LOCATIONIQ_URL || undefined
+    }),
+    geoapify: () => createGeoapifyProvider({ apiKey: requireKey('geoapify', 'GEOAPIFY_API_KEY') }),
+    maptiler: () => createMapTilerProvider({ apiKey: requireKey('maptiler', 'MAPTILER_API_KEY') }),
+    offline: () => createGazetteerProvider({ db })
+  };
+
+  const names = (env.GEOCODERS || 'nominatim,offline')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    throw new Error('GEOCODERS must name at least one provider');
+  }
+
+  // Anything else (NaN from a mistyped variable, say) would silently stop the
+  // queue throttling or bounding calls
+  const readSetting = (variable, isValid, expected) => {
+    const value = env[variable];
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!isValid(number)) {
+      throw new Error(`Invalid ${variable} "${value}" (expected ${expected})`);
+    }
+    return number;
+  };
+
+  const queueOptions = {
+    intervalMs: readSetting('GEOCODER_INTERVAL_MS', number => Number.isFinite(number) && number >= 0,
+      'a number of milliseconds, 0 or more'),
+    maxPending: readSetting('GEOCODER_MAX_QUEUE', number => Number.isInteger(number) && number >= 1,
+      'a whole number of searches, 1 or more')
+  };
+
+  return names.map(name => {
+    if (!factories[name]) {
+      throw new Error(`Unknown geocoder "${name}" in GEOCODERS (expected ${Object.keys(factories).join(', ')})`);
+    }
+    return name === 'offline' ? factories[name]() : queueProvider(factories[name](), queueOptions);
+  });
+};
+
+// Ask each provider in turn until one answers. An empty answer (no results,
+// or null from reverse) is an answer; only failures (network errors,
+// timeouts, error statuses, full queues) fall through. If every provider was
+// only busy, the error says when to retry.
+const askProviders = async (providers, ask) => {
+  const failures = [];
+
+  for (const provider of providers) {
+    try {
+      return { provider, answer: await ask(provider) };
+    } catch (error) {
+      console.error(`[GEOCODER] ${provider.name} failed: ${error.message}`);
+      failures.push({ provider, error });
+    }
+  }
+
+  const message = `All geocoders failed (${failures.map(f => `${f.provider.name}: ${f.error.message}`).join('; ')})`;
+  if (failures.length > 0 && failures.every(f => f.error instanceof UpstreamBusyError)) {
+    throw new UpstreamBusyError(message, Math.min(...failures.map(f => f.error.retryAfterMs)));
+  }
+  throw new Error(message);
+};
+
+export const createGeocoder = (providers, { limit = 5 } = {}) => async (query) => {
+  const { provider, answer } = await askProviders(providers, provider => provider.search(query, limit));
+  return { provider, results: answer };
+};
+
+// The place at a point, from the providers that can reverse geocode
+export const createReverseGeocoder = (providers) => {
+  const reversing = providers.filter(provider => provider.reverse);
+  return async (lat, lon) => {
+    if (reversing.length === 0) {
+      throw new Error('No geocoder can name a point');
+    }
+    const { provider, answer } = await askProviders(reversing, provider => provider.reverse(lat, lon));
+    return { provider, result: answer };
+  };
+};
@@ -0,0 +1,200 @@
+// server/locationSetsApi.js
+import express from 'express';
+import { MAX_ELEVATION } from '../src/daylight.js';
+import { formatHorizon, parseHorizonParam } from '../src/horizon.js';
+
+// Named location sets shared by everyone using the app, so a team can keep
+// its usual comparisons one click away:
+//   GET    /api/location-sets       every set, by name
+//   POST   /api/location-sets       { name, locations } saves a new set
+//   PUT    /api/location-sets/:id   { name } renames it, { locations } replaces them
+//   DELETE /api/location-sets/:id
+// A location is { name, lat, lng, color } with color like "#FFD700", plus
+// optionally elevation in metres and horizon, a profile of
+// [{ azimuth, altitude }] in degrees. Names are unique regardless of case.
+// Anyone can read the sets, and anyone can change them too unless API_KEYS
+// has an editor key: then changes take a key with the editor role or above,
+// and the accepted ones are audited. The list says which in `locked`.
+
+const MAX_SETS = 200;
+const MAX_SET_LOCATIONS = 10;
+const MAX_NAME_LENGTH = 80;
+const MAX_LOCATION_NAME_LENGTH = 200;
+
+class ValidationError extends Error {}
+
+const parseName = (value, field, maxLength) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name === '' || name.length > maxLength) {
+    throw new ValidationError(`${field} must be between 1 and ${maxLength} characters`);
+  }
+  return name;
+};
+
+// A profile as JSON for the horizon column, or null without one
+const parseHorizon = (value, i) => {
+  if (value === undefined || value === null) return null;
+  const isPoint = (point) => typeof point?.azimuth === 'number' && typeof point?.altitude === 'number';
+  const { horizon, error } = Array.isArray(value) && value.every(isPoint)
+    ? parseHorizonParam(formatHorizon(value))
+    : { error: 'expected a list of { azimuth, altitude } in degrees' };
+  if (error) {
+    throw new ValidationError(`locations[${i}].horizon: ${error}`);
+  }
+  return JSON.stringify(horizon);
+};
+
+// A stored member as the API returns it, leaving out terrain it doesn't have
+const toLocation = ({ elevation, horizon, ...location }) => ({
+  ...location,
+  ...(elevation !== null && { elevation }),
+  ...(horizon !== null && { horizon: JSON.parse(horizon) })
+});
+
+const parseLocations = (value) => {
+  if (!Array.isArray(value) || value.length < 1 || value.length > MAX_SET_LOCATIONS) {
+    throw new ValidationError(`locations must be a list of 1 to ${MAX_SET_LOCATIONS} locations`);
+  }
+  return value.map((location, i) => {
+    const { name, lat, lng, color, elevation, horizon } = location ?? {};
+    if (typeof lat !== 'number' || !(lat >= -90 && lat <= 90) || typeof lng !== 'number' || !(lng >= -180 && lng <= 180)) {
+      throw new ValidationError(`locations[${i}] needs lat from -90 to 90 and lng from -180 to 180`);
+    }
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new ValidationError(`locations[${i}].color must be a hex color like #FFD700`);
+    }
+    if (elevation !== undefined && elevation !== null &&
+      (typeof elevation !== 'number' || !(Math.abs(elevation) <= MAX_ELEVATION))) {
+      throw new ValidationError(`locations[${i}].elevation must be metres from -${MAX_ELEVATION} to ${MAX_ELEVATION}`);
+    }
+    return {
+      name: parseName(name, `locations[${i}].name`, MAX_LOCATION_NAME_LENGTH),
+      lat,
+      lng,
+      color: color.toUpperCase(),
+      elevation: elevation ?? null,
+      horizon: parseHorizon(horizon, i)
+    };
+  });
+};
+
+const parseId = (value) => (/^\d+$/.test(value) ? Number(value) : null);
+
+const isNameTaken = (error) => error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+export const createLocationSetsRouter = ({ db, auth }) => {
+  const router = express.Router();
+  const locked = auth.hasKeyWithRole('editor');
+  // The key is checked first so public attempts don't end up in the audit log
+  const canEdit = locked ? [auth.requireRole('editor'), auth.audit('location-sets')] : [];
+
+  const listSets = db.prepare('SELECT * FROM location_sets ORDER BY name');
+  const getSet = db.prepare('SELECT * FROM location_sets WHERE id = ?');
+  const countSets = db.prepare('SELECT COUNT(*) FROM location_sets').pluck();
+  const getMembers = db.prepare(`
+    SELECT name, lat, lng, color, elevation, horizon FROM location_set_members WHERE set_id = ? ORDER BY position
+  `);
+  const insertSet = db.prepare('INSERT INTO location_sets (name) VALUES (?) RETURNING id');
+  const renameSet = db.prepare('UPDATE location_sets SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  const touchSet = db.prepare('UPDATE location_sets SET updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  const deleteSet = db.prepare('DELETE FROM location_sets WHERE id = ?');
+  const insertMember = db.prepare(`
+    INSERT INTO location_set_members (set_id, position, name, lat, lng, color, elevation, horizon)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const deleteMembers = db.prepare('DELETE FROM location_set_members WHERE set_id = ?');
+
+  const replaceMembers = (setId, locations) => {
+    deleteMembers.run(setId);
+    locations.forEach((location, position) =>
+      insertMember.run(setId, position, location.name, location.lat, location.lng, location.color, location.elevation, location.horizon));
+  };
+
+  const readSet = (id) => {
+    const set = getSet.get(id);
+    return set ? { ...set, locations: getMembers.all(id).map(toLocation) } : null;
+  };
+
+  const createSet = db.transaction((name, locations) => {
+    if (countSets.get() >= MAX_SETS) {
+      throw new ValidationError(`There are already ${MAX_SETS} saved sets; delete one first`);
+    }
+    const { id } = insertSet.get(name);
+    replaceMembers(id, locations);
+    return id;
+  });
+
+  const updateSet = db.transaction((id, { name, locations }) => {
+    if (name !== undefined) renameSet.run(name, id);
+    if (locations !== undefined) {
+      replaceMembers(id, locations);
+      touchSet.run(id);
+    }
+  });
+
+  // Answers a failed write: 400 for bad input, 409 for a name in use
+  const sendWriteError = (res, error, name) => {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (isNameTaken(error)) {
+      return res.status(409).json({ error: `A set called "${name}" already exists` });
+    }
+    throw error;
+  };
+
+  router.get('/', (req, res) => {
+    res.json({ sets: listSets.all().map(set => ({ ...set, locations: getMembers.all(set.id).map(toLocation) })), locked });
+  });
+
+  router.get('/:id', (req, res) => {
+    const set = readSet(parseId(req.params.id));
+    if (!set) {
+      return res.status(404).json({ error: 'No such location set' });
+    }
+    res.json(set);
+  });
+
+  router.post('/', canEdit, (req, res) => {
+    const body = req.body || {};
+    let name;
+    try {
+      name = parseName(body.name, 'name', MAX_NAME_LENGTH);
+      const id = createSet(name, parseLocations(body.locations));
+      res.status(201).json(readSet(id));
+    } catch (error) {
+      sendWriteError(res, error, name);
+    }
+  });
+
+  router.put('/:id', canEdit, (req, res) => {
+    const id = parseId(req.params.id);
+    if (!getSet.get(id)) {
+      return res.status(404).json({ error: 'No such location set' });
+    }
+
+    const body = req.body || {};
+    let name;
+    try {
+      if (body.name === undefined && body.locations === undefined) {
+        throw new ValidationError('Pass a new name, locations or both');
+      }
+      name = body.name === undefined ? undefined : parseName(body.name, 'name', MAX_NAME_LENGTH);
+      const locations = body.locations === undefined ? undefined : parseLocations(body.locations);
+      updateSet(id, { name, locations });
+      res.json(readSet(id));
+    } catch (error) {
+      sendWriteError(res, error, name);
+    }
+  });
+
+  router.delete('/:id', canEdit, (req, res) => {
+    const { changes } = deleteSet.run(parseId(req.params.id));
+    if (changes === 0) {
+      return res.status(404).json({ error: 'No such location set' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+};
@@ -0,0 +1,37 @@
+// server/migrate.js
+import { DEFAULT_DATABASE_PATH, LATEST_VERSION, getSchemaVersion, migrate, openDatabase } from './db.js';
+
+// Usage: npm run migrate -- [status | up [version] | down <version>]
+// Works on DATABASE_PATH like the server, which migrates up by itself when it
+// starts. Migrate down before deploying code that knows an older schema.
+
+const [command = 'status', version] = process.argv.slice(2);
+const target = version === undefined ? undefined : Number(version);
+
+if (!['status', 'up', 'down'].includes(command) || (command === 'down' && target === undefined)) {
+  console.error('Usage: npm run migrate -- [status | up [version] | down <version>]');
+  process.exit(1);
+}
+
+let db;
+try {
+  db = openDatabase(process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH, { migrate: false });
+  const current = getSchemaVersion(db);
+
+  if (command === 'up' && target < current) {
+    throw new Error(`The database is already at schema version ${current}`);
+  }
+  if (command === 'down' && target > current) {
+    throw new Error(`The database is only at schema version ${current}`);
+  }
+  if (command !== 'status') {
+    migrate(db, target).forEach(step => console.log(`${step.direction === 'up' ? 'Applied' : 'Reverted'} ${step.version}: ${step.name}`));
+  }
+
+  console.log(`${db.name}: schema version ${getSchemaVersion(db)} of ${LATEST_VERSION}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db?.close();
+}
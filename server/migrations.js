@@ -0,0 +1,304 @@
+// server/migrations.js
+import { getPlaceKey } from './geocodeCache.js';
+
+// Schema changes, oldest first. openDatabase (db.js) applies the ones a
+// database is missing, each in a transaction with foreign key enforcement off
+// and the keys checked before committing, and records them in schema_version.
+// Add a migration for every change; never edit one that has shipped.
+//
+// Migrations 1 and 2 also adopt databases from before schema_version, which
+// may already have some of their tables and columns, so they check first.
+
+const createInitialSchema = (db) => {
+  db.exec(`
+    -- Geocode cache: one row per place a geocoder returned, keyed by its
+    -- OpenStreetMap object when known
+    CREATE TABLE IF NOT EXISTS locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      place_key TEXT NOT NULL UNIQUE,
+      osm_type TEXT,
+      osm_id INTEGER,
+      display_name TEXT NOT NULL,
+      lat REAL NOT NULL,
+      lon REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- ...and one row per normalized query, linked to its results in order
+    CREATE TABLE IF NOT EXISTS geocode_queries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      query TEXT NOT NULL UNIQUE,
+      provider TEXT NOT NULL,
+      result_count INTEGER NOT NULL,
+      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS geocode_query_locations (
+      query_id INTEGER NOT NULL REFERENCES geocode_queries(id) ON DELETE CASCADE,
+      location_id INTEGER NOT NULL REFERENCES locations(id),
+      rank INTEGER NOT NULL,
+      PRIMARY KEY (query_id, rank)
+    );
+
+    -- One row per search
+    CREATE TABLE IF NOT EXISTS search_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      query TEXT NOT NULL,
+      location_id INTEGER,
+      ip_address TEXT,
+      user_agent TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    );
+
+    -- Search logs past their retention period, rolled up per day and query
+    CREATE TABLE IF NOT EXISTS search_log_daily (
+      day TEXT NOT NULL,
+      query TEXT NOT NULL,
+      searches INTEGER NOT NULL,
+      hits INTEGER NOT NULL,
+      PRIMARY KEY (day, query)
+    );
+
+    -- Current salt for hashing IP addresses in search logs
+    CREATE TABLE IF NOT EXISTS log_salts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      salt BLOB NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Who used the export and admin routes, including refused attempts
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key_name TEXT,
+      role TEXT,
+      action TEXT NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Offline gazetteer, filled from the bundled world-cities dataset
+    CREATE TABLE IF NOT EXISTS gazetteer (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      search_name TEXT NOT NULL,
+      country TEXT NOT NULL,
+      admin_code TEXT,
+      population INTEGER NOT NULL DEFAULT 0,
+      lat REAL NOT NULL,
+      lon REAL NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_geocode_queries_expires_at ON geocode_queries(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_geocode_query_locations_location ON geocode_query_locations(location_id);
+    CREATE INDEX IF NOT EXISTS idx_search_logs_timestamp ON search_logs(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_search_logs_location ON search_logs(location_id);
+    CREATE INDEX IF NOT EXISTS idx_search_logs_ip_address ON search_logs(ip_address);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON audit_logs(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_gazetteer_search_name ON gazetteer(search_name);
+  `);
+};
+
+// Databases from before the normalized cache kept one `locations` row per
+// query, with the first result in columns and the full response as JSON
+const readLegacyLocations = (db) => {
+  const columns = db.prepare("SELECT name FROM pragma_table_info('locations')").all().map(c => c.name);
+  return columns.includes('full_response') ? db.prepare('SELECT * FROM locations').all() : null;
+};
+
+// Split legacy rows into places and queries. The queries start out expired,
+// so they're refreshed on next use; search logs point at the first place.
+const upgradeLegacyLocations = (db, legacyRows) => {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_locations_query;
+    DROP TABLE locations;
+  `);
+  createInitialSchema(db);
+
+  const upsertPlace = db.prepare(`
+    INSERT INTO locations (place_key, osm_type, osm_id, display_name, lat, lon, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (place_key) DO UPDATE SET place_key = place_key
+    RETURNING id
+  `);
+  const insertQuery = db.prepare(`
+    INSERT INTO geocode_queries (query, provider, result_count, fetched_at, expires_at)
+    VALUES (?, 'nominatim', ?, ?, ?)
+    RETURNING id
+  `);
+  const linkPlace = db.prepare('INSERT INTO geocode_query_locations (query_id, location_id, rank) VALUES (?, ?, ?)');
+  const relinkLogs = db.prepare('UPDATE search_logs SET location_id = ? WHERE location_id = ?');
+
+  legacyRows.forEach(row => {
+    let results;
+    try {
+      results = JSON.parse(row.full_response);
+    } catch {
+      results = [];
+    }
+    if (!Array.isArray(results) || results.length === 0) {
+      results = [{ display_name: row.display_name, lat: row.lat, lon: row.lon }];
+    }
+
+    const queryId = insertQuery.get(row.query, results.length, row.created_at, row.created_at).id;
+    const placeIds = results.map((result, rank) => {
+      const placeId = upsertPlace.get(
+        getPlaceKey(result),
+        result.osm_type || null,
+        result.osm_id || null,
+        result.display_name,
+        Number(result.lat),
+        Number(result.lon),
+        row.created_at,
+        row.created_at
+      ).id;
+      linkPlace.run(queryId, placeId, rank);
+      return placeId;
+    });
+    relinkLogs.run(-placeIds[0], row.id);
+  });
+
+  // Negative ids kept old and new location ids apart while relinking
+  db.exec(`
+    UPDATE search_logs SET location_id = -location_id WHERE location_id < 0;
+    UPDATE search_logs SET location_id = NULL WHERE location_id NOT IN (SELECT id FROM locations);
+  `);
+
+  console.log(`[DB] Upgraded ${legacyRows.length} cached geocoding queries to the normalized cache`);
+};
+
+const columnsOf = (db, table) => db.prepare(`SELECT name FROM pragma_table_info('${table}')`).all().map(c => c.name);
+
+const LOG_OUTCOME_COLUMNS = ['outcome TEXT', 'result_count INTEGER', 'latency_ms INTEGER'];
+const DAILY_OUTCOME_COLUMNS = ['hits', 'stale', 'misses', 'empty', 'errors'];
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'geocode cache, search and audit logs, gazetteer',
+    up: (db) => {
+      const legacyRows = readLegacyLocations(db);
+      if (legacyRows) {
+        upgradeLegacyLocations(db, legacyRows);
+      } else {
+        createInitialSchema(db);
+      }
+    },
+    // Drops everything, cached places and logs included
+    down: (db) => db.exec(`
+      DROP TABLE gazetteer;
+      DROP TABLE audit_logs;
+      DROP TABLE log_salts;
+      DROP TABLE search_log_daily;
+      DROP TABLE search_logs;
+      DROP TABLE geocode_query_locations;
+      DROP TABLE geocode_queries;
+      DROP TABLE locations;
+    `)
+  },
+  {
+    // search_logs.outcome is how a search was answered:
+    //   hit    from the cache
+    //   stale  from an expired cache entry, as every geocoder failed
+    //   miss   fetched from a geocoder, which found places
+    //   empty  fetched from a geocoder, which found nothing
+    //   error  every geocoder failed (or was busy) and nothing was cached
+    // latency_ms is the time spent waiting on the geocoders, when asked.
+    // search_log_daily counts searches that found a place (`found`, which
+    // used to be `hits`) and each outcome. Older logs are left without one.
+    version: 2,
+    name: 'search outcomes',
+    up: (db) => {
+      const logColumns = columnsOf(db, 'search_logs');
+      LOG_OUTCOME_COLUMNS
+        .filter(column => !logColumns.includes(column.split(' ')[0]))
+        .forEach(column => db.exec(`ALTER TABLE search_logs ADD COLUMN ${column}`));
+
+      if (!columnsOf(db, 'search_log_daily').includes('found')) {
+        db.exec('ALTER TABLE search_log_daily RENAME COLUMN hits TO found');
+        DAILY_OUTCOME_COLUMNS.forEach(column =>
+          db.exec(`ALTER TABLE search_log_daily ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`));
+      }
+
+      db.exec('CREATE INDEX IF NOT EXISTS idx_search_logs_outcome ON search_logs(outcome)');
+    },
+    down: (db) => {
+      db.exec('DROP INDEX idx_search_logs_outcome');
+      LOG_OUTCOME_COLUMNS.forEach(column => db.exec(`ALTER TABLE search_logs DROP COLUMN ${column.split(' ')[0]}`));
+      DAILY_OUTCOME_COLUMNS.forEach(column => db.exec(`ALTER TABLE search_log_daily DROP COLUMN ${column}`));
+      db.exec('ALTER TABLE search_log_daily RENAME COLUMN found TO hits');
+    }
+  },
+  {
+    // Places named for points picked on the map, by coordinates rounded as
+    // in geocodeCache.js. location_id is null where there was nothing to
+    // name. The gazetteer index finds the places near a point offline.
+    version: 3,
+    name: 'reverse geocode cache',
+    up: (db) => db.exec(`
+      CREATE TABLE reverse_geocodes (
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        location_id INTEGER REFERENCES locations(id),
+        provider TEXT NOT NULL,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        PRIMARY KEY (lat, lon)
+      );
+      CREATE INDEX idx_reverse_geocodes_location ON reverse_geocodes(location_id);
+      CREATE INDEX idx_reverse_geocodes_expires_at ON reverse_geocodes(expires_at);
+      CREATE INDEX idx_gazetteer_lat ON gazetteer(lat);
+    `),
+    down: (db) => db.exec(`
+      DROP INDEX idx_gazetteer_lat;
+      DROP TABLE reverse_geocodes;
+    `)
+  },
+  {
+    // Named location sets anyone can save and load (see locationSetsApi.js),
+    // with their locations in order
+    version: 4,
+    name: 'location sets',
+    up: (db) => db.exec(`
+      CREATE TABLE location_sets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE location_set_members (
+        set_id INTEGER NOT NULL REFERENCES location_sets(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        color TEXT NOT NULL,
+        PRIMARY KEY (set_id, position)
+      );
+    `),
+    down: (db) => db.exec(`
+      DROP TABLE location_set_members;
+      DROP TABLE location_sets;
+    `)
+  },
+  {
+    // Observer elevation in metres and the horizon profile as JSON
+    // [{ azimuth, altitude }], both optional
+    version: 5,
+    name: 'location set terrain',
+    up: (db) => db.exec(`
+      ALTER TABLE location_set_members ADD COLUMN elevation REAL;
+      ALTER TABLE location_set_members ADD COLUMN horizon TEXT;
+    `),
+    down: (db) => db.exec(`
+      ALTER TABLE location_set_members DROP COLUMN horizon;
+      ALTER TABLE location_set_members DROP COLUMN elevation;
+    `)
+  }
+];
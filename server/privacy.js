@@ -0,0 +1,117 @@
+// server/privacy.js
+import crypto from 'crypto';
+import net from 'net';
+
+// What goes into search_logs about the person searching.
+//   ipMode         hash (default): keyed hash with a salt that's replaced
+//                  every `saltHours`, so a visitor's searches link up within
+//                  that window and not beyond it
+//                  truncate: the network only (IPv4 /24, IPv6 /48)
+//                  full: the address as is; none: nothing
+//   userAgentMode  browser (default): just the browser family; full; none
+// Requests sending Do-Not-Track or Global Privacy Control (DNT: 1,
+// Sec-GPC: 1) are logged with neither.
+
+export const IP_MODES = ['hash', 'truncate', 'full', 'none'];
+export const USER_AGENT_MODES = ['browser', 'full', 'none'];
+
+const HASH_PREFIX = 'h:';
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:1.2.3.4
+const unmapIpv4 = (ip) => (/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip)?.[1] ?? ip);
+
+const expandIpv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(ip.includes('::') ? missing : 0).fill('0'), ...tailGroups];
+};
+
+export const truncateIp = (address) => {
+  const ip = unmapIpv4(address);
+  if (net.isIPv4(ip)) {
+    return ip.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (net.isIPv6(ip)) {
+    const groups = expandIpv6(ip.split('%')[0]);
+    return `${groups.slice(0, 3).map(group => group.toLowerCase().replace(/^0+(?=.)/, '')).join(':')}::`;
+  }
+  return null;
+};
+
+// Coarse browser family from a user agent string
+export const getBrowserFamily = (userAgent = '') => {
+  if (!userAgent) return null;
+  if (/bot|crawl|spider|slurp|curl|wget|python|node-fetch|undici/i.test(userAgent)) return 'bot';
+  if (/Edg\//.test(userAgent)) return 'Edge';
+  if (/OPR\/|Opera/.test(userAgent)) return 'Opera';
+  if (/Firefox\/|FxiOS/.test(userAgent)) return 'Firefox';
+  if (/Chrome\/|CriOS/.test(userAgent)) return 'Chrome';
+  if (/Safari\//.test(userAgent)) return 'Safari';
+  return 'other';
+};
+
+export const isOptedOut = (req) => req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+
+export const createSearchLogPrivacy = ({ db, ipMode = 'hash', userAgentMode = 'browser', saltHours = 24 }) => {
+  if (!IP_MODES.includes(ipMode)) {
+    throw new Error(`Unknown IP mode "${ipMode}" (expected ${IP_MODES.join(', ')})`);
+  }
+  if (!USER_AGENT_MODES.includes(userAgentMode)) {
+    throw new Error(`Unknown user agent mode "${userAgentMode}" (expected ${USER_AGENT_MODES.join(', ')})`);
+  }
+
+  const findSalt = db.prepare(`
+    SELECT salt, unixepoch(created_at) * 1000 AS createdAt
+    FROM log_salts
+    ORDER BY id DESC
+    LIMIT 1
+  `);
+  const insertSalt = db.prepare("INSERT INTO log_salts (salt, created_at) VALUES (?, datetime(?, 'unixepoch'))");
+  const deleteOldSalts = db.prepare('DELETE FROM log_salts WHERE id != (SELECT MAX(id) FROM log_salts)');
+
+  // The salt lives in the database so restarts don't split a window, and is
+  // deleted for good once replaced
+  const getSalt = () => {
+    const current = findSalt.get();
+    if (current && Date.now() - current.createdAt < saltHours * 60 * 60 * 1000) {
+      return current.salt;
+    }
+    const salt = crypto.randomBytes(32);
+    db.transaction(() => {
+      insertSalt.run(salt, Math.floor(Date.now() / 1000));
+      deleteOldSalts.run();
+    })();
+    return salt;
+  };
+
+  const hashIp = (ip) => HASH_PREFIX + crypto.createHmac('sha256', getSalt()).update(unmapIpv4(ip)).digest('hex').slice(0, 16);
+
+  const formatIp = (ip) => {
+    if (!ip || ipMode === 'none') return null;
+    if (ipMode === 'full') return unmapIpv4(ip);
+    if (ipMode === 'truncate') return truncateIp(ip);
+    return hashIp(ip);
+  };
+
+  const formatUserAgent = (userAgent) => {
+    if (!userAgent || userAgentMode === 'none') return null;
+    return userAgentMode === 'full' ? userAgent : getBrowserFamily(userAgent);
+  };
+
+  return {
+    // The ip_address and user_agent to store for a request
+    getLogFields: (req) => isOptedOut(req)
+      ? { ip: null, userAgent: null }
+      : { ip: formatIp(req.ip), userAgent: formatUserAgent(req.headers['user-agent']) },
+
+    // Stored forms that identify this address: the address itself and its
+    // hash under the current salt. Truncated entries cover whole networks, so
+    // they aren't attributed to one address.
+    getIpMatches: (ip) => {
+      const address = unmapIpv4(ip);
+      return [address, hashIp(address)];
+    }
+  };
+};
@@ -0,0 +1,35 @@
+// server/rateLimit.js
+
+// Per-client rate limiting for an endpoint: at most `max` requests in any
+// `windowMs`, keyed by IP address. Over the limit the client gets a 429 with
+// Retry-After saying when the oldest request in the window ages out.
+
+export const createRateLimiter = ({ windowMs = 60 * 1000, max = 60 } = {}) => {
+  const requests = new Map();
+
+  // Forget clients that have gone quiet so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    requests.forEach((times, key) => {
+      if (times[times.length - 1] <= cutoff) requests.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = req.ip || 'unknown';
+    const now = Date.now();
+    const times = (requests.get(key) || []).filter(time => time > now - windowMs);
+
+    if (times.length >= max) {
+      const retryAfter = Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000));
+      requests.set(key, times);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many searches, please slow down', retryAfter });
+    }
+
+    times.push(now);
+    requests.set(key, times);
+    next();
+  };
+};
@@ -0,0 +1,79 @@
+// server/retention.js
+
+// Scheduled clean-up of old log rows. Search logs older than
+// `searchLogDays` are either rolled up into per-day, per-query counts
+// (mode "aggregate", which keeps the analytics totals) or deleted outright
+// (mode "delete"). Audit logs are deleted after `auditLogDays`. A value of 0
+// keeps that log for ever.
+
+export const RETENTION_MODES = ['aggregate', 'delete'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const createRetentionJob = (db, { searchLogDays = 90, mode = 'aggregate', auditLogDays = 365 } = {}) => {
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Unknown retention mode "${mode}" (expected ${RETENTION_MODES.join(', ')})`);
+  }
+  // Anything else (NaN from a mistyped variable, say) would keep logs for ever
+  Object.entries({ searchLogDays, auditLogDays }).forEach(([name, days]) => {
+    if (!(typeof days === 'number' && days >= 0 && Number.isFinite(days))) {
+      throw new Error(`Invalid ${name} "${days}" (expected a number of days, or 0 to keep logs for ever)`);
+    }
+  });
+
+  const aggregateSearchLogs = db.prepare(`
+    INSERT INTO search_log_daily (day, query, searches, found, hits, stale, misses, empty, errors)
+    SELECT
+      date(timestamp), query, COUNT(*), SUM(location_id IS NOT NULL),
+      SUM(outcome IS 'hit'), SUM(outcome IS 'stale'), SUM(outcome IS 'miss'), SUM(outcome IS 'empty'), SUM(outcome IS 'error')
+    FROM search_logs
+    WHERE timestamp < datetime('now', ?)
+    GROUP BY date(timestamp), query
+    ON CONFLICT (day, query) DO UPDATE SET
+      searches = searches + excluded.searches,
+      found = found + excluded.found,
+      hits = hits + excluded.hits,
+      stale = stale + excluded.stale,
+      misses = misses + excluded.misses,
+      empty = empty + excluded.empty,
+      errors = errors + excluded.errors
+  `);
+  const deleteSearchLogs = db.prepare("DELETE FROM search_logs WHERE timestamp < datetime('now', ?)");
+  const deleteAuditLogs = db.prepare("DELETE FROM audit_logs WHERE timestamp < datetime('now', ?)");
+
+  const run = db.transaction(() => {
+    const result = { searchLogs: 0, auditLogs: 0 };
+
+    if (searchLogDays > 0) {
+      const cutoff = `-${searchLogDays} days`;
+      if (mode === 'aggregate') aggregateSearchLogs.run(cutoff);
+      result.searchLogs = deleteSearchLogs.run(cutoff).changes;
+    }
+    if (auditLogDays > 0) {
+      result.auditLogs = deleteAuditLogs.run(`-${auditLogDays} days`).changes;
+    }
+
+    return result;
+  });
+
+  // Run now and then every `intervalMs` until stopped
+  const start = (intervalMs = HOUR_MS) => {
+    const runAndReport = () => {
+      try {
+        const { searchLogs, auditLogs } = run();
+        if (searchLogs > 0 || auditLogs > 0) {
+          console.log(`[RETENTION] Removed ${searchLogs} search logs (${mode}) and ${auditLogs} audit logs`);
+        }
+      } catch (error) {
+        console.error('Retention job failed:', error);
+      }
+    };
+
+    runAndReport();
+    const timer = setInterval(runAndReport, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  return { run, start };
+};
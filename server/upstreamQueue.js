@@ -0,0 +1,52 @@
+// server/upstreamQueue.js
+
+// Serializes calls to an upstream service, starting each at least
+// `intervalMs` after the previous one started and only once it has finished.
+// Nominatim's usage policy allows one request per second. When more than
+// `maxPending` calls are waiting, new ones fail fast with UpstreamBusyError
+// instead of queueing for ever.
+
+export class UpstreamBusyError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'UpstreamBusyError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createUpstreamQueue = ({ intervalMs = 1000, maxPending = 10 } = {}) => {
+  let tail = Promise.resolve();
+  let lastStart = -Infinity;
+  let pending = 0;
+
+  return (task) => {
+    if (pending >= maxPending) {
+      return Promise.reject(new UpstreamBusyError('Upstream queue is full', pending * intervalMs));
+    }
+
+    pending++;
+    const result = tail.then(async () => {
+      const wait = lastStart + intervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastStart = Date.now();
+      return task();
+    });
+    tail = result.catch(() => {});
+    return result.finally(() => {
+      pending--;
+    });
+  };
+};
+
+// The same provider with its searches and reverse lookups going through one
+// queue
+export const queueProvider = (provider, options) => {
+  const enqueue = createUpstreamQueue(options);
+  return {
+    ...provider,
+    search: (query, limit) => enqueue(() => provider.search(query, limit)),
+    ...(provider.reverse ? { reverse: (lat, lon) => enqueue(() => provider.reverse(lat, lon)) } : {})
+  };
+};
@@ -1,10 +1,50 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import DaylightViz from './DaylightViz';
 import Analyze from './Analyze';
+import Dashboard from './Dashboard';
+import { hasStoredApiKey } from './useAnalytics';
+import { buildUrlSearch, parseUrlState } from './urlState';
 import './index.css';
 
 function App() {
-  const [page, setPage] = useState('viz'); // 'viz' or 'analyze'
+  // Page, locations, year, chart mode and custom markers live in the URL so
+  // comparisons can be shared
+  const [appState, setAppState] = useState(() => parseUrlState(window.location.search));
+  const { page, locations, year, chartMode, customDates } = appState;
+
+  // The first sync and syncs after back/forward only normalize the current
+  // entry; every other change adds a history entry
+  const replaceHistory = useRef(true);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      replaceHistory.current = true;
+      setAppState(parseUrlState(window.location.search));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    const search = buildUrlSearch(appState);
+    const shouldReplace = replaceHistory.current;
+    replaceHistory.current = false;
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (shouldReplace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [appState]);
+
+  const updateState = (changes) => setAppState(current => ({ ...current, ...changes }));
+  const setPage = (value) => updateState({ page: value });
+  const setLocations = (value) => updateState({ locations: value });
+  const setYear = (value) => updateState({ year: value });
+  const setChartMode = (value) => updateState({ chartMode: value });
+  const setCustomDates = (value) => updateState({ customDates: value });
 
   return (
     <div className="flex flex-col items-center w-full min-h-screen p-4 md:p-8 font-sans">
@@ -30,12 +70,44 @@ function App() {
           >
             Analyze
           </button>
+          {/* Only for admins, who open ?page=dashboard and sign in */}
+          {(page === 'dashboard' || hasStoredApiKey()) && (
+            <button
+              onClick={() => setPage('dashboard')}
+              className={`flex items-center gap-2 rounded-md px-3 py-2 sm:px-4 text-sm font-medium transition-colors ${
+                page === 'dashboard'
+                  ? 'bg-yellow-500 text-gray-900 shadow-md'
+                  : 'text-gray-300 hover:bg-[#2a2a3e]'
+              }`}
+            >
+              Dashboard
+            </button>
+          )}
         </div>
       </nav>
 
       <main className="w-full max-w-[1400px]">
-        {page === 'viz' && <DaylightViz />}
-        {page === 'analyze' && <Analyze />}
+        {page === 'viz' && (
+          <DaylightViz
+            locations={locations}
+            setLocations={setLocations}
+            year={year}
+            setYear={setYear}
+            chartMode={chartMode}
+            setChartMode={setChartMode}
+            customDates={customDates}
+            setCustomDates={setCustomDates}
+          />
+        )}
+        {page === 'analyze' && (
+          <Analyze
+            locations={locations}
+            setLocations={setLocations}
+            year={year}
+            setYear={setYear}
+          />
+        )}
+        {page === 'dashboard' && <Dashboard />}
       </main>
     </div>
   );
@@ -0,0 +1,239 @@
+// src/Dashboard.jsx
+import { useMemo, useState } from 'react';
+import { PlacesMap, RatesChart, SearchesChart, TopQueriesChart } from './DashboardCharts';
+import useAnalytics from './useAnalytics';
+import { RANGE_PRESETS, fillBuckets, getPresetRange } from './dashboardData';
+
+const DEFAULT_PRESET = RANGE_PRESETS.find(preset => preset.key === '30d');
+
+const formatTimestamp = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const formatLatency = (ms) => (ms === null ? '—' : `${ms} ms`);
+
+// Queries with how often and when they were last searched
+const QueryTable = ({ rows, emptyText }) => (rows.length === 0 ? (
+  <p className="dashboard-empty">{emptyText}</p>
+) : (
+  <table className="dashboard-table">
+    <thead>
+      <tr>
+        <th>Query</th>
+        <th className="number">Searches</th>
+        <th className="number">Last</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(row => (
+        <tr key={row.query}>
+          <td>{row.query}</td>
+          <td className="number">{row.count}</td>
+          <td className="number">{formatTimestamp(row.lastSearched)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+));
+
+// Asks for an API key with the analytics role (or better)
+const ApiKeyForm = ({ onSubmit, error }) => {
+  const [key, setKey] = useState('');
+
+  return (
+    <form
+      className="info-panel api-key-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (key.trim()) onSubmit(key.trim());
+      }}
+    >
+      <h3>Sign in</h3>
+      <p className="subtitle">Enter an API key with the analytics role. It is kept until you close this tab.</p>
+      <input
+        type="password"
+        className="search-input"
+        placeholder="API key"
+        value={key}
+        onChange={(e) => setKey(e.target.value)}
+        autoComplete="off"
+      />
+      {error && <p className="search-notice">{error}</p>}
+      <button type="submit" className="toggle-btn active">Open Dashboard</button>
+    </form>
+  );
+};
+
+// Search analytics for the people running the site: searches, cache hits and
+// errors over time, latency, top, empty and failed queries, and where the
+// searched places are
+const Dashboard = () => {
+  const [presetKey, setPresetKey] = useState(DEFAULT_PRESET.key);
+  const [range, setRange] = useState(() => getPresetRange(DEFAULT_PRESET));
+  const { apiKey, setApiKey, analytics, error, isLoading, reload } = useAnalytics(range);
+
+  const buckets = useMemo(
+    () => (analytics ? fillBuckets(analytics.searchesOverTime, analytics.range) : []),
+    [analytics]
+  );
+
+  if (!apiKey) {
+    return (
+      <div className="daylight-viz">
+        <div className="header">
+          <h1>Search Analytics</h1>
+        </div>
+        <ApiKeyForm onSubmit={setApiKey} error={error} />
+      </div>
+    );
+  }
+
+  const choosePreset = (preset) => {
+    setPresetKey(preset.key);
+    setRange(getPresetRange(preset));
+  };
+
+  const updateRange = (changes) => {
+    setPresetKey(null);
+    setRange(current => ({ ...current, ...changes }));
+  };
+
+  return (
+    <div className="daylight-viz">
+      <div className="header">
+        <h1>Search Analytics</h1>
+        <p className="subtitle">Location searches on this site (times in UTC)</p>
+      </div>
+
+      <div className="year-controls">
+        <div className="control-group">
+          {RANGE_PRESETS.map(preset => (
+            <button
+              key={preset.key}
+              className={`toggle-btn ${presetKey === preset.key ? 'active' : ''}`}
+              onClick={() => choosePreset(preset)}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <div className="control-group">
+          <label htmlFor="analytics-from" className="control-label">From</label>
+          <input
+            id="analytics-from"
+            type="date"
+            className="year-select"
+            value={range.from}
+            max={range.to || undefined}
+            onChange={(e) => updateRange({ from: e.target.value })}
+          />
+          <label htmlFor="analytics-to" className="control-label">To</label>
+          <input
+            id="analytics-to"
+            type="date"
+            className="year-select"
+            value={range.to}
+            min={range.from || undefined}
+            onChange={(e) => updateRange({ to: e.target.value })}
+          />
+        </div>
+        <div className="control-group">
+          <span className="control-label">Buckets</span>
+          {['hour', 'day'].map(bucket => (
+            <button
+              key={bucket}
+              className={`toggle-btn ${range.bucket === bucket ? 'active' : ''}`}
+              onClick={() => updateRange({ bucket })}
+            >
+              {bucket === 'hour' ? 'Hourly' : 'Daily'}
+            </button>
+          ))}
+        </div>
+        <div className="control-group">
+          <button className="year-step" onClick={reload} disabled={isLoading}>
+            {isLoading ? 'Loading…' : 'Refresh'}
+          </button>
+          <button className="year-step" onClick={() => setApiKey('')}>Sign out</button>
+        </div>
+      </div>
+
+      {error && <p className="search-notice dashboard-error">{error}</p>}
+
+      {analytics && (
+        <>
+          <div className="info-panel">
+            <div className="info-grid">
+              <div className="info-item">
+                <span className="label">Searches</span>
+                <span className="value">{analytics.totalSearches}</span>
+              </div>
+              <div className="info-item">
+                <span className="label">Cache Hit Rate</span>
+                <span className="value">{analytics.cacheHitRate}%</span>
+              </div>
+              <div className="info-item">
+                <span className="label">Error Rate</span>
+                <span className="value">{analytics.errorRate}%</span>
+              </div>
+              <div className="info-item">
+                <span className="label">Found a Place</span>
+                <span className="value">{analytics.foundRate}%</span>
+              </div>
+              <div className="info-item">
+                <span className="label">Lookup Time p50 / p95</span>
+                <span className="value">
+                  {formatLatency(analytics.latency.p50)} / {formatLatency(analytics.latency.p95)}
+                </span>
+              </div>
+              <div className="info-item">
+                <span className="label">Places Searched</span>
+                <span className="value">{analytics.places.length}</span>
+              </div>
+              <div className="info-item">
+                <span className="label">Places in Cache</span>
+                <span className="value">{analytics.uniqueLocations}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="info-panel">
+            <h3>Searches Over Time</h3>
+            <SearchesChart buckets={buckets} />
+          </div>
+
+          <div className="info-panel">
+            <h3>Cache Hit and Error Rate</h3>
+            <RatesChart buckets={buckets} />
+          </div>
+
+          <div className="dashboard-grid">
+            <div className="info-panel">
+              <h3>Top Searches</h3>
+              <TopQueriesChart topSearches={analytics.topSearches} />
+            </div>
+
+            <div className="info-panel">
+              <h3>Queries With No Results</h3>
+              <QueryTable rows={analytics.zeroResultSearches} emptyText="Every search found a place." />
+            </div>
+
+            <div className="info-panel">
+              <h3>Failed Searches</h3>
+              <QueryTable rows={analytics.failedSearches} emptyText="No searches failed." />
+            </div>
+          </div>
+
+          <div className="info-panel">
+            <h3>Where People Searched</h3>
+            <PlacesMap places={analytics.places} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
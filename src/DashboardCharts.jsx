@@ -0,0 +1,192 @@
+// src/DashboardCharts.jsx
+import WorldMap, { MAP_WIDTH } from './WorldMap';
+import { OUTCOMES, countKnownOutcomes, getOutcomeRate } from './dashboardData';
+import { projectPoint } from './mapProjection';
+
+// Small SVG charts for the analytics dashboard. Each mark has a <title>, so
+// hovering shows its numbers.
+
+const WIDTH = 800;
+const HEIGHT = 220;
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 44 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const TICK_COUNT = 6;
+
+const formatBucket = (bucket) => (bucket.length > 10
+  ? bucket.slice(5)
+  : new Date(`${bucket}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }));
+
+// Rounded up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+};
+
+// Bucket labels along the bottom, at most TICK_COUNT of them
+const XAxis = ({ buckets, getX }) => {
+  const every = Math.max(1, Math.ceil(buckets.length / TICK_COUNT));
+  return buckets.map((row, i) => i % every === 0 && (
+    <text key={row.bucket} x={getX(i)} y={HEIGHT - 8} className="chart-tick" textAnchor="middle">
+      {formatBucket(row.bucket)}
+    </text>
+  ));
+};
+
+const YAxis = ({ max, format = value => value }) => [0, max / 2, max].filter(Number.isInteger).map(value => {
+  const y = MARGIN.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+  return (
+    <g key={value}>
+      <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y} y2={y} className="chart-grid" />
+      <text x={MARGIN.left - 6} y={y + 4} className="chart-tick" textAnchor="end">{format(value)}</text>
+    </g>
+  );
+});
+
+const EmptyChart = () => <p className="dashboard-empty">No searches in this range.</p>;
+
+const Legend = ({ items }) => (
+  <div className="legend">
+    {items.map(item => (
+      <div key={item.label} className="legend-item">
+        <div className="chart-swatch" style={{ background: item.color }}></div>
+        <span>{item.label}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// Searches logged before outcomes were recorded
+const UNRECORDED = { key: 'unrecorded', label: 'Not recorded', color: '#2a2a3e' };
+
+// Searches per bucket, stacked by how they were answered
+export const SearchesChart = ({ buckets }) => {
+  if (buckets.length === 0) return <EmptyChart />;
+
+  const max = niceMax(Math.max(...buckets.map(row => row.searches)));
+  const band = PLOT_WIDTH / buckets.length;
+  const barWidth = Math.max(1, band * 0.8);
+  const getX = (i) => MARGIN.left + band * (i + 0.5);
+  const getHeight = (value) => (value / max) * PLOT_HEIGHT;
+  const baseline = MARGIN.top + PLOT_HEIGHT;
+  const hasUnrecorded = buckets.some(row => row.searches > countKnownOutcomes(row));
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="dashboard-chart" role="img" aria-label="Searches over time">
+        <YAxis max={max} />
+        {buckets.map((row, i) => {
+          const segments = [...OUTCOMES.map(outcome => ({ ...outcome, count: row[outcome.key] })),
+            { ...UNRECORDED, count: row.searches - countKnownOutcomes(row) }];
+          let top = baseline;
+          return (
+            <g key={row.bucket}>
+              <title>
+                {`${formatBucket(row.bucket)}: ${row.searches} searches (${segments
+                  .filter(segment => segment.count > 0)
+                  .map(segment => `${segment.count} ${segment.label.toLowerCase()}`)
+                  .join(', ')})`}
+              </title>
+              {segments.filter(segment => segment.count > 0).map(segment => {
+                top -= getHeight(segment.count);
+                return (
+                  <rect key={segment.key} x={getX(i) - barWidth / 2} y={top} width={barWidth} height={getHeight(segment.count)} fill={segment.color} />
+                );
+              })}
+            </g>
+          );
+        })}
+        <XAxis buckets={buckets} getX={getX} />
+      </svg>
+      <Legend items={hasUnrecorded ? [...OUTCOMES, UNRECORDED] : OUTCOMES} />
+    </>
+  );
+};
+
+const RATE_LINES = [
+  { key: 'hits', label: 'Cache hit rate', color: '#FFD700' },
+  { key: 'errors', label: 'Error rate', color: '#FF6B6B' }
+];
+
+// Cache hit and error rates, broken where a bucket had no recorded outcomes
+export const RatesChart = ({ buckets }) => {
+  if (buckets.length === 0) return <EmptyChart />;
+
+  const band = PLOT_WIDTH / buckets.length;
+  const getX = (i) => MARGIN.left + band * (i + 0.5);
+  const getY = (rate) => MARGIN.top + PLOT_HEIGHT - (rate / 100) * PLOT_HEIGHT;
+
+  const lines = RATE_LINES.map(line => {
+    const points = buckets.map((row, i) => ({ row, i, rate: getOutcomeRate(row, line.key) }));
+    const segments = points.reduce((result, point) => {
+      if (point.rate === null) {
+        result.push([]);
+      } else {
+        result.at(-1).push(`${getX(point.i).toFixed(1)},${getY(point.rate).toFixed(1)}`);
+      }
+      return result;
+    }, [[]]).filter(segment => segment.length > 1);
+    return { ...line, points: points.filter(point => point.rate !== null), segments };
+  });
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="dashboard-chart" role="img" aria-label="Cache hit and error rates over time">
+        <YAxis max={100} format={value => `${value}%`} />
+        {lines.map(line => (
+          <g key={line.key}>
+            {line.segments.map(segment => (
+              <polyline key={segment[0]} points={segment.join(' ')} className="chart-line" stroke={line.color} />
+            ))}
+            {line.points.map(({ row, i, rate }) => (
+              <circle key={row.bucket} cx={getX(i)} cy={getY(rate)} r={buckets.length > 60 ? 1.5 : 3} fill={line.color}>
+                <title>{`${formatBucket(row.bucket)}: ${line.label.toLowerCase()} ${rate.toFixed(1)}% of ${countKnownOutcomes(row)} searches`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+        <XAxis buckets={buckets} getX={getX} />
+      </svg>
+      <Legend items={RATE_LINES} />
+    </>
+  );
+};
+
+// Horizontal bars for the most searched queries
+export const TopQueriesChart = ({ topSearches }) => {
+  if (topSearches.length === 0) return <EmptyChart />;
+
+  const max = Math.max(...topSearches.map(row => row.count));
+  return (
+    <div className="bar-list">
+      {topSearches.map(({ query, count }) => (
+        <div key={query} className="bar-row">
+          <span className="bar-label" title={query}>{query}</span>
+          <div className="bar-track">
+            <div className="bar-fill" style={{ width: `${(count / max) * 100}%` }}></div>
+          </div>
+          <span className="bar-value">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Searched places as circles sized by how often they were picked
+export const PlacesMap = ({ places }) => {
+  const maxSearches = Math.max(1, ...places.map(place => place.searches));
+
+  return (
+    <WorldMap label="Map of searched places">
+      {places.map(place => {
+        const [x, y] = projectPoint(place.lon, place.lat, MAP_WIDTH);
+        return (
+          <circle key={place.id} cx={x} cy={y} r={3 + 9 * Math.sqrt(place.searches / maxSearches)} className="map-place">
+            <title>{`${place.display_name}: ${place.searches} ${place.searches === 1 ? 'search' : 'searches'}`}</title>
+          </circle>
+        );
+      })}
+    </WorldMap>
+  );
+};
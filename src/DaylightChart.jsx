@@ -0,0 +1,84 @@
+// src/DaylightChart.jsx
+import { useEffect, useRef } from 'react';
+import { CHART_HEIGHT, CHART_WIDTH, drawDaylightChart, drawHoverIndicator, getDayAtX } from './chartRenderer';
+
+// The annual chart plus a transparent overlay canvas for the hover line, so
+// hovering never redraws the full chart. The hovered day is owned by the page,
+// which also shows it in the info panel.
+const DaylightChart = ({
+  series,
+  daylightDataMap,
+  year,
+  hoveredDay,
+  onHoverDay,
+  showTwilight = false,
+  chartMode = 'duration',
+  markers
+}) => {
+  const canvasRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
+
+  // Draw static visualization
+  useEffect(() => {
+    if (!canvasRef.current || Object.keys(daylightDataMap).length === 0) return;
+
+    const canvas = canvasRef.current;
+    drawDaylightChart(canvas.getContext('2d'), canvas.width, canvas.height, {
+      series,
+      daylightDataMap,
+      showTwilight,
+      chartMode,
+      markers
+    });
+  }, [daylightDataMap, series, showTwilight, chartMode, markers]);
+
+  // Draw hover indicator on overlay canvas
+  useEffect(() => {
+    if (!overlayCanvasRef.current || Object.keys(daylightDataMap).length === 0) return;
+
+    const canvas = overlayCanvasRef.current;
+    drawHoverIndicator(canvas.getContext('2d'), canvas.width, canvas.height, {
+      hoveredDay,
+      year,
+      series,
+      daylightDataMap,
+      showTwilight,
+      chartMode
+    });
+  }, [hoveredDay, daylightDataMap, series, year, showTwilight, chartMode]);
+
+  const handleMouseMove = (e) => {
+    const canvas = overlayCanvasRef.current;
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    onHoverDay(getDayAtX(e.clientX - rect.left, canvas.width, year));
+  };
+
+  return (
+    <div className="canvas-container">
+      <div style={{ position: 'relative', display: 'inline-block' }}>
+        <canvas
+          ref={canvasRef}
+          width={CHART_WIDTH}
+          height={CHART_HEIGHT}
+        />
+        <canvas
+          ref={overlayCanvasRef}
+          width={CHART_WIDTH}
+          height={CHART_HEIGHT}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => onHoverDay(null)}
+          style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            cursor: 'crosshair',
+            pointerEvents: 'all'
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default DaylightChart;
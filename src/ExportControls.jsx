@@ -0,0 +1,74 @@
+// src/ExportControls.jsx
+import { useState } from 'react';
+import { exportChartPng, exportChartSvg } from './chartExport';
+import { CHART_WIDTH } from './chartRenderer';
+import { exportData } from './dataExport';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// The server's sunrise and sunset calendar for a location, as a webcal:// link
+// that calendar apps subscribe to
+const getCalendarUrl = (location) => {
+  const params = new URLSearchParams({ lat: location.lat, lng: location.lng, name: location.name });
+  if (location.elevation) params.set('elevation', location.elevation);
+  return `${API_URL.replace(/^https?:/, 'webcal:')}/api/daylight.ics?${params}`;
+};
+
+// Chart image and data table downloads, and calendar subscriptions for
+// `locations`. getChartExport(extension) returns the renderer, size, legend
+// and filename for chartExport.
+const ExportControls = ({ getChartExport, series, daylightDataMap, dataFilename, locations }) => {
+  const [exportScale, setExportScale] = useState(2);
+
+  const handleExportPng = async () => {
+    try {
+      await exportChartPng({ ...getChartExport('png'), scale: exportScale });
+    } catch (error) {
+      console.error('Export error:', error);
+    }
+  };
+
+  const handleExportSvg = () => {
+    exportChartSvg(getChartExport('svg'));
+  };
+
+  // Raw daylight table for every plotted curve, in each location's time zone
+  const handleExportData = (format) => {
+    exportData(format, series, daylightDataMap, dataFilename);
+  };
+
+  return (
+    <div className="export-controls">
+      <span className="control-label">Export Chart</span>
+      <select
+        className="year-select"
+        value={exportScale}
+        onChange={(e) => setExportScale(Number(e.target.value))}
+        aria-label="PNG export scale"
+      >
+        {[1, 2, 3, 4].map(scale => (
+          <option key={scale} value={scale}>{scale}x ({CHART_WIDTH * scale}px)</option>
+        ))}
+      </select>
+      <button className="toggle-btn" onClick={handleExportPng}>PNG</button>
+      <button className="toggle-btn" onClick={handleExportSvg}>SVG</button>
+      <span className="control-label">Export Data</span>
+      <button className="toggle-btn" onClick={() => handleExportData('csv')}>CSV</button>
+      <button className="toggle-btn" onClick={() => handleExportData('json')}>JSON</button>
+      <button className="toggle-btn" onClick={() => handleExportData('ics')}>Calendar (.ics)</button>
+      <span className="control-label">Subscribe</span>
+      {locations.map(location => (
+        <a
+          key={location.id}
+          className="toggle-btn"
+          href={getCalendarUrl(location)}
+          title={`Sunrise and sunset calendar for ${location.name}, kept up to date by your calendar app`}
+        >
+          {location.name}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default ExportControls;
@@ -0,0 +1,134 @@
+// src/HoverInfoPanel.jsx
+import { DAY_TYPES, getTwilightWindows } from './daylight';
+import { getSeriesDay } from './daylightData';
+import { formatTime, formatTimeZoneName } from './timeZones';
+
+const formatTwilightBand = (band, timeZone) => {
+  if (band.state === 'none') return 'None';
+  if (band.state === 'all-night') return 'All night';
+  if (band.state === 'all-day') return 'All day';
+  return band.windows
+    .map(([start, end]) => `${formatTime(start, timeZone)}–${formatTime(end, timeZone)}`)
+    .join(', ');
+};
+
+const formatDuration = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+};
+
+// Effective sunrise or sunset over a horizon profile, when there is one
+const formatEffectiveTime = (time, effective, timeZone) => {
+  if (time) return formatTime(time, timeZone);
+  return effective.daylightHours === 0 ? 'Behind terrain' : 'Up at midnight';
+};
+
+// When a marked event happens: its local time, roughly for the apsides, or
+// nothing for the user's own dates
+const formatMarkerTime = (marker, timeZone) => {
+  if (!marker.time) return '';
+  return `${marker.approximate ? '≈ ' : ''}${formatTime(marker.time, timeZone)}`;
+};
+
+// A row with the level-horizon value and, for locations with a horizon
+// profile, the effective one beside it
+const DataRow = ({ label, value, effective }) => (
+  <div className="data-row">
+    <span className="label">{label}</span>
+    <span className="value">
+      {effective === undefined ? value : (
+        <>
+          <span className="value-column">{value}</span>
+          <span className="value-column value-effective">{effective}</span>
+        </>
+      )}
+    </span>
+  </div>
+);
+
+// Sunrise, solar noon, sunset and daylight for every series on the hovered
+// day, in each location's own time zone, plus any events marked on it
+const HoverInfoPanel = ({ series, daylightDataMap, year, hoveredDay, showTwilight = false, markers = {} }) => {
+  const firstLocationData = daylightDataMap[series[0]?.id];
+  if (hoveredDay === null || !firstLocationData?.[hoveredDay]) return null;
+
+  const date = firstLocationData[hoveredDay].date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+
+  const locationData = series.map(loc => {
+    const seriesDay = getSeriesDay(hoveredDay, year, loc.year);
+    const data = daylightDataMap[loc.id]?.[seriesDay];
+    if (!data) {
+      return { name: loc.name, color: loc.color, sunrise: 'N/A', sunset: 'N/A', solarNoon: 'N/A', daylight: 'N/A', events: [] };
+    }
+
+    const polarLabel = data.dayType === DAY_TYPES.MIDNIGHT_SUN ? 'Midnight sun'
+      : data.dayType === DAY_TYPES.POLAR_NIGHT ? 'Polar night' : null;
+
+    return {
+      name: loc.name,
+      color: loc.color,
+      timeZone: formatTimeZoneName(data.solarNoon, loc.timeZone),
+      sunrise: polarLabel || formatTime(data.sunrise, loc.timeZone),
+      sunset: polarLabel || formatTime(data.sunset, loc.timeZone),
+      solarNoon: formatTime(data.solarNoon, loc.timeZone),
+      twilight: getTwilightWindows(data).map(band => ({
+        label: band.label,
+        value: formatTwilightBand(band, loc.timeZone)
+      })),
+      daylight: formatDuration(data.daylightHours),
+      events: (markers[loc.id] || [])
+        .filter(marker => marker.day === seriesDay)
+        .map(marker => ({ key: marker.key, name: marker.name, color: marker.color, time: formatMarkerTime(marker, loc.timeZone) })),
+      effective: data.effective && {
+        sunrise: formatEffectiveTime(data.effective.sunrise, data.effective, loc.timeZone),
+        sunset: formatEffectiveTime(data.effective.sunset, data.effective, loc.timeZone),
+        daylight: formatDuration(data.effective.daylightHours)
+      }
+    };
+  });
+
+  return (
+    <div className="info-panel">
+      <h3>{date}</h3>
+      <div className="location-data-grid">
+        {locationData.map((data, idx) => (
+          <div key={idx} className="location-data-card" style={{ borderLeft: `4px solid ${data.color}` }}>
+            <div className="location-data-name">
+              {data.name}
+              {data.timeZone && <span className="location-data-zone">{data.timeZone}</span>}
+            </div>
+            <div className="location-data-details">
+              {data.events.map(event => (
+                <div key={event.key} className="data-row marker-event">
+                  <span className="label">
+                    <span className="marker-dot" style={{ backgroundColor: event.color }}></span>
+                    {event.name}
+                  </span>
+                  <span className="value">{event.time}</span>
+                </div>
+              ))}
+              {data.effective && (
+                <div className="data-row data-row-heading">
+                  <span className="label"></span>
+                  <span className="value">
+                    <span className="value-column">Geometric</span>
+                    <span className="value-column">Effective</span>
+                  </span>
+                </div>
+              )}
+              <DataRow label="Sunrise" value={data.sunrise} effective={data.effective?.sunrise} />
+              <DataRow label="Solar Noon" value={data.solarNoon} />
+              <DataRow label="Sunset" value={data.sunset} effective={data.effective?.sunset} />
+              <DataRow label="Daylight" value={data.daylight} effective={data.effective?.daylight} />
+              {showTwilight && data.twilight && data.twilight.map(band => (
+                <DataRow key={band.label} label={`${band.label} Twilight`} value={band.value} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HoverInfoPanel;
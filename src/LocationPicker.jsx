@@ -0,0 +1,145 @@
+// src/LocationPicker.jsx
+import { useState } from 'react';
+import MapPicker from './MapPicker';
+import TerrainEditor from './TerrainEditor';
+import { INPUT_FORMATS, formatCoordinates } from './coordinates';
+import useLocationSearch from './useLocationSearch';
+
+// Search box with geocoding suggestions (or the point typed coordinates and
+// location codes stand for), a map to pick points on instead, and the list of
+// chosen locations with their terrain
+const LocationPicker = ({ locations, setLocations, maxLocations }) => {
+  const [showMap, setShowMap] = useState(false);
+  const [terrainId, setTerrainId] = useState(null);
+  const {
+    searchQuery,
+    setSearchQuery,
+    suggestions,
+    isSearching,
+    notice,
+    typedPoint,
+    inputError,
+    pendingPoint,
+    addLocation,
+    addTypedPoint,
+    addPoint,
+    removeLocation
+  } = useLocationSearch(locations, setLocations, maxLocations);
+
+  const terrainLocation = locations.find(location => location.id === terrainId);
+
+  // Replace a location's elevation and horizon profile; undefined removes them
+  const saveTerrain = ({ elevation, horizon }) => {
+    setLocations(locations.map(location => {
+      if (location.id !== terrainId) return location;
+      const { elevation: _elevation, horizon: _horizon, ...rest } = location;
+      return {
+        ...rest,
+        ...(elevation !== undefined && { elevation }),
+        ...(horizon && { horizon })
+      };
+    }));
+    setTerrainId(null);
+  };
+
+  return (
+    <>
+      <div className="search-section">
+        <div className="search-container">
+          <input
+            type="text"
+            placeholder="Search for a city or address, or enter coordinates..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') addTypedPoint();
+            }}
+            className="search-input"
+            aria-invalid={Boolean(inputError)}
+            aria-describedby={inputError ? 'search-input-error' : undefined}
+          />
+          {isSearching && <span className="search-loading">Searching...</span>}
+          {typedPoint && (
+            <div className="suggestions-dropdown">
+              <div className="suggestion-item" onClick={addTypedPoint}>
+                {typedPoint.label}
+                <span className="suggestion-detail">
+                  {typedPoint.format === 'decimal' ? '' : `${formatCoordinates(typedPoint.lat, typedPoint.lng)} · `}
+                  {INPUT_FORMATS[typedPoint.format]} · press Enter to add
+                </span>
+              </div>
+            </div>
+          )}
+          {inputError && <p id="search-input-error" className="search-notice" role="alert">{inputError}</p>}
+          {suggestions.length > 0 && (
+            <div className="suggestions-dropdown">
+              {suggestions.map((suggestion, idx) => (
+                <div
+                  key={idx}
+                  className="suggestion-item"
+                  onClick={() => addLocation(suggestion)}
+                >
+                  {suggestion.display_name}
+                </div>
+              ))}
+            </div>
+          )}
+          {notice && <p className="search-notice" role="status">{notice}</p>}
+        </div>
+        <button
+          className={`toggle-btn map-toggle ${showMap ? 'active' : ''}`}
+          onClick={() => setShowMap(!showMap)}
+          aria-pressed={showMap}
+        >
+          Pick on Map
+        </button>
+      </div>
+
+      {showMap && <MapPicker locations={locations} pendingPoint={pendingPoint} onPick={addPoint} />}
+
+      <div className="locations-list">
+        {locations.map((location) => (
+          <div key={location.id} className="location-chip" style={{ borderLeft: `4px solid ${location.color}` }}>
+            <div className="location-info">
+              <div className="location-name">{location.name}</div>
+              <div className="location-coords">
+                {location.lat.toFixed(4)}°, {location.lng.toFixed(4)}° · {location.timeZone}
+                {location.elevation !== undefined && ` · ${location.elevation} m`}
+                {location.horizon && ' · horizon profile'}
+              </div>
+            </div>
+            <button
+              className={`remove-btn terrain-btn ${location.id === terrainId ? 'active' : ''}`}
+              onClick={() => setTerrainId(location.id === terrainId ? null : location.id)}
+              aria-label={`Elevation and horizon for ${location.name}`}
+              aria-pressed={location.id === terrainId}
+              title="Elevation and horizon"
+            >
+              ⛰
+            </button>
+            {locations.length > 1 && (
+              <button
+                className="remove-btn"
+                onClick={() => removeLocation(location.id)}
+                aria-label="Remove location"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {terrainLocation && (
+        <TerrainEditor
+          key={terrainLocation.id}
+          location={terrainLocation}
+          onSave={saveTerrain}
+          onClose={() => setTerrainId(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,133 @@
+// src/LocationSets.jsx
+import { useState } from 'react';
+import useLocationSets from './useLocationSets';
+import { getTimeZone } from './timeZones';
+
+const toLocations = (setLocations) => setLocations.map((location, i) => ({
+  id: i + 1,
+  ...location,
+  timeZone: getTimeZone(location.lat, location.lng)
+}));
+
+const isShowing = (set, locations) => set.locations.length === locations.length &&
+  set.locations.every((location, i) => location.name === locations[i].name &&
+    location.lat === locations[i].lat && location.lng === locations[i].lng);
+
+// Inline name field for saving or renaming a set
+const NameForm = ({ initialName = '', submitLabel, onSubmit, onCancel }) => {
+  const [name, setName] = useState(initialName);
+
+  return (
+    <form
+      className="control-group"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if (name.trim() && await onSubmit(name)) onCancel();
+      }}
+    >
+      <input
+        type="text"
+        className="set-name-input"
+        placeholder="Set name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+        }}
+        maxLength={80}
+        aria-label="Set name"
+        autoFocus
+      />
+      <button type="submit" className="toggle-btn active">{submitLabel}</button>
+      <button type="button" className="toggle-btn" onClick={onCancel}>Cancel</button>
+    </form>
+  );
+};
+
+// Saved location sets: one click loads a set in place of the current
+// locations, and the current ones can be saved as a new set
+const LocationSets = ({ locations, setLocations, maxLocations }) => {
+  const { sets, isOffline, isLocked, isLoading, error, saveSet, renameSet, deleteSet } = useLocationSets();
+  const [isSaving, setIsSaving] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const loadSet = (set) => {
+    setLocations(toLocations(set.locations.slice(0, maxLocations)));
+    setNotice(set.locations.length > maxLocations
+      ? `Only the first ${maxLocations} of the ${set.locations.length} locations in "${set.name}" fit on this page.`
+      : '');
+  };
+
+  return (
+    <>
+      <div className="location-sets">
+        <span className="control-label">Saved Sets</span>
+        {isLoading && <span className="location-sets-empty">Loading…</span>}
+        {!isLoading && sets.length === 0 && !isSaving && (
+          <span className="location-sets-empty">None yet</span>
+        )}
+        {sets.map(set => (renamingId === set.id ? (
+          <NameForm
+            key={set.id}
+            initialName={set.name}
+            submitLabel="Rename"
+            onSubmit={(name) => renameSet(set, name)}
+            onCancel={() => setRenamingId(null)}
+          />
+        ) : (
+          <span key={set.id} className={`year-chip set-chip ${isShowing(set, locations) ? 'active' : ''}`}>
+            <button
+              className="set-load"
+              onClick={() => loadSet(set)}
+              title={set.locations.map(location => location.name).join(' · ')}
+            >
+              {set.name}
+              {set.local && <span className="set-local"> (this browser)</span>}
+            </button>
+            {(set.local || !isLocked) && (
+              <>
+                <button className="remove-btn set-rename" onClick={() => setRenamingId(set.id)} aria-label={`Rename ${set.name}`}>
+                  ✎
+                </button>
+                <button
+                  className="remove-btn"
+                  onClick={() => {
+                    if (window.confirm(`Delete the saved set "${set.name}"${set.local ? '' : ' for everyone'}?`)) deleteSet(set);
+                  }}
+                  aria-label={`Delete ${set.name}`}
+                >
+                  ×
+                </button>
+              </>
+            )}
+          </span>
+        )))}
+        {isSaving ? (
+          <NameForm
+            submitLabel="Save"
+            onSubmit={(name) => saveSet(name, locations)}
+            onCancel={() => setIsSaving(false)}
+          />
+        ) : (
+          <button className="toggle-btn" onClick={() => setIsSaving(true)}>
+            Save Current Set
+          </button>
+        )}
+      </div>
+      {isOffline && (
+        <p className="location-sets-status" role="status">
+          The server can&apos;t be reached, so sets are saved in this browser and shared once it&apos;s back.
+        </p>
+      )}
+      {isLocked && !isOffline && (
+        <p className="location-sets-status" role="status">
+          Only editors can change the shared sets on this server, so sets you save stay in this browser.
+        </p>
+      )}
+      {(error || notice) && <p className="search-notice location-sets-status" role="alert">{error || notice}</p>}
+    </>
+  );
+};
+
+export default LocationSets;
@@ -0,0 +1,39 @@
+// src/MapPicker.jsx
+import { useState } from 'react';
+import WorldMap, { MAP_WIDTH } from './WorldMap';
+import { formatCoordinates } from './coordinates';
+import { projectPoint } from './mapProjection';
+
+// World map to click a location onto, showing the chosen locations in their
+// colors and the point being named while the server looks it up
+const MapPicker = ({ locations, pendingPoint, onPick }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const toMap = ({ lat, lng }) => projectPoint(lng, lat, MAP_WIDTH);
+
+  let hint = 'Click anywhere to add that point as a location';
+  if (pendingPoint) {
+    hint = `Naming ${formatCoordinates(pendingPoint.lat, pendingPoint.lng)}…`;
+  } else if (hovered) {
+    hint = formatCoordinates(...hovered);
+  }
+
+  return (
+    <div className="map-picker">
+      <WorldMap label="Map to pick a location on" onPick={pendingPoint ? undefined : onPick} onHover={setHovered}>
+        {locations.map(location => {
+          const [x, y] = toMap(location);
+          return (
+            <circle key={location.id} cx={x} cy={y} r={5} fill={location.color} className="map-location">
+              <title>{location.name}</title>
+            </circle>
+          );
+        })}
+        {pendingPoint && <circle cx={toMap(pendingPoint)[0]} cy={toMap(pendingPoint)[1]} r={5} className="map-pending" />}
+      </WorldMap>
+      <p className="map-picker-hint" role="status">{hint}</p>
+    </div>
+  );
+};
+
+export default MapPicker;
@@ -0,0 +1,100 @@
+// src/MarkerControls.jsx
+import { useState } from 'react';
+import { MAX_CUSTOM_DATES, MAX_CUSTOM_LABEL_LENGTH } from './markers';
+
+const formatMonthDay = ({ month, day }) =>
+  new Date(2000, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Form for a date of the user's own: only its month and day are kept, so it
+// is marked every year
+const CustomDateForm = ({ year, onAdd, onCancel }) => {
+  const [date, setDate] = useState(`${year}-01-01`);
+  const [label, setLabel] = useState('');
+
+  return (
+    <form
+      className="control-group"
+      onSubmit={(e) => {
+        e.preventDefault();
+        const [, month, day] = date.split('-').map(Number);
+        if (month && day && label.trim()) onAdd({ month, day, label: label.trim() });
+      }}
+    >
+      <input
+        type="date"
+        className="set-name-input"
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        aria-label="Date to mark"
+        required
+      />
+      <input
+        type="text"
+        className="set-name-input"
+        placeholder="Label"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+        }}
+        maxLength={MAX_CUSTOM_LABEL_LENGTH}
+        aria-label="Marker label"
+        autoFocus
+      />
+      <button type="submit" className="toggle-btn active">Add</button>
+      <button type="button" className="toggle-btn" onClick={onCancel}>Cancel</button>
+    </form>
+  );
+};
+
+// Which extra markers the chart shows, and the user's own dates
+const MarkerControls = ({ year, options, setOptions, customDates, setCustomDates }) => {
+  const [isAdding, setIsAdding] = useState(false);
+
+  // A date already marked gets the new label
+  const addDate = (date) => {
+    setCustomDates([...customDates.filter(d => d.month !== date.month || d.day !== date.day), date]
+      .sort((a, b) => a.month - b.month || a.day - b.day));
+    setIsAdding(false);
+  };
+
+  return (
+    <div className="year-controls marker-controls">
+      <span className="control-label">Markers</span>
+      <button
+        className={`toggle-btn ${options.apsides ? 'active' : ''}`}
+        onClick={() => setOptions({ ...options, apsides: !options.apsides })}
+      >
+        Perihelion &amp; Aphelion
+      </button>
+      <button
+        className={`toggle-btn ${options.extremes ? 'active' : ''}`}
+        onClick={() => setOptions({ ...options, extremes: !options.extremes })}
+      >
+        Earliest Sunset &amp; Latest Sunrise
+      </button>
+
+      {customDates.map(date => (
+        <span key={`${date.month}-${date.day}`} className="year-chip">
+          {date.label} <span className="marker-date">{formatMonthDay(date)}</span>
+          <button
+            className="remove-btn"
+            onClick={() => setCustomDates(customDates.filter(d => d !== date))}
+            aria-label={`Remove ${date.label}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {isAdding ? (
+        <CustomDateForm year={year} onAdd={addDate} onCancel={() => setIsAdding(false)} />
+      ) : customDates.length < MAX_CUSTOM_DATES && (
+        <button className="toggle-btn" onClick={() => setIsAdding(true)}>
+          + Custom Date
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MarkerControls;
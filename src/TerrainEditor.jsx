@@ -0,0 +1,128 @@
+// src/TerrainEditor.jsx
+import { useState } from 'react';
+import { MAX_ELEVATION } from './daylight';
+import { parseHorizonCsv } from './horizon';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const describeHorizon = (horizon) => {
+  const highest = horizon.reduce((top, point) => (point.altitude > top.altitude ? point : top));
+  return `${horizon.length} ${horizon.length === 1 ? 'point' : 'points'}, highest ${highest.altitude}° towards ${highest.azimuth}°`;
+};
+
+// Observer elevation and horizon profile for one location. The elevation is
+// typed in or looked up from the server's elevation model; the profile is a
+// CSV of azimuth,altitude lines, uploaded or pasted.
+const TerrainEditor = ({ location, onSave, onClose }) => {
+  const [elevation, setElevation] = useState(location.elevation === undefined ? '' : String(location.elevation));
+  const [horizonText, setHorizonText] = useState(location.horizon
+    ? location.horizon.map(point => `${point.azimuth},${point.altitude}`).join('\n')
+    : '');
+  const [lookupNotice, setLookupNotice] = useState('');
+  const [isLookingUp, setIsLookingUp] = useState(false);
+
+  const elevationValue = elevation.trim() === '' ? undefined : Number(elevation);
+  const elevationError = elevationValue !== undefined && !(Math.abs(elevationValue) <= MAX_ELEVATION)
+    ? `Elevation must be a number of metres from -${MAX_ELEVATION} to ${MAX_ELEVATION}`
+    : '';
+  const parsedHorizon = horizonText.trim() === '' ? null : parseHorizonCsv(horizonText);
+  const canSave = !elevationError && !parsedHorizon?.error;
+
+  const lookUpElevation = async () => {
+    setIsLookingUp(true);
+    setLookupNotice('');
+    try {
+      const response = await fetch(`${API_URL}/api/elevation?lat=${location.lat}&lng=${location.lng}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setElevation(String(data.elevation));
+      setLookupNotice(`From ${data.source}`);
+    } catch (error) {
+      console.error('Elevation lookup error:', error);
+      setLookupNotice(`Could not look up the elevation: ${error.message}`);
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  const readFile = async (file) => {
+    if (file) setHorizonText(await file.text());
+  };
+
+  return (
+    <form
+      className="info-panel terrain-editor"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!canSave) return;
+        onSave({ elevation: elevationValue, horizon: parsedHorizon?.horizon });
+      }}
+    >
+      <h3>Terrain for {location.name}</h3>
+
+      <div className="control-group">
+        <label htmlFor="terrain-elevation" className="control-label">Elevation (m)</label>
+        <input
+          id="terrain-elevation"
+          type="number"
+          className="set-name-input terrain-elevation"
+          value={elevation}
+          onChange={(e) => setElevation(e.target.value)}
+          placeholder="0"
+          aria-invalid={Boolean(elevationError)}
+        />
+        <button type="button" className="toggle-btn" onClick={lookUpElevation} disabled={isLookingUp}>
+          {isLookingUp ? 'Looking Up…' : 'Look Up'}
+        </button>
+      </div>
+      {elevationError && <p className="search-notice" role="alert">{elevationError}</p>}
+      {lookupNotice && <p className="terrain-note" role="status">{lookupNotice}</p>}
+      <p className="terrain-note">
+        Times are worked out for an observer this high above a level horizon, which then lies a little below eye level.
+      </p>
+
+      <div className="control-group">
+        <label htmlFor="terrain-horizon" className="control-label">Horizon profile</label>
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv,text/plain"
+          className="terrain-file"
+          onChange={(e) => readFile(e.target.files[0])}
+          aria-label="Upload a horizon profile CSV"
+        />
+      </div>
+      <textarea
+        id="terrain-horizon"
+        className="terrain-horizon"
+        rows={6}
+        value={horizonText}
+        onChange={(e) => setHorizonText(e.target.value)}
+        placeholder={'azimuth,altitude\n0,2.5\n90,8\n180,4\n270,12'}
+        spellCheck={false}
+        aria-invalid={Boolean(parsedHorizon?.error)}
+      />
+      {parsedHorizon?.error
+        ? <p className="search-notice" role="alert">{parsedHorizon.error}</p>
+        : (
+          <p className="terrain-note">
+            {parsedHorizon
+              ? describeHorizon(parsedHorizon.horizon)
+              : 'One azimuth,altitude pair per line in degrees: azimuth clockwise from north, altitude of the terrain above level.'}
+            {' '}Effective sunrise and sunset are when the sun clears this terrain.
+          </p>
+        )}
+
+      <div className="control-group">
+        <button type="submit" className="toggle-btn active" disabled={!canSave}>Apply</button>
+        <button type="button" className="toggle-btn" onClick={() => onSave({ elevation: undefined, horizon: undefined })}>
+          Clear Terrain
+        </button>
+        <button type="button" className="toggle-btn" onClick={onClose}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+export default TerrainEditor;
@@ -0,0 +1,78 @@
+// src/WorldMap.jsx
+import { useEffect, useState } from 'react';
+import { feature } from 'topojson-client';
+import { getLandPath, projectPoint, unprojectPoint } from './mapProjection';
+
+export const MAP_WIDTH = 800;
+const MAP_HEIGHT = MAP_WIDTH / 2;
+const GRATICULE_STEP = 30;
+
+// The coastlines are loaded the first time a map shows, which keeps them out
+// of the main bundle
+let landPathPromise = null;
+const loadLandPath = () => {
+  landPathPromise ??= import('world-atlas/land-110m.json').then(({ default: topology }) =>
+    feature(topology, topology.objects.land).features.map(land => getLandPath(land.geometry, MAP_WIDTH)).join('')
+  );
+  return landPathPromise;
+};
+
+const graticule = [
+  ...Array.from({ length: 360 / GRATICULE_STEP - 1 }, (_, i) => {
+    const [x] = projectPoint(-180 + (i + 1) * GRATICULE_STEP, 0, MAP_WIDTH);
+    return `M${x},0V${MAP_HEIGHT}`;
+  }),
+  ...Array.from({ length: 180 / GRATICULE_STEP - 1 }, (_, i) => {
+    const [, y] = projectPoint(0, -90 + (i + 1) * GRATICULE_STEP, MAP_WIDTH);
+    return `M0,${y}H${MAP_WIDTH}`;
+  })
+].join('');
+
+// [lat, lng] under the pointer, from where it is on the drawn map
+const getPointerPosition = (event) => {
+  const box = event.currentTarget.getBoundingClientRect();
+  const [lng, lat] = unprojectPoint(
+    ((event.clientX - box.left) / box.width) * MAP_WIDTH,
+    ((event.clientY - box.top) / box.height) * MAP_HEIGHT,
+    MAP_WIDTH
+  );
+  return [Math.max(-90, Math.min(90, lat)), Math.max(-180, Math.min(180, lng))];
+};
+
+// Land and graticule under whatever `children` draw in map coordinates (see
+// projectPoint). With `onPick`, clicking calls it with the latitude and
+// longitude, and `onHover` follows the pointer (null once it leaves).
+const WorldMap = ({ label, onPick, onHover, children }) => {
+  const [landPath, setLandPath] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLandPath()
+      .then(path => {
+        if (!cancelled) setLandPath(path);
+      })
+      .catch(error => console.error('Could not load the world map:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <svg
+      viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+      className={`world-map ${onPick ? 'pickable' : ''}`}
+      role="img"
+      aria-label={label}
+      onClick={onPick && ((e) => onPick(...getPointerPosition(e)))}
+      onMouseMove={onHover && ((e) => onHover(getPointerPosition(e)))}
+      onMouseLeave={onHover && (() => onHover(null))}
+    >
+      <rect width={MAP_WIDTH} height={MAP_HEIGHT} className="map-ocean" />
+      <path d={graticule} className="map-graticule" />
+      <path d={landPath} className="map-land" />
+      {children}
+    </svg>
+  );
+};
+
+export default WorldMap;
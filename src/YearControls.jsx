@@ -0,0 +1,100 @@
+// src/YearControls.jsx
+import { useState } from 'react';
+import { MAX_YEAR, MIN_YEAR } from './daylightData';
+
+// Selectable year range for the year picker
+const yearOptions = Array.from({ length: MAX_YEAR - MIN_YEAR + 1 }, (_, i) => MIN_YEAR + i);
+
+// Year picker and Compare Years controls; page-specific toggles are passed
+// as children and sit between the two
+const YearControls = ({ id, year, setYear, locations, compare, maxCompareYears, children }) => {
+  const [yearToAdd, setYearToAdd] = useState(new Date().getFullYear() - 10);
+
+  return (
+    <div className="year-controls">
+      <div className="control-group">
+        <label htmlFor={id} className="control-label">Year</label>
+        <button
+          className="year-step"
+          onClick={() => setYear(Math.max(year - 1, MIN_YEAR))}
+          aria-label="Previous year"
+        >
+          ‹
+        </button>
+        <select
+          id={id}
+          className="year-select"
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value, 10))}
+        >
+          {yearOptions.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+        <button
+          className="year-step"
+          onClick={() => setYear(Math.min(year + 1, MAX_YEAR))}
+          aria-label="Next year"
+        >
+          ›
+        </button>
+      </div>
+
+      {children}
+
+      <button
+        className={`toggle-btn ${compare.enabled ? 'active' : ''}`}
+        onClick={() => compare.setEnabled(!compare.enabled)}
+      >
+        Compare Years
+      </button>
+
+      {compare.enabled && (
+        <div className="control-group">
+          <select
+            className="year-select"
+            value={compare.locationId}
+            onChange={(e) => compare.setLocationId(Number(e.target.value))}
+            aria-label="Location to compare across years"
+          >
+            {locations.map(loc => <option key={loc.id} value={loc.id}>{loc.name}</option>)}
+          </select>
+          {compare.years.map(y => (
+            <span key={y} className="year-chip">
+              {y}
+              <button
+                className="remove-btn"
+                onClick={() => compare.setYears(compare.years.filter(cy => cy !== y))}
+                aria-label={`Remove ${y}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {compare.years.length < maxCompareYears && (
+            <>
+              <select
+                className="year-select"
+                value={yearToAdd}
+                onChange={(e) => setYearToAdd(parseInt(e.target.value, 10))}
+                aria-label="Year to add"
+              >
+                {yearOptions.map(y => <option key={y} value={y}>{y}</option>)}
+              </select>
+              <button
+                className="toggle-btn"
+                onClick={() => {
+                  if (yearToAdd !== year && !compare.years.includes(yearToAdd)) {
+                    compare.setYears([...compare.years, yearToAdd].sort((a, b) => a - b));
+                  }
+                }}
+              >
+                Add Year
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default YearControls;
@@ -0,0 +1,120 @@
+// src/chartExport.js
+import { SvgContext } from './svgContext.js';
+import { downloadBlob } from './download.js';
+
+const LEGEND_PADDING = 20;
+const LEGEND_ROW_HEIGHT = 24;
+const LEGEND_SWATCH_WIDTH = 18;
+const LEGEND_ITEM_GAP = 28;
+const LEGEND_FONT = '13px sans-serif';
+
+// Text can't be measured the same way on a canvas and in SVG, so the legend
+// is laid out with a fixed per-character estimate to keep both outputs identical
+const estimateTextWidth = (text) => text.length * 7;
+
+const layoutLegend = (items, width) => {
+  const positions = [];
+  let x = LEGEND_PADDING;
+  let row = 0;
+
+  items.forEach(item => {
+    const itemWidth = LEGEND_SWATCH_WIDTH + 8 + estimateTextWidth(item.label);
+    if (x > LEGEND_PADDING && x + itemWidth > width - LEGEND_PADDING) {
+      x = LEGEND_PADDING;
+      row += 1;
+    }
+    positions.push({ item, x, row });
+    x += itemWidth + LEGEND_ITEM_GAP;
+  });
+
+  const rows = items.length > 0 ? row + 1 : 0;
+  return { positions, height: rows > 0 ? rows * LEGEND_ROW_HEIGHT + LEGEND_PADDING * 2 : 0 };
+};
+
+// Legend items are { label, color, kind } where kind is 'line', 'dot',
+// 'dotted' or 'dashed' (lines) or 'band' (a translucent box, with optional alpha)
+const drawLegend = (ctx, items, top, width) => {
+  const { positions, height } = layoutLegend(items, width);
+  if (height === 0) return;
+
+  ctx.fillStyle = '#0f0f1e';
+  ctx.fillRect(0, top, width, height);
+  ctx.font = LEGEND_FONT;
+  ctx.textAlign = 'left';
+
+  positions.forEach(({ item, x, row }) => {
+    const centerY = top + LEGEND_PADDING + row * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = item.color;
+    ctx.strokeStyle = item.color;
+
+    if (item.kind === 'dot') {
+      ctx.beginPath();
+      ctx.arc(x + LEGEND_SWATCH_WIDTH / 2, centerY, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    } else if (item.kind === 'band') {
+      ctx.globalAlpha = item.alpha ?? 0.4;
+      ctx.fillRect(x, centerY - 6, LEGEND_SWATCH_WIDTH, 12);
+      ctx.globalAlpha = 1;
+    } else {
+      ctx.setLineDash({ dotted: [2, 3], dashed: [6, 4] }[item.kind] ?? []);
+      ctx.lineWidth = item.kind === 'dotted' ? 1.5 : 3;
+      ctx.beginPath();
+      ctx.moveTo(x, centerY);
+      ctx.lineTo(x + LEGEND_SWATCH_WIDTH, centerY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = '#e0e0e0';
+    ctx.fillText(item.label, x + LEGEND_SWATCH_WIDTH + 8, centerY + 4);
+  });
+};
+
+// Render the chart plus its legend onto any 2D context. `draw(ctx, width, height)`
+// is the page's own chart renderer, so exports match what's on screen.
+const renderExport = (ctx, { draw, width, height, legendItems }) => {
+  draw(ctx, width, height);
+  drawLegend(ctx, legendItems, height, width);
+};
+
+const getExportHeight = (height, width, legendItems) => height + layoutLegend(legendItems, width).height;
+
+// High-resolution PNG: the chart is redrawn at `scale` times its logical size
+// rather than upscaling the on-screen canvas
+export const exportChartPng = ({ draw, width, height, legendItems = [], scale = 2, filename }) => {
+  const totalHeight = getExportHeight(height, width, legendItems);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(totalHeight * scale);
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  renderExport(ctx, { draw, width, height, legendItems });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('PNG export failed'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  });
+};
+
+export const renderChartSvg = ({ draw, width, height, legendItems = [] }) => {
+  const ctx = new SvgContext(width, getExportHeight(height, width, legendItems));
+  renderExport(ctx, { draw, width, height, legendItems });
+  return ctx.toSvg();
+};
+
+export const exportChartSvg = (options) => {
+  const svg = renderChartSvg(options);
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), options.filename);
+};
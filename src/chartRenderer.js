@@ -0,0 +1,441 @@
+// src/chartRenderer.js
+import { DAY_TYPES, TWILIGHTS, getPolarStretches } from './daylight.js';
+import { getDaysInYear, getSeriesDay } from './daylightData.js';
+import { getZonedHours } from './timeZones.js';
+
+// Chart drawing shared by both pages. Renderers take any 2D context: the
+// on-screen canvas, a high-resolution export canvas or an SVG context.
+
+export const CHART_WIDTH = 1200;
+export const CHART_HEIGHT = 500;
+const PADDING = 60;
+
+// One color per curve, assigned in order
+export const COLOR_PALETTE = [
+  '#FFD700', // Gold
+  '#FF6B6B', // Red
+  '#4ECDC4', // Teal
+  '#95E1D3', // Mint
+  '#F38181', // Pink
+  '#AA96DA', // Purple
+  '#FCBAD3', // Light Pink
+  '#A8D8EA', // Sky Blue
+  '#FFE66D', // Yellow
+  '#C7CEEA'  // Lavender
+];
+
+// Fill opacity of each stacked twilight band, from civil out to astronomical
+export const twilightAlphas = [0.3, 0.18, 0.08];
+
+// Top of the chart's stack for a day: daylight alone, or daylight plus every twilight band
+const getStackedHours = (d, showTwilight) => (
+  showTwilight
+    ? TWILIGHTS.reduce((total, band) => total + d.twilight[band.key], d.daylightHours)
+    : d.daylightHours
+);
+
+// Local-clock intervals (hours 0-24) during which the sun is above a level,
+// splitting windows that wrap past midnight
+const getClockIntervals = (start, end, totalHours, timeZone) => {
+  if (totalHours >= 24) return [[0, 24]];
+  if (totalHours <= 0) return [];
+  const startHours = getZonedHours(start, timeZone);
+  const endHours = getZonedHours(end, timeZone);
+  if (isNaN(startHours) || isNaN(endHours)) return [];
+  return startHours <= endHours ? [[startHours, endHours]] : [[startHours, 24], [0, endHours]];
+};
+
+// Levels to shade in clock mode, outermost twilight first so daylight is painted on top
+const getClockLevels = (d, showTwilight) => {
+  const levels = [{ start: 'sunrise', end: 'sunset', hours: d.daylightHours, alpha: 0.35 }];
+  if (showTwilight) {
+    let hours = d.daylightHours;
+    TWILIGHTS.forEach((band, bandIdx) => {
+      hours += d.twilight[band.key];
+      levels.unshift({ start: band.start, end: band.end, hours, alpha: twilightAlphas[bandIdx] });
+    });
+  }
+  return levels;
+};
+
+// Y-axis extent of the daylight-hours chart across every series
+const getHourScale = (daylightDataMap, showTwilight) => {
+  let globalMin = Infinity;
+  let globalMax = -Infinity;
+
+  Object.values(daylightDataMap).forEach(data => {
+    const min = Math.min(...data.map(d => Math.min(d.daylightHours, d.effective?.daylightHours ?? Infinity)));
+    const max = Math.max(...data.map(d => getStackedHours(d, showTwilight)));
+    globalMin = Math.min(globalMin, min);
+    globalMax = Math.max(globalMax, max);
+  });
+
+  return { globalMin, globalMax, hourRange: (globalMax - globalMin) || 1 };
+};
+
+const drawMarker = (ctx, x, y, color) => {
+  ctx.beginPath();
+  ctx.arc(x, y, 4, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+};
+
+// Render the annual chart: daylight hours per day, or sunrise/sunset clock
+// times when chartMode is 'clock'. `markers` holds each series' markers by
+// id (see markers.js).
+export const drawDaylightChart = (ctx, width, height, {
+  series,
+  daylightDataMap,
+  showTwilight = false,
+  chartMode = 'duration',
+  markers = {}
+}) => {
+  const graphWidth = width - (PADDING * 2);
+  const graphHeight = height - (PADDING * 2);
+
+  const { globalMin, globalMax, hourRange } = getHourScale(daylightDataMap, showTwilight);
+
+  // Clear canvas
+  ctx.clearRect(0, 0, width, height);
+
+  // Draw background gradient
+  const bgGradient = ctx.createLinearGradient(0, PADDING, 0, height - PADDING);
+  bgGradient.addColorStop(0, '#1a1a2e');
+  bgGradient.addColorStop(1, '#0f0f1e');
+  ctx.fillStyle = bgGradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // Draw grid lines and labels
+  ctx.strokeStyle = '#333344';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#888899';
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+
+  // Vertical grid (months)
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  months.forEach((month, i) => {
+    const x = PADDING + (graphWidth / 12) * (i + 0.5);
+    ctx.beginPath();
+    ctx.moveTo(x, PADDING);
+    ctx.lineTo(x, height - PADDING);
+    ctx.stroke();
+
+    ctx.fillText(month, x, height - PADDING + 20);
+  });
+
+  // Time-of-day chart: y-axis is the local clock, with a daylight band
+  // between each location's sunrise and sunset curves
+  if (chartMode === 'clock') {
+    const clockY = (hours) => height - PADDING - (hours / 24) * graphHeight;
+
+    // Horizontal grid (time of day)
+    for (let hours = 0; hours <= 24; hours += 3) {
+      const y = clockY(hours);
+
+      ctx.beginPath();
+      ctx.moveTo(PADDING, y);
+      ctx.lineTo(width - PADDING, y);
+      ctx.stroke();
+
+      ctx.textAlign = 'right';
+      ctx.fillText(`${String(hours).padStart(2, '0')}:00`, PADDING - 10, y + 4);
+    }
+
+    series.forEach((location) => {
+      const daylightData = daylightDataMap[location.id];
+      if (!daylightData) return;
+      const daysInYear = daylightData.length;
+      const columnWidth = graphWidth / daysInYear;
+
+      // One column per day handles polar days and DST jumps without special
+      // cases; each level's columns are filled as a single path so the
+      // slightly overlapping edges don't stack their transparency
+      ctx.fillStyle = location.color;
+      const levelCount = showTwilight ? TWILIGHTS.length + 1 : 1;
+      for (let levelIdx = 0; levelIdx < levelCount; levelIdx++) {
+        let alpha = 0;
+        ctx.beginPath();
+        daylightData.forEach((d, i) => {
+          const level = getClockLevels(d, showTwilight)[levelIdx];
+          const x = PADDING + (i / daysInYear) * graphWidth;
+          alpha = level.alpha;
+          getClockIntervals(d[level.start], d[level.end], level.hours, location.timeZone).forEach(([start, end]) => {
+            ctx.moveTo(x, clockY(end));
+            ctx.lineTo(x + columnWidth + 0.5, clockY(end));
+            ctx.lineTo(x + columnWidth + 0.5, clockY(start));
+            ctx.lineTo(x, clockY(start));
+            ctx.closePath();
+          });
+        });
+        ctx.globalAlpha = alpha / Math.max(1, series.length / 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+
+      // Sunrise, sunset and solar noon curves, broken where the event
+      // doesn't happen or wraps past midnight. With a horizon profile the
+      // effective sunrise and sunset are dashed alongside.
+      [
+        { key: 'sunrise', dash: [] },
+        { key: 'sunset', dash: [] },
+        { key: 'solarNoon', dash: [2, 4] },
+        ...(daylightData[0]?.effective ? [
+          { key: 'sunrise', dash: [6, 4], effective: true },
+          { key: 'sunset', dash: [6, 4], effective: true }
+        ] : [])
+      ].forEach(({ key, dash, effective }) => {
+        let previous = null;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        daylightData.forEach((d, i) => {
+          let hours = NaN;
+          if (effective) {
+            hours = d.effective[key] ? getZonedHours(d.effective[key], location.timeZone) : NaN;
+          } else if (key === 'solarNoon' || d.dayType === DAY_TYPES.NORMAL) {
+            hours = getZonedHours(d[key], location.timeZone);
+          }
+          if (isNaN(hours)) {
+            previous = null;
+            return;
+          }
+
+          const x = PADDING + (i / daysInYear) * graphWidth;
+          if (previous === null || Math.abs(hours - previous) > 12) {
+            ctx.moveTo(x, clockY(hours));
+          } else {
+            ctx.lineTo(x, clockY(hours));
+          }
+          previous = hours;
+        });
+        ctx.strokeStyle = location.color;
+        ctx.lineWidth = key === 'solarNoon' ? 1 : 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+    });
+
+    // Markers go on the solar noon curve unless they belong to sunrise or sunset
+    series.forEach((location) => {
+      const daylightData = daylightDataMap[location.id];
+      if (!daylightData) return;
+      (markers[location.id] || []).forEach(marker => {
+        const d = daylightData[marker.day];
+        const key = marker.curve || 'solarNoon';
+        if (key !== 'solarNoon' && d.dayType !== DAY_TYPES.NORMAL) return;
+        const hours = getZonedHours(d[key], location.timeZone);
+        if (isNaN(hours)) return;
+        drawMarker(ctx, PADDING + (marker.day / daylightData.length) * graphWidth, clockY(hours), marker.color);
+      });
+    });
+
+    return;
+  }
+
+  // Horizontal grid (hours)
+  for (let hours = Math.ceil(globalMin); hours <= Math.floor(globalMax); hours += 2) {
+    const y = height - PADDING - ((hours - globalMin) / hourRange) * graphHeight;
+
+    ctx.beginPath();
+    ctx.moveTo(PADDING, y);
+    ctx.lineTo(width - PADDING, y);
+    ctx.stroke();
+
+    ctx.textAlign = 'right';
+    ctx.fillText(`${hours}h`, PADDING - 10, y + 4);
+  }
+
+  // Shade stretches of midnight sun and polar night, with a strip in the
+  // location's color along the top (24h) or bottom (0h) edge
+  series.forEach((location, idx) => {
+    const daylightData = daylightDataMap[location.id];
+    if (!daylightData) return;
+    const daysInYear = daylightData.length;
+    const stripHeight = 4;
+
+    getPolarStretches(daylightData).forEach(stretch => {
+      const x0 = PADDING + (stretch.start / daysInYear) * graphWidth;
+      const x1 = PADDING + ((stretch.end + 1) / daysInYear) * graphWidth;
+      const isMidnightSun = stretch.type === DAY_TYPES.MIDNIGHT_SUN;
+
+      ctx.fillStyle = isMidnightSun ? 'rgba(255, 215, 0, 0.06)' : 'rgba(65, 105, 225, 0.12)';
+      ctx.fillRect(x0, PADDING, x1 - x0, graphHeight);
+
+      ctx.fillStyle = location.color;
+      const stripY = isMidnightSun
+        ? PADDING + idx * stripHeight
+        : height - PADDING - (idx + 1) * stripHeight;
+      ctx.fillRect(x0, stripY, x1 - x0, stripHeight);
+    });
+  });
+
+  // Stack each location's twilight bands on top of its daylight curve
+  if (showTwilight) {
+    series.forEach((location) => {
+      const daylightData = daylightDataMap[location.id];
+      if (!daylightData) return;
+      const daysInYear = daylightData.length;
+      const toY = (hours) => height - PADDING - ((hours - globalMin) / hourRange) * graphHeight;
+
+      TWILIGHTS.forEach((band, bandIdx) => {
+        const lower = daylightData.map(d =>
+          TWILIGHTS.slice(0, bandIdx).reduce((total, b) => total + d.twilight[b.key], d.daylightHours)
+        );
+        const upper = daylightData.map((d, i) => lower[i] + d.twilight[band.key]);
+
+        ctx.globalAlpha = twilightAlphas[bandIdx];
+        ctx.beginPath();
+        upper.forEach((hours, i) => {
+          const x = PADDING + (i / daysInYear) * graphWidth;
+          if (i === 0) {
+            ctx.moveTo(x, toY(hours));
+          } else {
+            ctx.lineTo(x, toY(hours));
+          }
+        });
+        for (let i = lower.length - 1; i >= 0; i--) {
+          ctx.lineTo(PADDING + (i / daysInYear) * graphWidth, toY(lower[i]));
+        }
+        ctx.closePath();
+        ctx.fillStyle = location.color;
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+    });
+  }
+
+  // Draw each location's curve
+  series.forEach((location) => {
+    const daylightData = daylightDataMap[location.id];
+    if (!daylightData) return;
+    const daysInYear = daylightData.length;
+
+    // Draw filled area with reduced opacity for many locations
+    ctx.globalAlpha = series.length <= 3 ? 0.2 : 0.1;
+    ctx.beginPath();
+    ctx.moveTo(PADDING, height - PADDING);
+
+    daylightData.forEach((d, i) => {
+      const x = PADDING + (i / daysInYear) * graphWidth;
+      const y = height - PADDING - ((d.daylightHours - globalMin) / hourRange) * graphHeight;
+      ctx.lineTo(x, y);
+    });
+
+    ctx.lineTo(width - PADDING, height - PADDING);
+    ctx.closePath();
+    ctx.fillStyle = location.color;
+    ctx.fill();
+
+    // Draw border line (thinner for many locations)
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    daylightData.forEach((d, i) => {
+      const x = PADDING + (i / daysInYear) * graphWidth;
+      const y = height - PADDING - ((d.daylightHours - globalMin) / hourRange) * graphHeight;
+
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.strokeStyle = location.color;
+    ctx.lineWidth = series.length <= 5 ? 2 : 1.5;
+    ctx.stroke();
+
+    // Dashed daylight with the terrain of a horizon profile in the way
+    if (daylightData[0]?.effective) {
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      daylightData.forEach((d, i) => {
+        const x = PADDING + (i / daysInYear) * graphWidth;
+        const y = height - PADDING - ((d.effective.daylightHours - globalMin) / hourRange) * graphHeight;
+
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  });
+
+  // Mark each location's curve
+  series.forEach((location) => {
+    const daylightData = daylightDataMap[location.id];
+    if (!daylightData) return;
+    (markers[location.id] || []).forEach(marker => {
+      const x = PADDING + (marker.day / daylightData.length) * graphWidth;
+      const y = height - PADDING - ((daylightData[marker.day].daylightHours - globalMin) / hourRange) * graphHeight;
+      drawMarker(ctx, x, y, marker.color);
+    });
+  });
+};
+
+// Day of the year under an x position on the chart, or null outside the plot
+export const getDayAtX = (x, width, year) => {
+  if (x < PADDING || x > width - PADDING) return null;
+  const daysInYear = getDaysInYear(year);
+  const day = Math.floor(((x - PADDING) / (width - PADDING * 2)) * daysInYear);
+  return Math.min(Math.max(day, 0), daysInYear - 1); // Clamp day to the year's length
+};
+
+// Hover line and a dot on each series for the hovered day, drawn on the
+// overlay canvas. The x position follows the selected year, and every other
+// series is matched by calendar date.
+export const drawHoverIndicator = (ctx, width, height, {
+  hoveredDay,
+  year,
+  series,
+  daylightDataMap,
+  showTwilight = false,
+  chartMode = 'duration'
+}) => {
+  const graphWidth = width - (PADDING * 2);
+  const graphHeight = height - (PADDING * 2);
+  const { globalMin, hourRange } = getHourScale(daylightDataMap, showTwilight);
+
+  ctx.clearRect(0, 0, width, height);
+  if (hoveredDay === null) return;
+
+  const x = PADDING + (hoveredDay / getDaysInYear(year)) * graphWidth;
+
+  // Vertical line
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  ctx.moveTo(x, PADDING);
+  ctx.lineTo(x, height - PADDING);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Highlight points for each location
+  series.forEach(location => {
+    const dayData = daylightDataMap[location.id]?.[getSeriesDay(hoveredDay, year, location.year)];
+    if (!dayData) return;
+
+    // In clock mode mark sunrise, solar noon and sunset; otherwise the daylight total
+    const ys = chartMode === 'clock'
+      ? ['sunrise', 'solarNoon', 'sunset']
+        .filter(key => key === 'solarNoon' || dayData.dayType === DAY_TYPES.NORMAL)
+        .map(key => height - PADDING - (getZonedHours(dayData[key], location.timeZone) / 24) * graphHeight)
+        .filter(y => !isNaN(y))
+      : [height - PADDING - ((dayData.daylightHours - globalMin) / hourRange) * graphHeight];
+
+    ys.forEach(y => {
+      ctx.beginPath();
+      ctx.arc(x, y, 5, 0, Math.PI * 2);
+      ctx.fillStyle = location.color;
+      ctx.fill();
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    });
+  });
+};
@@ -0,0 +1,294 @@
+// src/coordinates.js
+// Latitude/longitude helpers shared by the map picker and the server
+
+// Longitude wrapped into [-180, 180), so a point picked past the edge of the
+// map lands on the other side
+export const normalizeLongitude = (lng) => (lng >= -180 && lng < 180 ? lng : ((((lng + 180) % 360) + 360) % 360) - 180);
+
+export const isValidLatitude = (lat) => Number.isFinite(lat) && lat >= -90 && lat <= 90;
+
+// "47.6062, -122.3321": the label for a point with no place name
+export const formatCoordinates = (lat, lng) => `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+
+// Typed locations the search box takes without geocoding:
+//   decimal     51.5, -0.12 · 51.5N 0.12W · geo:51.5,-0.12
+//   dms         51°30'26"N 0°7'39"W · 51 30 26 N, 0 7 39 W
+//   geohash     gcpvj0d (7 to 12 characters, or any length after "geohash:")
+//   pluscode    9C3XGV4C+XV (full codes only; short ones need a town)
+//   maidenhead  IO91wm (6, 8 or 10 characters)
+// Shorter geohashes and Maidenhead squares look too much like postcodes and
+// words to be told apart, so they're searched as text.
+
+export const INPUT_FORMATS = {
+  decimal: 'Coordinates',
+  dms: 'Degrees, minutes, seconds',
+  geohash: 'Geohash',
+  pluscode: 'Plus Code',
+  maidenhead: 'Maidenhead locator'
+};
+
+class ParseError extends Error {}
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+
+const HEMISPHERE_AXES = { N: 'lat', S: 'lat', E: 'lng', W: 'lng' };
+const MARK_PARTS = { '°': 0, "'": 1, '"': 2 };
+
+const centerOf = (lat, lng, latSize, lngSize) => ({
+  lat: Math.min(90, lat + latSize / 2),
+  lng: Math.min(180, lng + lngSize / 2)
+});
+
+// Bits alternate between longitude and latitude, halving the range each time
+const decodeGeohash = (hash) => {
+  const ranges = { lat: [-90, 90], lng: [-180, 180] };
+  let axis = 'lng';
+  [...hash].forEach(char => {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new ParseError(`"${char}" can't appear in a geohash`);
+    }
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = ranges[axis];
+      range[(value >> bit) & 1 ? 0 : 1] = (range[0] + range[1]) / 2;
+      axis = axis === 'lng' ? 'lat' : 'lng';
+    }
+  });
+  return centerOf(ranges.lat[0], ranges.lng[0], ranges.lat[1] - ranges.lat[0], ranges.lng[1] - ranges.lng[0]);
+};
+
+// Open Location Code: pairs of base-20 digits down to 1/8000°, then a grid of
+// 4 x 5 cells per digit. Codes may end in "0" padding before the "+".
+const decodePlusCode = (code) => {
+  const [before, after] = code.split('+');
+  if (before.length < 8) {
+    throw new ParseError('Short Plus Codes need a town to go with them; enter the full code, e.g. 9C3XGV4C+XV');
+  }
+
+  const padding = /0+$/.exec(before)?.[0] ?? '';
+  const digits = before.slice(0, before.length - padding.length);
+  const valid = digits.length >= 2 && digits.length % 2 === 0 && !digits.includes('0') &&
+    (padding ? after === '' : after.length !== 1) &&
+    [...digits + after].every(char => PLUS_CODE_ALPHABET.includes(char)) &&
+    PLUS_CODE_ALPHABET.indexOf(digits[0]) < 9 && PLUS_CODE_ALPHABET.indexOf(digits[1]) < 18;
+  if (!valid) {
+    throw new ParseError('Not a valid Plus Code');
+  }
+
+  const values = [...digits + after].map(char => PLUS_CODE_ALPHABET.indexOf(char));
+  let lat = -90;
+  let lng = -180;
+  let latSize = 0;
+  let lngSize = 0;
+  values.slice(0, 10).forEach((value, i) => {
+    const resolution = PLUS_CODE_PAIR_RESOLUTIONS[Math.floor(i / 2)];
+    if (i % 2 === 0) {
+      lat += value * resolution;
+      latSize = resolution;
+    } else {
+      lng += value * resolution;
+      lngSize = resolution;
+    }
+  });
+  values.slice(10).forEach(value => {
+    latSize /= 5;
+    lngSize /= 4;
+    lat += Math.floor(value / 4) * latSize;
+    lng += (value % 4) * lngSize;
+  });
+  return centerOf(lat, lng, latSize, lngSize);
+};
+
+// Field (A-R, 20° x 10°), square (0-9), subsquare (a-x), extended square (0-9)
+const decodeMaidenhead = (locator) => {
+  const upper = locator.toUpperCase();
+  const letter = (i) => upper.charCodeAt(i) - 65;
+  const digit = (i) => Number(upper[i]);
+
+  let lngSize = 20;
+  let latSize = 10;
+  let lng = -180 + letter(0) * lngSize;
+  let lat = -90 + letter(1) * latSize;
+  [[2, digit, 10], [4, letter, 24], [6, digit, 10], [8, letter, 24]]
+    .filter(([i]) => i < upper.length)
+    .forEach(([i, read, divisions]) => {
+      lngSize /= divisions;
+      latSize /= divisions;
+      lng += read(i) * lngSize;
+      lat += read(i + 1) * latSize;
+    });
+  return centerOf(lat, lng, latSize, lngSize);
+};
+
+// Numbers with an optional sign and degree, minute or second mark,
+// hemisphere letters, and at most one comma between the two halves
+const COORDINATE_TOKEN = /\s*(?:([NSEW])|([-+]?)(\d+(?:\.\d+)?)\s*([°'"])?|(,))\s*/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  COORDINATE_TOKEN.lastIndex = 0;
+  while (COORDINATE_TOKEN.lastIndex < text.length) {
+    const match = COORDINATE_TOKEN.exec(text);
+    if (!match) return null;
+    const [, hemisphere, sign, number, mark, comma] = match;
+    if (hemisphere) tokens.push({ hemisphere });
+    else if (comma) tokens.push({ comma: true });
+    else tokens.push({ sign, number, mark });
+  }
+  return tokens;
+};
+
+// Two runs of tokens: split at the comma, or at the hemisphere letters
+// (before or after the numbers), or at the second degree mark, or else one
+// number each
+const splitHalves = (tokens) => {
+  const commas = tokens.filter(token => token.comma).length;
+  if (commas > 1) {
+    throw new ParseError('Use one comma, between latitude and longitude');
+  }
+  if (commas === 1) {
+    const at = tokens.findIndex(token => token.comma);
+    return [tokens.slice(0, at), tokens.slice(at + 1)];
+  }
+
+  const hemispheres = tokens.map((token, i) => (token.hemisphere ? i : -1)).filter(i => i >= 0);
+  if (hemispheres.length === 2) {
+    const at = hemispheres[0] === 0 ? hemispheres[1] : hemispheres[0] + 1;
+    return [tokens.slice(0, at), tokens.slice(at)];
+  }
+  const degrees = tokens.map((token, i) => (token.mark === '°' ? i : -1)).filter(i => i > 0);
+  if (hemispheres.length === 0 && degrees.length === 1) {
+    return [tokens.slice(0, degrees[0]), tokens.slice(degrees[0])];
+  }
+  const numbers = tokens.filter(token => token.number);
+  if (hemispheres.length === 0 && numbers.length === 2 && tokens.length === 2) {
+    return [[tokens[0]], [tokens[1]]];
+  }
+  throw new ParseError('Enter a latitude and a longitude, e.g. 51.5, -0.12');
+};
+
+// { value, axis, dms } for one half: degrees, then minutes and seconds, in
+// order or as marked
+const readHalf = (tokens) => {
+  const hemispheres = tokens.filter(token => token.hemisphere);
+  const numbers = tokens.filter(token => token.number);
+  const edges = [tokens[0], tokens.at(-1)];
+  if (numbers.length === 0 || hemispheres.length > 1 || (hemispheres.length === 1 && !edges.includes(hemispheres[0]))) {
+    throw new ParseError('Enter a latitude and a longitude, e.g. 51.5, -0.12');
+  }
+
+  const parts = [0, 0, 0];
+  let part = -1;
+  numbers.forEach((token, i) => {
+    const next = token.mark ? MARK_PARTS[token.mark] : part + 1;
+    if (next <= part || next > 2 || (i > 0 && token.sign)) {
+      throw new ParseError('Write degrees, minutes and seconds in that order, like 51°30\'26"N');
+    }
+    if (token.number.includes('.') && i < numbers.length - 1) {
+      throw new ParseError('Only the last of degrees, minutes and seconds can have decimals');
+    }
+    part = next;
+    parts[part] = Number(token.number);
+  });
+  if (parts[1] >= 60 || parts[2] >= 60) {
+    throw new ParseError('Minutes and seconds must be under 60');
+  }
+
+  const hemisphere = hemispheres[0]?.hemisphere;
+  if (hemisphere && numbers[0].sign) {
+    throw new ParseError(`Use either a sign or ${hemisphere}, not both`);
+  }
+  const negative = numbers[0].sign === '-' || hemisphere === 'S' || hemisphere === 'W';
+  const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return {
+    value: negative ? -value : value,
+    axis: hemisphere ? HEMISPHERE_AXES[hemisphere] : null,
+    dms: part > 0
+  };
+};
+
+const parseLatLng = (text) => {
+  const tokens = tokenize(text.toUpperCase());
+  // Fewer than two numbers is a postcode or a house number, not coordinates
+  if (!tokens || tokens.filter(token => token.number).length < 2) return null;
+
+  const halves = splitHalves(tokens).map(readHalf);
+  const [first, second] = halves;
+  if (first.axis && first.axis === second.axis) {
+    throw new ParseError('Give one latitude (N/S) and one longitude (E/W)');
+  }
+  const latFirst = first.axis === 'lat' || second.axis === 'lng' || (!first.axis && !second.axis);
+  const [lat, lng] = latFirst ? [first.value, second.value] : [second.value, first.value];
+
+  if (!isValidLatitude(lat)) {
+    throw new ParseError('Latitude must be between -90 and 90');
+  }
+  if (lng < -180 || lng > 180) {
+    throw new ParseError('Longitude must be between -180 and 180');
+  }
+  return { format: halves.some(half => half.dms) ? 'dms' : 'decimal', lat, lng };
+};
+
+// What the search box holds: { format, lat, lng, label } for a typed
+// location, { format, error } for one that's malformed, or null for a place
+// name to geocode
+export const parseLocationInput = (input) => {
+  const text = input.trim()
+    .replace(/[′’‘]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/º/g, '°');
+
+  // Coordinates are labelled by themselves, codes by the code
+  const attempt = (format, parse, label = text) => {
+    try {
+      const point = parse();
+      if (!point) return null;
+      const lat = point.lat;
+      const lng = normalizeLongitude(point.lng);
+      return {
+        format: point.format || format,
+        lat,
+        lng,
+        label: format === 'decimal' ? formatCoordinates(lat, lng) : label
+      };
+    } catch (error) {
+      if (error instanceof ParseError) return { format, error: error.message };
+      throw error;
+    }
+  };
+
+  const geoUri = /^geo:(.*?)(?:;.*)?$/i.exec(text);
+  if (geoUri) {
+    return attempt('decimal', () => {
+      const point = parseLatLng(geoUri[1]);
+      if (!point) {
+        throw new ParseError('geo: takes a latitude and a longitude, e.g. geo:51.5,-0.12');
+      }
+      return point;
+    });
+  }
+
+  const geohash = /^geohash:\s*(\S*)$/i.exec(text);
+  if (geohash) {
+    return attempt('geohash', () => {
+      if (geohash[1].length === 0 || geohash[1].length > 12) {
+        throw new ParseError('A geohash has 1 to 12 characters');
+      }
+      return decodeGeohash(geohash[1].toLowerCase());
+    }, geohash[1]);
+  }
+
+  if (/^[0-9A-Z]{2,8}\+[0-9A-Z]*$/i.test(text)) {
+    return attempt('pluscode', () => decodePlusCode(text.toUpperCase()));
+  }
+  if (/^[A-R]{2}\d{2}[A-X]{2}(?:\d{2}(?:[A-X]{2})?)?$/i.test(text)) {
+    return attempt('maidenhead', () => decodeMaidenhead(text));
+  }
+  if (/^[0-9b-hjkmnp-z]{7,12}$/i.test(text) && /\d/.test(text) && /[a-z]/i.test(text)) {
+    return attempt('geohash', () => decodeGeohash(text.toLowerCase()));
+  }
+
+  return attempt('decimal', () => parseLatLng(text));
+};
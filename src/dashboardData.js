@@ -0,0 +1,79 @@
+// src/dashboardData.js
+// Date ranges and chart series for the analytics dashboard. Days
+// (YYYY-MM-DD) and hours (YYYY-MM-DD HH:00) are in UTC, as the API buckets them.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Beyond this the chart is drawn from the buckets that have searches only
+const MAX_FILLED_BUCKETS = 24 * 92;
+
+export const RANGE_PRESETS = [
+  { key: 'today', label: 'Today', days: 1, bucket: 'hour' },
+  { key: '7d', label: '7 days', days: 7, bucket: 'day' },
+  { key: '30d', label: '30 days', days: 30, bucket: 'day' },
+  { key: '90d', label: '90 days', days: 90, bucket: 'day' },
+  { key: 'all', label: 'All time', days: null, bucket: 'day' }
+];
+
+// How searches were answered, as counted per bucket by the API
+export const OUTCOMES = [
+  { key: 'hits', label: 'Cache hit', color: '#FFD700' },
+  { key: 'stale', label: 'Stale cache', color: '#FFA500' },
+  { key: 'misses', label: 'Fetched', color: '#4ECDC4' },
+  { key: 'empty', label: 'No results', color: '#8888AA' },
+  { key: 'errors', label: 'Failed', color: '#FF6B6B' }
+];
+
+const emptyBucket = (bucket) => ({
+  bucket,
+  searches: 0,
+  found: 0,
+  ...Object.fromEntries(OUTCOMES.map(outcome => [outcome.key, 0]))
+});
+
+export const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const formatBucket = (time, bucket) => {
+  const iso = new Date(time).toISOString();
+  return bucket === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+};
+
+const parseBucket = (value) =>
+  Date.parse(value.length > 10 ? `${value.replace(' ', 'T')}:00Z` : `${value}T00:00:00Z`);
+
+// { from, to, bucket } for a preset, ending today
+export const getPresetRange = (preset, now = Date.now()) => ({
+  from: preset.days === null ? '' : formatDay(now - (preset.days - 1) * DAY_MS),
+  to: preset.days === null ? '' : formatDay(now),
+  bucket: preset.bucket
+});
+
+// The API only returns buckets with searches; add the empty ones in between
+// (and up to the ends of the range, but not past `now`) so time runs evenly
+export const fillBuckets = (rows, { bucket, from, to }, now = Date.now()) => {
+  const step = bucket === 'hour' ? HOUR_MS : DAY_MS;
+  const start = from ? parseBucket(from) : rows.length > 0 ? parseBucket(rows[0].bucket) : null;
+  const last = to ? parseBucket(to) + DAY_MS - step : rows.length > 0 ? parseBucket(rows.at(-1).bucket) : null;
+  if (start === null || last === null) return rows;
+
+  const end = Math.min(last, Math.floor(now / step) * step);
+  if ((end - start) / step + 1 > MAX_FILLED_BUCKETS) return rows;
+
+  const byBucket = new Map(rows.map(row => [row.bucket, row]));
+  const filled = [];
+  for (let time = start; time <= end; time += step) {
+    const key = formatBucket(time, bucket);
+    filled.push(byBucket.get(key) ?? emptyBucket(key));
+  }
+  return filled;
+};
+
+// Searches with a recorded outcome; older logs have none
+export const countKnownOutcomes = (row) => OUTCOMES.reduce((sum, outcome) => sum + row[outcome.key], 0);
+
+// Percentage of the searches with a known outcome that had `key` (hits,
+// errors…), or null for buckets without any
+export const getOutcomeRate = (row, key) => {
+  const known = countKnownOutcomes(row);
+  return known > 0 ? (row[key] / known) * 100 : null;
+};
@@ -0,0 +1,254 @@
+// src/dataExport.js
+import { DAY_TYPES, TWILIGHTS } from './daylight.js';
+import { serializeDay } from './daylightData.js';
+import { formatOffset, formatTime, getTimeZoneOffset, getZonedParts } from './timeZones.js';
+import { downloadBlob } from './download.js';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const formatDuration = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+};
+
+const csvColumns = [
+  ['location', 'location'],
+  ['latitude', 'latitude'],
+  ['longitude', 'longitude'],
+  ['time_zone', 'timeZone'],
+  ['elevation_m', 'elevation'],
+  ['date', 'date'],
+  ['day_type', 'dayType'],
+  ['sunrise', 'sunrise'],
+  ['solar_noon', 'solarNoon'],
+  ['sunset', 'sunset'],
+  ['daylight_hours', 'daylightHours'],
+  ...TWILIGHTS.map(band => [`${band.key}_twilight_hours`, `${band.key}TwilightHours`]),
+  // Left empty for locations without a horizon profile
+  ['effective_sunrise', 'effectiveSunrise'],
+  ['effective_sunset', 'effectiveSunset'],
+  ['effective_daylight_hours', 'effectiveDaylightHours']
+];
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsv = (series, daylightDataMap) => {
+  const header = csvColumns.map(([column]) => column).join(',');
+  const lines = series.flatMap(location => {
+    const locationFields = {
+      location: location.name,
+      latitude: location.lat,
+      longitude: location.lng,
+      timeZone: location.timeZone,
+      elevation: location.elevation ?? 0
+    };
+    return (daylightDataMap[location.id] || []).map(d => {
+      const row = { ...locationFields, ...serializeDay(d, location.timeZone) };
+      return csvColumns.map(([, key]) => escapeCsv(row[key])).join(',');
+    });
+  });
+  return [header, ...lines].join('\n') + '\n';
+};
+
+export const buildJson = (series, daylightDataMap) => JSON.stringify({
+  generatedAt: new Date().toISOString(),
+  locations: series.map(location => ({
+    name: location.name,
+    latitude: location.lat,
+    longitude: location.lng,
+    timeZone: location.timeZone,
+    elevation: location.elevation ?? 0,
+    ...(location.horizon && { horizon: location.horizon }),
+    year: location.year,
+    days: (daylightDataMap[location.id] || []).map(d => serializeDay(d, location.timeZone))
+  }))
+}, null, 2);
+
+// --- iCalendar (RFC 5545) ---
+
+const escapeIcsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\n/g, '\\n');
+
+// Content lines are limited to 75 octets; longer ones continue on lines
+// starting with a space
+const encoder = new TextEncoder();
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatIcsLocal = ({ year, month, day, hour, minute, second }) =>
+  `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+
+const formatIcsUtc = (date) => formatIcsLocal({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+  hour: date.getUTCHours(),
+  minute: date.getUTCMinutes(),
+  second: date.getUTCSeconds()
+}) + 'Z';
+
+const formatIcsDate = (date) => `${pad(date.getFullYear(), 4)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// Offset changes in a zone during a year, found by checking every day and
+// narrowing each change down to the minute
+const getOffsetTransitions = (timeZone, year) => {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let previousTime = Date.UTC(year, 0, 1);
+  let previousOffset = getTimeZoneOffset(new Date(previousTime), timeZone);
+
+  for (let time = previousTime + 86400000; time <= end; time += 86400000) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone);
+    if (offset !== previousOffset) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(mid), timeZone) === previousOffset) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      transitions.push({ at: high, from: previousOffset, to: offset });
+    }
+    previousTime = time;
+    previousOffset = offset;
+  }
+  return transitions;
+};
+
+// VTIMEZONE with the zone's actual offsets and DST changes for the exported
+// years, derived from the browser's time zone database
+const buildVtimezone = (timeZone, years) => {
+  const firstYear = Math.min(...years);
+  const initialOffset = getTimeZoneOffset(new Date(Date.UTC(firstYear, 0, 1)), timeZone);
+  const transitions = [...new Set(years)].sort().flatMap(year => getOffsetTransitions(timeZone, year));
+  const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+
+  const observance = (type, start, from, to) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(from, '')}`,
+    `TZOFFSETTO:${formatOffset(to, '')}`,
+    `END:${type}`
+  ];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(
+      initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+      `${pad(firstYear, 4)}0101T000000`,
+      initialOffset,
+      initialOffset
+    ),
+    ...transitions.flatMap(t => {
+      // DTSTART is the wall-clock time just before the change
+      const localStart = new Date(t.at + t.from * 60000);
+      return observance(
+        t.to > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+        formatIcsUtc(localStart).slice(0, -1),
+        t.from,
+        t.to
+      );
+    }),
+    'END:VTIMEZONE'
+  ];
+};
+
+const getUidLocation = (location) => `${round(location.lat, 4)}_${round(location.lng, 4)}`;
+
+// Sunrise and sunset as short events in the location's zone; days without a
+// sunrise or sunset get an all-day "Midnight sun" / "Polar night" event
+const buildEvents = (location, data, timestamp) => data.flatMap(d => {
+  const date = formatIcsDate(d.date);
+  const uidSuffix = `${date}-${getUidLocation(location)}@daylightviz.org`;
+
+  if (d.dayType !== DAY_TYPES.NORMAL) {
+    const nextDay = new Date(d.date.getFullYear(), d.date.getMonth(), d.date.getDate() + 1);
+    return [[
+      'BEGIN:VEVENT',
+      `UID:${d.dayType}-${uidSuffix}`,
+      `DTSTAMP:${timestamp}`,
+      `DTSTART;VALUE=DATE:${date}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(nextDay)}`,
+      `SUMMARY:${escapeIcsText(`${d.dayType === DAY_TYPES.MIDNIGHT_SUN ? 'Midnight sun' : 'Polar night'} (${location.name})`)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]];
+  }
+
+  const description = `Sunrise ${formatTime(d.sunrise, location.timeZone)}, sunset ${formatTime(d.sunset, location.timeZone)}, daylight ${formatDuration(d.daylightHours)}`;
+  return ['sunrise', 'sunset'].map(key => [
+    'BEGIN:VEVENT',
+    `UID:${key}-${uidSuffix}`,
+    `DTSTAMP:${timestamp}`,
+    `DTSTART;TZID=${location.timeZone}:${formatIcsLocal(getZonedParts(d[key], location.timeZone))}`,
+    'DURATION:PT1M',
+    `SUMMARY:${escapeIcsText(`${key === 'sunrise' ? 'Sunrise' : 'Sunset'} (${location.name})`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `GEO:${round(location.lat, 6)};${round(location.lng, 6)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ]);
+});
+
+export const buildIcs = (series, daylightDataMap, calendarName = 'Sunrise & Sunset') => {
+  const timestamp = formatIcsUtc(new Date());
+  const yearsByZone = new Map();
+  series.forEach(location => {
+    yearsByZone.set(location.timeZone, [...(yearsByZone.get(location.timeZone) || []), location.year]);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DaylightViz//Daylight Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    ...[...yearsByZone].flatMap(([timeZone, years]) => buildVtimezone(timeZone, years)),
+    ...series.flatMap(location => buildEvents(location, daylightDataMap[location.id] || [], timestamp).flat()),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const exportData = (format, series, daylightDataMap, filename) => {
+  if (format === 'csv') {
+    downloadBlob(new Blob([buildCsv(series, daylightDataMap)], { type: 'text/csv' }), `${filename}.csv`);
+  } else if (format === 'json') {
+    downloadBlob(new Blob([buildJson(series, daylightDataMap)], { type: 'application/json' }), `${filename}.json`);
+  } else if (format === 'ics') {
+    const names = series.map(location => location.name).join(', ');
+    downloadBlob(
+      new Blob([buildIcs(series, daylightDataMap, `Sunrise & Sunset: ${names}`)], { type: 'text/calendar' }),
+      `${filename}.ics`
+    );
+  }
+};
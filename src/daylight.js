@@ -0,0 +1,129 @@
+// src/daylight.js
+
+// Sun altitude (degrees) SunCalc uses for sunrise/sunset: upper limb plus refraction
+export const SUNRISE_ALTITUDE = -0.833;
+
+// Highest and lowest observer elevations accepted, in metres
+export const MAX_ELEVATION = 9000;
+
+// How far below the horizontal a flat horizon lies, in degrees, for an
+// observer `elevation` metres up (SunCalc's formula for getTimes' height).
+// Below sea level the horizon is taken to be level.
+export const getHorizonDip = (elevation = 0) => -2.076 * Math.sqrt(Math.max(0, elevation)) / 60;
+
+export const DAY_TYPES = {
+  NORMAL: 'normal',
+  MIDNIGHT_SUN: 'midnight-sun',
+  POLAR_NIGHT: 'polar-night'
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date);
+
+// Above the Arctic or below the Antarctic circle SunCalc returns invalid
+// sunrise/sunset dates, so classify each day from the sun's altitude at solar
+// noon (highest) and nadir (lowest) instead of trusting sunset - sunrise
+export const classifyDay = (sunCalc, times, lat, lng, altitude = SUNRISE_ALTITUDE) => {
+  const threshold = toRadians(altitude);
+  const noonAltitude = sunCalc.getPosition(times.solarNoon, lat, lng).altitude;
+  const nadirAltitude = sunCalc.getPosition(times.nadir, lat, lng).altitude;
+
+  if (noonAltitude < threshold) return DAY_TYPES.POLAR_NIGHT;
+  if (nadirAltitude > threshold) return DAY_TYPES.MIDNIGHT_SUN;
+  return DAY_TYPES.NORMAL;
+};
+
+// Twilight bands between the horizon and full darkness, with the SunCalc
+// time keys for when the sun crosses each band's lower altitude
+export const TWILIGHTS = [
+  { key: 'civil', label: 'Civil', altitude: -6, start: 'dawn', end: 'dusk' },
+  { key: 'nautical', label: 'Nautical', altitude: -12, start: 'nauticalDawn', end: 'nauticalDusk' },
+  { key: 'astronomical', label: 'Astronomical', altitude: -18, start: 'nightEnd', end: 'night' }
+];
+
+// Hours the sun spends above an altitude: 24 if it never dips below,
+// 0 if it never climbs above, otherwise the time between the two crossings
+export const getHoursAbove = (sunCalc, times, lat, lng, altitude, startKey, endKey) => {
+  let dayType = classifyDay(sunCalc, times, lat, lng, altitude);
+
+  // Right at the edge of a polar stretch the altitude check can still say
+  // "normal" while SunCalc fails to find a crossing
+  if (dayType === DAY_TYPES.NORMAL && !(isValidDate(times[startKey]) && isValidDate(times[endKey]))) {
+    const noonAltitude = sunCalc.getPosition(times.solarNoon, lat, lng).altitude;
+    dayType = noonAltitude > toRadians(altitude) ? DAY_TYPES.MIDNIGHT_SUN : DAY_TYPES.POLAR_NIGHT;
+  }
+
+  if (dayType === DAY_TYPES.MIDNIGHT_SUN) return { dayType, hours: 24 };
+  if (dayType === DAY_TYPES.POLAR_NIGHT) return { dayType, hours: 0 };
+  return { dayType, hours: (times[endKey] - times[startKey]) / (1000 * 60 * 60) };
+};
+
+// Daylight duration for a day: 24h of midnight sun, 0h of polar night,
+// otherwise the time between sunrise and sunset. `dip` lowers the horizon
+// as for times from getTimes with a height (see getHorizonDip).
+export const getDaylight = (sunCalc, times, lat, lng, dip = 0) => {
+  const { dayType, hours } = getHoursAbove(sunCalc, times, lat, lng, SUNRISE_ALTITUDE + dip, 'sunrise', 'sunset');
+  return { dayType, daylightHours: hours };
+};
+
+// Hours of civil, nautical and astronomical twilight in a day
+export const getTwilight = (sunCalc, times, lat, lng, daylightHours, dip = 0) => {
+  const twilight = {};
+  let innerHours = daylightHours;
+
+  TWILIGHTS.forEach(band => {
+    const { hours } = getHoursAbove(sunCalc, times, lat, lng, band.altitude + dip, band.start, band.end);
+    const outerHours = Math.max(hours, innerHours);
+    twilight[band.key] = outerHours - innerHours;
+    innerHours = outerHours;
+  });
+
+  return twilight;
+};
+
+// Start/end instants of each twilight band for a day record. Each band is
+// 'none' when the sun never enters it, 'all-day' or 'all-night' when the
+// sun stays in it, otherwise a morning and an evening window (or a single
+// midday window when the sun doesn't rise)
+export const getTwilightWindows = (day) => {
+  let innerStart = day.sunrise;
+  let innerEnd = day.sunset;
+  let innerHours = day.daylightHours;
+
+  return TWILIGHTS.map(band => {
+    const outerHours = innerHours + day.twilight[band.key];
+    let state = 'windows';
+    let windows = [];
+
+    if (day.twilight[band.key] === 0) {
+      state = 'none';
+    } else if (outerHours >= 24) {
+      state = innerHours > 0 ? 'all-night' : 'all-day';
+    } else if (innerHours === 0) {
+      windows = [[day[band.start], day[band.end]]];
+    } else {
+      windows = [[day[band.start], innerStart], [innerEnd, day[band.end]]];
+    }
+
+    innerStart = day[band.start];
+    innerEnd = day[band.end];
+    innerHours = outerHours;
+    return { ...band, state, windows };
+  });
+};
+
+// Consecutive runs of polar days, e.g. [{ type, start, end }] with inclusive day indexes
+export const getPolarStretches = (data) => {
+  const stretches = [];
+  data.forEach((d, i) => {
+    if (d.dayType === DAY_TYPES.NORMAL) return;
+    const last = stretches[stretches.length - 1];
+    if (last && last.type === d.dayType && last.end === i - 1) {
+      last.end = i;
+    } else {
+      stretches.push({ type: d.dayType, start: i, end: i });
+    }
+  });
+  return stretches;
+};
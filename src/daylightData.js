@@ -0,0 +1,150 @@
+// src/daylightData.js
+import { DAY_TYPES, TWILIGHTS, getDaylight, getHorizonDip, getTwilight } from './daylight.js';
+import { getEffectiveDaylight } from './horizon.js';
+import { formatZonedIso, getLocalNoonDate, getTimeZone } from './timeZones.js';
+
+// Plain functions shared by the pages and the API server, so both compute
+// the same records and statistics. SunCalc is passed in rather than imported.
+
+export const MIN_YEAR = 1900;
+export const MAX_YEAR = 2100;
+
+export const getDaysInYear = (year) => (new Date(year, 1, 29).getDate() === 29 ? 366 : 365);
+
+// Index of a calendar date within another year's data, or null when that
+// date doesn't exist there (Feb 29 in a non-leap year)
+export const getSeriesDay = (day, referenceYear, seriesYear) => {
+  if (seriesYear === referenceYear) return day;
+  const reference = new Date(referenceYear, 0, 1 + day);
+  const target = new Date(seriesYear, reference.getMonth(), reference.getDate());
+  if (target.getMonth() !== reference.getMonth()) return null;
+  return Math.round((target - new Date(seriesYear, 0, 1)) / (1000 * 60 * 60 * 24));
+};
+
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Calendar date of a day record as YYYY-MM-DD
+export const formatDate = (date) => `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// One record per calendar day of the year for a location, each day being a
+// civil date in the location's time zone (looked up when it has none). Times
+// are for an observer at the location's elevation (metres, default sea
+// level) over a level horizon. With a horizon profile (see horizon.js) each
+// record also has the `effective` sunrise, sunset and daylight over that
+// terrain; otherwise `effective` is null.
+export const getDaylightData = (sunCalc, location, year) => {
+  const data = [];
+  const daysInYear = getDaysInYear(year);
+  const height = Math.max(0, location.elevation || 0);
+  const dip = getHorizonDip(height);
+  const timeZone = location.timeZone || getTimeZone(location.lat, location.lng);
+
+  for (let day = 0; day < daysInYear; day++) {
+    const date = new Date(year, 0, 1);
+    date.setDate(date.getDate() + day);
+
+    const times = sunCalc.getTimes(getLocalNoonDate(year, day, timeZone), location.lat, location.lng, height);
+    const { dayType, daylightHours } = getDaylight(sunCalc, times, location.lat, location.lng, dip);
+    const twilight = getTwilight(sunCalc, times, location.lat, location.lng, daylightHours, dip);
+    const effective = location.horizon
+      ? getEffectiveDaylight(sunCalc, times, location.lat, location.lng, location.horizon)
+      : null;
+
+    data.push({
+      day,
+      date,
+      dayType,
+      daylightHours,
+      twilight,
+      sunrise: times.sunrise,
+      sunset: times.sunset,
+      solarNoon: times.solarNoon,
+      dawn: times.dawn,
+      dusk: times.dusk,
+      nauticalDawn: times.nauticalDawn,
+      nauticalDusk: times.nauticalDusk,
+      nightEnd: times.nightEnd,
+      night: times.night,
+      effective
+    });
+  }
+
+  return data;
+};
+
+// Annual statistics shown on the Analyze page, as unrounded numbers
+export const getDaylightStats = (data, year) => {
+  const hours = data.map(d => d.daylightHours);
+
+  const mean = average(hours);
+  const min = Math.min(...hours);
+  const max = Math.max(...hours);
+  const variance = hours.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / hours.length;
+
+  // Seasonal analysis (split into calendar quarters, which shift by a day in leap years)
+  const quarterStarts = [0, 3, 6, 9, 12].map(month =>
+    Math.round((new Date(year, month, 1) - new Date(year, 0, 1)) / (1000 * 60 * 60 * 24))
+  );
+  const quarters = [0, 1, 2, 3].map(q => average(hours.slice(quarterStarts[q], quarterStarts[q + 1])));
+
+  // Hemisphere detection: northern locations get more daylight from April to
+  // September. (Comparing January-June with July-December doesn't work, since
+  // both halves straddle a solstice and come out nearly equal.)
+  const aprilToSeptember = average(hours.slice(quarterStarts[1], quarterStarts[3]));
+  const octoberToMarch = average([...hours.slice(0, quarterStarts[1]), ...hours.slice(quarterStarts[3])]);
+  const hemisphere = aprilToSeptember > octoberToMarch ? 'Northern' : 'Southern';
+
+  // Twilight: average minutes per day and total hours over the year per band,
+  // plus days where the sun never gets 18° below the horizon
+  const twilight = {};
+  TWILIGHTS.forEach(band => {
+    const bandHours = data.map(d => d.twilight[band.key]);
+    twilight[band.key] = {
+      avgMinutes: average(bandHours) * 60,
+      annualHours: bandHours.reduce((a, b) => a + b, 0)
+    };
+  });
+
+  // Stability score (inverse of variance, normalized 0-100)
+  const maxPossibleVariance = Math.pow(12, 2); // Theoretical max
+
+  return {
+    mean,
+    min,
+    max,
+    range: max - min,
+    variance,
+    stdDev: Math.sqrt(variance),
+    minDay: data.find(d => d.daylightHours === min),
+    maxDay: data.find(d => d.daylightHours === max),
+    quarters,
+    hemisphere,
+    polarDays: data.filter(d => d.dayType === DAY_TYPES.MIDNIGHT_SUN).length,
+    polarNights: data.filter(d => d.dayType === DAY_TYPES.POLAR_NIGHT).length,
+    twilight,
+    noDarknessDays: data.filter(d =>
+      TWILIGHTS.reduce((total, band) => total + d.twilight[band.key], d.daylightHours) >= 24
+    ).length,
+    stability: Math.max(0, 100 - (variance / maxPossibleVariance * 100))
+  };
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// A day record as plain JSON, with times in ISO 8601 in the location's zone
+export const serializeDay = (d, timeZone) => ({
+  date: formatDate(d.date),
+  dayType: d.dayType,
+  sunrise: d.dayType === DAY_TYPES.NORMAL ? formatZonedIso(d.sunrise, timeZone) : '',
+  solarNoon: formatZonedIso(d.solarNoon, timeZone),
+  sunset: d.dayType === DAY_TYPES.NORMAL ? formatZonedIso(d.sunset, timeZone) : '',
+  daylightHours: round(d.daylightHours, 4),
+  ...Object.fromEntries(TWILIGHTS.map(band => [`${band.key}TwilightHours`, round(d.twilight[band.key], 4)])),
+  ...(d.effective && {
+    effectiveSunrise: d.effective.sunrise ? formatZonedIso(d.effective.sunrise, timeZone) : '',
+    effectiveSunset: d.effective.sunset ? formatZonedIso(d.effective.sunset, timeZone) : '',
+    effectiveDaylightHours: round(d.effective.daylightHours, 4)
+  })
+});
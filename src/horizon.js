@@ -0,0 +1,168 @@
+// src/horizon.js
+// Horizon profiles: how high the terrain around an observer rises, as
+// [{ azimuth, altitude }] in degrees (azimuth clockwise from north, altitude
+// above the horizontal) sorted by azimuth. Between points the altitude is
+// interpolated, wrapping around through north. With a profile, the
+// "effective" sunrise and sunset are when the sun clears the terrain.
+
+export const MAX_HORIZON_POINTS = 360;
+
+const HOUR_MS = 60 * 60 * 1000;
+// The sun is checked against the terrain this often, and each crossing found
+// is narrowed down to CROSSING_PRECISION_MS
+const SCAN_STEP_MS = 5 * 60 * 1000;
+const CROSSING_PRECISION_MS = 10 * 1000;
+// Clearing altitudes are looked up per TABLE_STEP degrees of azimuth
+const TABLE_STEP = 0.5;
+const SUN_RADIUS = 0.266;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Rows of [number, number] into a profile, or { error } naming the row
+const readPoints = (rows, rowName) => {
+  if (rows.length === 0) {
+    return { error: 'The horizon profile has no points' };
+  }
+  if (rows.length > MAX_HORIZON_POINTS) {
+    return { error: `A horizon profile can have at most ${MAX_HORIZON_POINTS} points` };
+  }
+
+  const points = [];
+  for (const { number, fields } of rows) {
+    const [azimuth, altitude] = fields.slice(0, 2).map(Number);
+    if (fields.length < 2 || !Number.isFinite(azimuth) || !Number.isFinite(altitude)) {
+      return { error: `${rowName} ${number}: expected an azimuth and an altitude in degrees` };
+    }
+    if (azimuth < 0 || azimuth > 360) {
+      return { error: `${rowName} ${number}: azimuth must be from 0 to 360` };
+    }
+    if (altitude < -90 || altitude > 90) {
+      return { error: `${rowName} ${number}: altitude must be from -90 to 90` };
+    }
+    const folded = azimuth % 360;
+    if (points.some(point => point.azimuth === folded)) {
+      return { error: `${rowName} ${number}: azimuth ${folded} is already in the profile` };
+    }
+    points.push({ azimuth: folded, altitude });
+  }
+  return { horizon: points.sort((a, b) => a.azimuth - b.azimuth) };
+};
+
+// A profile from CSV text: one "azimuth,altitude" per line (commas,
+// semicolons, tabs or spaces between them), with an optional header line and
+// # comments. Returns { horizon } or { error }.
+export const parseHorizonCsv = (text) => {
+  const rows = text.split(/\r?\n/)
+    .map((line, i) => ({ number: i + 1, line: line.replace(/#.*/, '').trim() }))
+    .filter(({ line }) => line !== '')
+    .map(({ number, line }) => ({ number, fields: line.split(/\s*[,;\t ]\s*/) }));
+  if (rows.length > 0 && rows[0].fields.every(field => isNaN(Number(field)))) {
+    rows.shift();
+  }
+  return readPoints(rows, 'Line');
+};
+
+// The compact form used in URLs and the API: "0:2.5,90:8,180:4.25"
+export const formatHorizon = (horizon) => horizon.map(point => `${point.azimuth}:${point.altitude}`).join(',');
+
+export const parseHorizonParam = (value) => readPoints(
+  value.split(',').filter(Boolean).map((point, i) => ({ number: i + 1, fields: point.split(':') })),
+  'Point'
+);
+
+// Terrain altitude towards `azimuth`, interpolated between the profile's points
+export const getHorizonAltitude = (horizon, azimuth) => {
+  if (horizon.length === 1) return horizon[0].altitude;
+
+  const next = horizon.findIndex(point => point.azimuth > azimuth);
+  const after = horizon[next === -1 ? 0 : next];
+  const before = horizon[next === -1 ? horizon.length - 1 : (next - 1 + horizon.length) % horizon.length];
+  const span = (after.azimuth - before.azimuth + 360) % 360;
+  const offset = (azimuth - before.azimuth + 360) % 360;
+  return before.altitude + (after.altitude - before.altitude) * (offset / span);
+};
+
+// Sun altitude (degrees, as SunCalc gives it: the centre of the disc without
+// refraction) at which its upper limb appears over terrain `altitude` high.
+// Over a level horizon that's -0.84°, close to SunCalc's sunrise altitude.
+const getClearingAltitude = (altitude) => {
+  // Bennett's refraction formula, which breaks down further below the horizontal
+  const apparent = Math.max(altitude, -2);
+  const refraction = 1 / Math.tan(toRadians(apparent + 7.31 / (apparent + 4.4))) / 60;
+  return altitude - SUN_RADIUS - refraction;
+};
+
+// Clearing altitudes around the compass, worked out once per profile
+const clearingTables = new WeakMap();
+
+const getClearingTable = (horizon) => {
+  if (!clearingTables.has(horizon)) {
+    clearingTables.set(horizon, Array.from({ length: 360 / TABLE_STEP }, (_, i) =>
+      getClearingAltitude(getHorizonAltitude(horizon, i * TABLE_STEP))));
+  }
+  return clearingTables.get(horizon);
+};
+
+// When the sun is above the terrain in the 24 hours around a day's solar
+// noon: { sunrise, sunset, daylightHours }. sunrise is when it first clears
+// the terrain and sunset when it last drops behind it, or null when the sun
+// is already up at the start of the window or still up at the end (midnight
+// sun). daylightHours leaves out any time it spends behind a peak in between.
+export const getEffectiveDaylight = (sunCalc, times, lat, lng, horizon) => {
+  const table = getClearingTable(horizon);
+  const isVisible = (time) => {
+    const position = sunCalc.getPosition(new Date(time), lat, lng);
+    const azimuth = (toDegrees(position.azimuth) + 540) % 360;
+    return toDegrees(position.altitude) > table[Math.round(azimuth / TABLE_STEP) % table.length];
+  };
+  // Narrow a change between two times down to CROSSING_PRECISION_MS
+  const findCrossing = (start, end, startVisible) => {
+    while (end - start > CROSSING_PRECISION_MS) {
+      const middle = (start + end) / 2;
+      if (isVisible(middle) === startVisible) {
+        start = middle;
+      } else {
+        end = middle;
+      }
+    }
+    return (start + end) / 2;
+  };
+
+  const start = times.solarNoon.getTime() - 12 * HOUR_MS;
+  const end = start + 24 * HOUR_MS;
+  const startsVisible = isVisible(start);
+  let sunrise = null;
+  let sunset = null;
+  let visibleMs = 0;
+  let risen = startsVisible ? start : null;
+
+  let previous = start;
+  let wasVisible = startsVisible;
+  for (let time = start + SCAN_STEP_MS; time <= end; time += SCAN_STEP_MS) {
+    const visible = isVisible(time);
+    if (visible !== wasVisible) {
+      const crossing = findCrossing(previous, time, wasVisible);
+      if (visible) {
+        if (sunrise === null && !startsVisible) sunrise = crossing;
+        risen = crossing;
+      } else {
+        visibleMs += crossing - risen;
+        sunset = crossing;
+        risen = null;
+      }
+    }
+    previous = time;
+    wasVisible = visible;
+  }
+  if (risen !== null) {
+    visibleMs += end - risen;
+    sunset = null;
+  }
+
+  return {
+    sunrise: sunrise === null ? null : new Date(sunrise),
+    sunset: sunset === null ? null : new Date(sunset),
+    daylightHours: visibleMs / HOUR_MS
+  };
+};
@@ -0,0 +1,56 @@
+// src/mapProjection.js
+// The world map's projection and coastline paths, for the dashboard and the
+// map picker
+
+// Equirectangular projection onto a `width` x `width / 2` map
+export const projectPoint = (lon, lat, width) => [
+  ((lon + 180) / 360) * width,
+  ((90 - lat) / 180) * (width / 2)
+];
+
+// ...and back: [lon, lat] for a point on the map
+export const unprojectPoint = (x, y, width) => [
+  (x / width) * 360 - 180,
+  90 - (y / (width / 2)) * 180
+];
+
+// Rings that cross the antimeridian jump from 180 to -180; shift the rest of
+// the ring by 360° instead so it carries on past the edge. A ring that goes
+// all the way round (Antarctica) is closed through the pole.
+const unwrapRing = (ring) => {
+  let shift = 0;
+  const points = ring.map(([lon, lat], i) => {
+    if (i > 0) {
+      const step = lon - ring[i - 1][0];
+      if (step > 180) shift -= 360;
+      if (step < -180) shift += 360;
+    }
+    return [lon + shift, lat];
+  });
+
+  const first = points[0];
+  const last = points.at(-1);
+  if (Math.abs(last[0] - first[0]) >= 359) {
+    const pole = points.reduce((sum, [, lat]) => sum + lat, 0) < 0 ? -90 : 90;
+    points.push([last[0], pole], [first[0], pole]);
+  }
+  return points;
+};
+
+const ringToPath = (ring, offset, width) => `${ring.map(([lon, lat], i) => {
+  const [x, y] = projectPoint(lon + offset, lat, width);
+  return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+}).join('')}Z`;
+
+// SVG path data for a GeoJSON Polygon or MultiPolygon. Unwrapped rings are
+// drawn again a world to the left or right so the part past the edge shows up
+// on the other side (the SVG clips what's outside the map).
+export const getLandPath = (geometry, width) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const rings = polygons.flat().map(unwrapRing);
+
+  return [-360, 0, 360].flatMap(offset => rings
+    .filter(ring => ring.some(([lon]) => Math.abs(lon + offset) < 180))
+    .map(ring => ringToPath(ring, offset, width))
+  ).join('');
+};
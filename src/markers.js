@@ -0,0 +1,125 @@
+// src/markers.js
+import { DAY_TYPES } from './daylight.js';
+import { getApsides, getSeasons } from './seasons.js';
+import { getZonedHours, getZonedParts } from './timeZones.js';
+
+// Events marked on each curve: the equinoxes and solstices always, and
+// optionally perihelion and aphelion, the earliest sunset and latest sunrise
+// by the local clock, and dates of the user's own. Each marker sits on the
+// civil date its event falls on in that location's time zone.
+
+export const MAX_CUSTOM_DATES = 10;
+export const MAX_CUSTOM_LABEL_LENGTH = 40;
+
+export const MARKER_TYPES = {
+  marchEquinox: { name: 'March Equinox', color: '#7FFF00' },
+  juneSolstice: { name: 'June Solstice', color: '#FFD700' },
+  septemberEquinox: { name: 'September Equinox', color: '#FFA500' },
+  decemberSolstice: { name: 'December Solstice', color: '#4169E1' },
+  perihelion: { name: 'Perihelion', color: '#FF4500' },
+  aphelion: { name: 'Aphelion', color: '#00CED1' },
+  earliestSunset: { name: 'Earliest Sunset', color: '#FF1493' },
+  latestSunrise: { name: 'Latest Sunrise', color: '#9370DB' },
+  custom: { color: '#FFFFFF' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Index of a calendar date into its year's daily records, or null when the
+// year doesn't have it (Feb 29, or no such date at all)
+const getDayIndex = (year, month, day) => {
+  const date = Date.UTC(year, month - 1, day);
+  if (new Date(date).getUTCMonth() !== month - 1 || new Date(date).getUTCDate() !== day) return null;
+  return Math.round((date - Date.UTC(year, 0, 1)) / DAY_MS);
+};
+
+// Index of the day an instant falls on in `timeZone`, when that's in `year`
+const getInstantDay = (date, timeZone, year) => {
+  const parts = getZonedParts(date, timeZone);
+  return parts.year === year ? getDayIndex(year, parts.month, parts.day) : null;
+};
+
+// The normal day whose `key` time is latest (sign 1) or earliest (sign -1)
+// on the local clock
+const findClockExtreme = (data, key, timeZone, sign) => {
+  let best = null;
+  let bestHours = -Infinity;
+  data.forEach((d, i) => {
+    if (d.dayType !== DAY_TYPES.NORMAL) return;
+    const hours = sign * getZonedHours(d[key], timeZone);
+    if (hours > bestHours) {
+      best = i;
+      bestHours = hours;
+    }
+  });
+  return best;
+};
+
+// Markers for one curve: { key, name, color, day, time, curve, approximate }
+// sorted by day. `day` indexes the curve's data; `time` is the event's
+// instant (null for custom dates); `curve` is 'sunrise' or 'sunset' for
+// markers that belong on that curve of the clock chart.
+export const getSeriesMarkers = (location, data, { apsides = false, extremes = false, customDates = [] } = {}) => {
+  const { year, timeZone } = location;
+  const markers = [];
+  const addInstant = (key, time, extra) => {
+    const day = getInstantDay(time, timeZone, year);
+    if (day !== null && data[day]) markers.push({ key, ...MARKER_TYPES[key], day, time, ...extra });
+  };
+
+  Object.entries(getSeasons(year)).forEach(([key, time]) => addInstant(key, time));
+  if (apsides) {
+    Object.entries(getApsides(year)).forEach(([key, time]) => addInstant(key, time, { approximate: true }));
+  }
+  if (extremes) {
+    const earliestSunset = findClockExtreme(data, 'sunset', timeZone, -1);
+    const latestSunrise = findClockExtreme(data, 'sunrise', timeZone, 1);
+    if (earliestSunset !== null) {
+      markers.push({ key: 'earliestSunset', ...MARKER_TYPES.earliestSunset, day: earliestSunset, time: data[earliestSunset].sunset, curve: 'sunset' });
+    }
+    if (latestSunrise !== null) {
+      markers.push({ key: 'latestSunrise', ...MARKER_TYPES.latestSunrise, day: latestSunrise, time: data[latestSunrise].sunrise, curve: 'sunrise' });
+    }
+  }
+  customDates.forEach(({ month, day, label }) => {
+    const index = getDayIndex(year, month, day);
+    if (index !== null && data[index]) {
+      markers.push({ key: `custom-${month}-${day}`, name: label, color: MARKER_TYPES.custom.color, day: index, time: null });
+    }
+  });
+
+  return markers.sort((a, b) => a.day - b.day);
+};
+
+// Markers for every curve, by series id
+export const getMarkerMap = (series, daylightDataMap, options) => Object.fromEntries(
+  series
+    .filter(location => daylightDataMap[location.id])
+    .map(location => [location.id, getSeriesMarkers(location, daylightDataMap[location.id], options)])
+);
+
+// One { key, name, color } per kind of marker on the chart, in year order
+export const getMarkerLegend = (markerMap) => {
+  const legend = new Map();
+  Object.values(markerMap).flat()
+    .sort((a, b) => a.day - b.day)
+    .forEach(({ key, name, color }) => {
+      if (!legend.has(key)) legend.set(key, { key, name, color });
+    });
+  return [...legend.values()];
+};
+
+// Custom dates in the URL: "MM-DD~Label"
+export const parseCustomDate = (value) => {
+  const match = /^(\d{2})-(\d{2})~(.*)$/s.exec(value);
+  if (!match) return null;
+  const month = Number(match[1]);
+  const day = Number(match[2]);
+  const label = match[3].trim().slice(0, MAX_CUSTOM_LABEL_LENGTH);
+  // Any date a leap year has
+  if (!label || getDayIndex(2000, month, day) === null) return null;
+  return { month, day, label };
+};
+
+export const formatCustomDate = ({ month, day, label }) =>
+  `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}~${label}`;
@@ -0,0 +1,100 @@
+// src/seasons.js
+// Instants of the year's equinoxes, solstices, perihelion and aphelion,
+// from the series in Jean Meeus's Astronomical Algorithms (chapters 27 and
+// 38). The seasons come out within a minute or so for 1900-2100. The
+// apsides are only good to about six hours: the Moon tugs the Earth back
+// and forth along a nearly flat stretch of its orbit.
+
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Mean equinox or solstice (Julian Ephemeris Day), by powers of
+// (year - 2000) / 1000
+const MEAN_SEASONS = {
+  marchEquinox: [2451623.80984, 365242.37404, 0.05169, -0.00411, -0.00057],
+  juneSolstice: [2451716.56767, 365241.62603, 0.00325, 0.00888, -0.00030],
+  septemberEquinox: [2451810.21715, 365242.01767, -0.11575, 0.00337, 0.00078],
+  decemberSolstice: [2451900.05952, 365242.74049, -0.06223, -0.00823, 0.00032]
+};
+
+// Periodic terms [A, B, C] for the correction, A·cos(B + C·T) in degrees
+const SEASON_TERMS = [
+  [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186], [182, 27.85, 445267.112],
+  [156, 73.14, 45036.886], [136, 171.52, 22518.443], [77, 222.54, 65928.934], [74, 296.72, 3034.906],
+  [70, 243.58, 9037.513], [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+  [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417], [18, 155.12, 67555.328],
+  [17, 288.79, 4562.452], [16, 198.04, 62894.029], [14, 199.76, 31436.921], [12, 95.39, 14577.848],
+  [12, 287.11, 31931.756], [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+];
+
+// Seconds that Terrestrial Time, which the series use, runs ahead of UT
+// (Espenak and Meeus's fits to the observed values, and their forecast)
+const getDeltaT = (year) => {
+  if (year < 1920) {
+    const t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (year < 1941) {
+    const t = year - 1920;
+    return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year < 1961) {
+    const t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year < 1986) {
+    const t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year < 2005) {
+    const t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+};
+
+const toDate = (jde, year) => new Date((jde - UNIX_EPOCH_JD) * DAY_MS - getDeltaT(year) * 1000);
+
+const getSeasonInstant = (year, key) => {
+  const y = (year - 2000) / 1000;
+  const jde0 = MEAN_SEASONS[key].reduce((total, coefficient, power) => total + coefficient * y ** power, 0);
+  const t = (jde0 - J2000) / 36525;
+  const w = toRadians(35999.373 * t - 2.47);
+  const deltaLambda = 1 + 0.0334 * Math.cos(w) + 0.0007 * Math.cos(2 * w);
+  const s = SEASON_TERMS.reduce((total, [a, b, c]) => total + a * Math.cos(toRadians(b + c * t)), 0);
+  return toDate(jde0 + 0.00001 * s / deltaLambda, year);
+};
+
+// { marchEquinox, juneSolstice, septemberEquinox, decemberSolstice } as Dates
+export const getSeasons = (year) => Object.fromEntries(
+  Object.keys(MEAN_SEASONS).map(key => [key, getSeasonInstant(year, key)])
+);
+
+// Perihelion (closest to the Sun, early January) and aphelion (furthest,
+// early July) as Dates
+export const getApsides = (year) => {
+  const perihelionK = Math.round(0.99997 * (year - 2000.01));
+  const instant = (k, corrections) => {
+    const jde = 2451547.507 + 365.2596358 * k + 0.0000000156 * k ** 2;
+    const angles = [
+      328.41 + 132.788585 * k,
+      316.13 + 584.903153 * k,
+      346.2 + 450.380738 * k,
+      136.95 + 659.306737 * k,
+      249.52 + 329.653368 * k
+    ];
+    return toDate(jde + corrections.reduce((total, term, i) => total + term * Math.sin(toRadians(angles[i])), 0), year);
+  };
+
+  return {
+    perihelion: instant(perihelionK, [1.278, -0.055, -0.091, -0.056, -0.045]),
+    aphelion: instant(perihelionK + 0.5, [-1.352, 0.061, 0.062, 0.029, 0.031])
+  };
+};
@@ -0,0 +1,147 @@
+// src/svgContext.js
+
+// A stand-in for CanvasRenderingContext2D that records the subset of the
+// canvas API our chart renderers use and serializes it as SVG, so the same
+// drawing code produces both the on-screen canvas and a vector export
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const num = (value) => Number(value.toFixed(2));
+
+const textAnchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+class SvgGradient {
+  constructor(id, x0, y0, x1, y1) {
+    this.id = id;
+    this.coords = { x0, y0, x1, y1 };
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+
+  toSvg() {
+    const { x0, y0, x1, y1 } = this.coords;
+    const stops = this.stops
+      .map(stop => `<stop offset="${stop.offset}" stop-color="${escapeXml(stop.color)}"/>`)
+      .join('');
+    return `<linearGradient id="${this.id}" gradientUnits="userSpaceOnUse" x1="${num(x0)}" y1="${num(y0)}" x2="${num(x1)}" y2="${num(y1)}">${stops}</linearGradient>`;
+  }
+}
+
+export class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.gradients = [];
+    this.path = [];
+
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.lineDash = [];
+  }
+
+  paint(style) {
+    return style instanceof SvgGradient ? `url(#${style.id})` : escapeXml(style);
+  }
+
+  opacity() {
+    return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    const gradient = new SvgGradient(`gradient-${this.gradients.length}`, x0, y0, x1, y1);
+    this.gradients.push(gradient);
+    return gradient;
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments;
+  }
+
+  // Canvas content starts out transparent, so there is nothing to erase
+  clearRect() {}
+
+  fillRect(x, y, w, h) {
+    this.elements.push(
+      `<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`
+    );
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${num(x)} ${num(y)}`);
+  }
+
+  lineTo(x, y) {
+    this.path.push(`L${num(x)} ${num(y)}`);
+  }
+
+  closePath() {
+    this.path.push('Z');
+  }
+
+  arc(x, y, radius, startAngle, endAngle) {
+    const sweep = endAngle - startAngle;
+    const start = [x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle)];
+    this.path.push(`${this.path.length ? 'L' : 'M'}${num(start[0])} ${num(start[1])}`);
+
+    // A full circle can't be a single SVG arc, so draw it as two halves
+    if (Math.abs(sweep) >= Math.PI * 2) {
+      const opposite = [x - radius * Math.cos(startAngle), y - radius * Math.sin(startAngle)];
+      this.path.push(`A${num(radius)} ${num(radius)} 0 1 1 ${num(opposite[0])} ${num(opposite[1])}`);
+      this.path.push(`A${num(radius)} ${num(radius)} 0 1 1 ${num(start[0])} ${num(start[1])}`);
+      return;
+    }
+
+    const end = [x + radius * Math.cos(endAngle), y + radius * Math.sin(endAngle)];
+    const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+    this.path.push(`A${num(radius)} ${num(radius)} 0 ${largeArc} ${sweep > 0 ? 1 : 0} ${num(end[0])} ${num(end[1])}`);
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join('')}" fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`);
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+    this.elements.push(
+      `<path d="${this.path.join('')}" fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${this.lineWidth}" stroke-linejoin="round"${dash}${this.opacity()}/>`
+    );
+  }
+
+  fillText(text, x, y) {
+    const [, weight, size, family] = this.font.match(/^(?:(bold|\d{3})\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/) || [];
+    const fontAttrs = size
+      ? ` font-size="${size}" font-family="${escapeXml(family)}"${weight ? ` font-weight="${weight}"` : ''}`
+      : '';
+    this.elements.push(
+      `<text x="${num(x)}" y="${num(y)}" fill="${this.paint(this.fillStyle)}" text-anchor="${textAnchors[this.textAlign] || 'start'}"${fontAttrs}${this.opacity()}>${escapeXml(text)}</text>`
+    );
+  }
+
+  toSvg() {
+    const defs = this.gradients.length ? `<defs>${this.gradients.map(g => g.toSvg()).join('')}</defs>` : '';
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      defs,
+      ...this.elements,
+      '</svg>'
+    ].join('\n');
+  }
+}
@@ -0,0 +1,106 @@
+// src/timeZones.js
+import tzlookup from 'tz-lookup';
+
+const MS_PER_MINUTE = 1000 * 60;
+
+// Resolve a location's IANA time zone from its coordinates using the bundled
+// boundary data, so no network request is needed
+export const getTimeZone = (lat, lng) => {
+  try {
+    return tzlookup(lat, lng);
+  } catch (error) {
+    console.warn('Time zone lookup failed:', error);
+    return 'UTC';
+  }
+};
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date);
+
+export const formatTime = (date, timeZone) => {
+  if (!isValidDate(date)) return 'N/A';
+  return date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone
+  });
+};
+
+// Short zone label for a given instant, e.g. "PDT" or "GMT+9" (reflects DST)
+export const formatTimeZoneName = (date, timeZone) => {
+  if (!isValidDate(date)) return '';
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+// Creating an Intl.DateTimeFormat is slow, and the clock chart and exports
+// convert thousands of instants at a time, so keep one formatter per zone
+const partsFormatters = new Map();
+
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+};
+
+// Civil date and time of an instant in the given zone (month is 1-12)
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getPartsFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  return parts;
+};
+
+// Hours since local midnight in the given zone, e.g. 6.5 for 6:30 AM
+export const getZonedHours = (date, timeZone) => {
+  if (!isValidDate(date)) return NaN;
+  const { hour, minute, second } = getZonedParts(date, timeZone);
+  return hour + minute / 60 + second / 3600;
+};
+
+// UTC offset in minutes at an instant, e.g. -420 for PDT
+export const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / (1000 * 60));
+};
+
+// Noon by the clock in the given zone on a calendar day of the year.
+// SunCalc returns the times around the solar transit nearest to the date
+// it's given, so this keeps every location on its own civil day, even in
+// zones far from solar time like Pacific/Kiritimati (UTC+14 at 157° W).
+// The offset is taken again at local noon in case it changed overnight.
+export const getLocalNoonDate = (year, day, timeZone) => {
+  const noonUtc = Date.UTC(year, 0, 1 + day, 12);
+  const guess = noonUtc - getTimeZoneOffset(new Date(noonUtc), timeZone) * MS_PER_MINUTE;
+  return new Date(noonUtc - getTimeZoneOffset(new Date(guess), timeZone) * MS_PER_MINUTE);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+export const formatOffset = (offsetMinutes, separator = ':') => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${separator}${pad(absolute % 60)}`;
+};
+
+// ISO 8601 in the location's civil time, e.g. "2025-06-21T05:42:10-07:00"
+export const formatZonedIso = (date, timeZone) => {
+  if (!isValidDate(date)) return '';
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const offset = formatOffset(getTimeZoneOffset(date, timeZone));
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offset}`;
+};
@@ -0,0 +1,111 @@
+// src/urlState.js
+import { MAX_ELEVATION } from './daylight.js';
+import { MAX_YEAR, MIN_YEAR } from './daylightData.js';
+import { formatHorizon, parseHorizonParam } from './horizon.js';
+import { MAX_CUSTOM_DATES, formatCustomDate, parseCustomDate } from './markers.js';
+import { getTimeZone } from './timeZones.js';
+
+// App state shared through the URL query string, e.g.
+// ?page=analyze&year=2025&mode=clock&loc=33.7879~-117.8531~FFD700~Orange%2C%20CA
+// Elevation and horizon profiles go in elev= and horizon= with the index of
+// their loc= first: elev=0~1609&horizon=0~0:2,90:8.5,180:4
+// Custom chart markers are mark=<MM-DD>~<label>, e.g. mark=03-14~Pi%20Day
+const PAGES = ['viz', 'analyze', 'dashboard'];
+const CHART_MODES = ['duration', 'clock'];
+const MAX_LOCATIONS = 10;
+
+export const DEFAULT_LOCATIONS = [
+  {
+    id: 1,
+    lat: 33.7879,
+    lng: -117.8531,
+    name: 'Orange, CA',
+    color: '#FFD700',
+    timeZone: 'America/Los_Angeles'
+  }
+];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// "<lat>~<lng>~<color>~<name>"; the name goes last so it may contain "~"
+const parseLocation = (value, index) => {
+  const [lat, lng, color, ...nameParts] = value.split('~');
+  const parsedLat = parseFloat(lat);
+  const parsedLng = parseFloat(lng);
+  const name = nameParts.join('~').trim();
+
+  if (isNaN(parsedLat) || isNaN(parsedLng) || Math.abs(parsedLat) > 90 || Math.abs(parsedLng) > 180) {
+    return null;
+  }
+
+  return {
+    id: index + 1,
+    lat: parsedLat,
+    lng: parsedLng,
+    name: name || `${round(parsedLat, 4)}, ${round(parsedLng, 4)}`,
+    color: /^[0-9a-f]{6}$/i.test(color) ? `#${color.toUpperCase()}` : DEFAULT_LOCATIONS[0].color,
+    timeZone: getTimeZone(parsedLat, parsedLng)
+  };
+};
+
+const serializeLocation = (location) =>
+  [round(location.lat, 4), round(location.lng, 4), location.color.replace('#', ''), location.name].join('~');
+
+// "<index>~<value>" params as a Map from loc= index to value
+const readIndexed = (params, key) => new Map(params.getAll(key).map(value => {
+  const [index, ...rest] = value.split('~');
+  return [Number(index), rest.join('~')];
+}));
+
+const parseElevation = (value) => {
+  const elevation = value === undefined ? NaN : Number(value);
+  return Number.isFinite(elevation) && Math.abs(elevation) <= MAX_ELEVATION ? elevation : undefined;
+};
+
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const year = parseInt(params.get('year'), 10);
+  const elevations = readIndexed(params, 'elev');
+  const horizons = readIndexed(params, 'horizon');
+  const locations = params.getAll('loc')
+    .slice(0, MAX_LOCATIONS)
+    .map((value, index) => {
+      const location = parseLocation(value, index);
+      if (!location) return null;
+      const elevation = parseElevation(elevations.get(index));
+      const horizon = horizons.has(index) ? parseHorizonParam(horizons.get(index)).horizon : undefined;
+      return {
+        ...location,
+        ...(elevation !== undefined && { elevation }),
+        ...(horizon && { horizon })
+      };
+    })
+    .filter(Boolean);
+  // One marker per date
+  const customDates = params.getAll('mark')
+    .map(parseCustomDate)
+    .filter((date, i, dates) => date && dates.findIndex(d => d && d.month === date.month && d.day === date.day) === i)
+    .slice(0, MAX_CUSTOM_DATES);
+
+  return {
+    page: PAGES.includes(params.get('page')) ? params.get('page') : 'viz',
+    year: year >= MIN_YEAR && year <= MAX_YEAR ? year : new Date().getFullYear(),
+    chartMode: CHART_MODES.includes(params.get('mode')) ? params.get('mode') : 'duration',
+    locations: locations.length > 0 ? locations : DEFAULT_LOCATIONS,
+    customDates
+  };
+};
+
+// Built by hand rather than with URLSearchParams, which would escape the "~" separators
+export const buildUrlSearch = (state) => {
+  const params = [
+    `page=${state.page}`,
+    `year=${state.year}`,
+    `mode=${state.chartMode}`,
+    ...state.locations.map(location => `loc=${encodeURIComponent(serializeLocation(location))}`),
+    ...state.locations.flatMap((location, index) => (location.elevation !== undefined ? [`elev=${index}~${location.elevation}`] : [])),
+    ...state.locations.flatMap((location, index) => (location.horizon ? [`horizon=${index}~${formatHorizon(location.horizon)}`] : [])),
+    ...state.customDates.map(date => `mark=${encodeURIComponent(formatCustomDate(date))}`)
+  ];
+  return `?${params.join('&')}`;
+};
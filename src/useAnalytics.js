@@ -0,0 +1,110 @@
+// src/useAnalytics.js
+import { useEffect, useState } from 'react';
+
+// Session storage, so the key is forgotten when the tab closes
+const KEY_STORAGE = 'daylight-api-key';
+
+const ERRORS = {
+  401: 'That API key was not accepted.',
+  403: 'That API key does not have the analytics role.',
+  503: 'The server has no API keys configured.'
+};
+
+const readStoredKey = () => {
+  try {
+    return sessionStorage.getItem(KEY_STORAGE) || '';
+  } catch {
+    return '';
+  }
+};
+
+const storeKey = (key) => {
+  try {
+    if (key) {
+      sessionStorage.setItem(KEY_STORAGE, key);
+    } else {
+      sessionStorage.removeItem(KEY_STORAGE);
+    }
+  } catch {
+    // Storage may be unavailable (private mode); the key then lasts until reload
+  }
+};
+
+export const hasStoredApiKey = () => readStoredKey() !== '';
+
+// The API key for the dashboard and /api/analytics for `range`
+// ({ from, to, bucket }), fetched again whenever either changes. A key the
+// server refuses is forgotten so the dashboard asks for another.
+const useAnalytics = (range) => {
+  const [apiKey, setApiKeyState] = useState(readStoredKey);
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const setApiKey = (key) => {
+    storeKey(key);
+    setApiKeyState(key);
+    setAnalytics(null);
+    setError('');
+  };
+
+  useEffect(() => {
+    if (!apiKey) return;
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setIsLoading(true);
+        const params = new URLSearchParams({ bucket: range.bucket });
+        if (range.from) params.set('from', range.from);
+        if (range.to) params.set('to', range.to);
+
+        const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+        const response = await fetch(`${API_URL}/api/analytics?${params}`, {
+          headers: { Authorization: `Bearer ${apiKey}` }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (cancelled) return;
+
+        if (response.status === 401 || response.status === 403) {
+          storeKey('');
+          setApiKeyState('');
+          setAnalytics(null);
+          setError(ERRORS[response.status]);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(ERRORS[response.status] || data.error || `HTTP ${response.status}`);
+        }
+
+        setAnalytics(data);
+        setError('');
+      } catch (loadError) {
+        if (cancelled) return;
+        console.error('Analytics error:', loadError);
+        setError(`Could not load analytics: ${loadError.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiKey, range.from, range.to, range.bucket, reloadCount]);
+
+  return {
+    apiKey,
+    setApiKey,
+    analytics,
+    error,
+    isLoading,
+    reload: () => setReloadCount(count => count + 1)
+  };
+};
+
+export default useAnalytics;
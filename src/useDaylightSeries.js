@@ -0,0 +1,47 @@
+// src/useDaylightSeries.js
+import { useMemo, useState } from 'react';
+import SunCalc from 'suncalc';
+import { COLOR_PALETTE } from './chartRenderer';
+import { getDaylightData } from './daylightData';
+
+// Curves to draw: one per location, or one per year for a single location
+// when comparing years, along with each curve's daylight data
+const useDaylightSeries = (locations, year) => {
+  const [compareYearsMode, setCompareYearsMode] = useState(false);
+  const [compareYears, setCompareYears] = useState([]);
+  const [compareLocationId, setCompareLocationId] = useState(1);
+
+  const series = useMemo(() => {
+    if (!compareYearsMode) {
+      return locations.map(location => ({ ...location, year }));
+    }
+
+    const location = locations.find(loc => loc.id === compareLocationId) || locations[0];
+    return [year, ...compareYears.filter(y => y !== year)].map((seriesYear, i) => ({
+      ...location,
+      id: `${location.id}-${seriesYear}`,
+      name: `${location.name} (${seriesYear})`,
+      color: COLOR_PALETTE[i % COLOR_PALETTE.length],
+      year: seriesYear
+    }));
+  }, [locations, year, compareYearsMode, compareYears, compareLocationId]);
+
+  const daylightDataMap = useMemo(() => Object.fromEntries(
+    series.map(location => [location.id, getDaylightData(SunCalc, location, location.year)])
+  ), [series]);
+
+  return {
+    series,
+    daylightDataMap,
+    compare: {
+      enabled: compareYearsMode,
+      setEnabled: setCompareYearsMode,
+      years: compareYears,
+      setYears: setCompareYears,
+      locationId: compareLocationId,
+      setLocationId: setCompareLocationId
+    }
+  };
+};
+
+export default useDaylightSeries;
@@ -0,0 +1,177 @@
+// src/useLocationSearch.js
+import { useEffect, useMemo, useState } from 'react';
+import { COLOR_PALETTE } from './chartRenderer';
+import { formatCoordinates, parseLocationInput } from './coordinates';
+import { getTimeZone } from './timeZones';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Geocoding search box state plus adding and removing locations, by search,
+// typed coordinates or picking a point on the map, with each new location
+// taking the first palette color not already in use
+const useLocationSearch = (locations, setLocations, maxLocations) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [pendingPoint, setPendingPoint] = useState(null);
+
+  // Coordinates and location codes are read as typed, without geocoding
+  const parsedInput = useMemo(() => parseLocationInput(searchQuery), [searchQuery]);
+
+  // Debounced geocoding search
+  useEffect(() => {
+    if (parsedInput || !searchQuery || searchQuery.length < 3) {
+      setSuggestions([]);
+      return;
+    }
+
+    let timeoutId;
+    let cancelled = false;
+
+    const search = async () => {
+      try {
+        setIsSearching(true);
+        // Hit our backend instead of Nominatim directly
+        const response = await fetch(
+          `${API_URL}/api/geocode?q=${encodeURIComponent(searchQuery)}`
+        );
+        const data = await response.json().catch(() => ({}));
+        if (cancelled) return;
+
+        // Rate limited (429) or geocoders busy (503): keep the current
+        // suggestions, say why, and try again when the server says to
+        if (response.status === 429 || response.status === 503) {
+          const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 1;
+          setNotice(response.status === 429
+            ? `Slow down: too many searches. Trying again in ${retryAfter}s…`
+            : `Search is busy. Trying again in ${retryAfter}s…`);
+          timeoutId = setTimeout(search, retryAfter * 1000);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        setSuggestions(data);
+        setNotice('');
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Geocoding error:', error);
+        setNotice('Search failed. Please try again.');
+      } finally {
+        setIsSearching(false);
+      }
+    };
+
+    timeoutId = setTimeout(search, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [searchQuery, parsedInput]);
+
+  const updateSearchQuery = (value) => {
+    setSearchQuery(value);
+    setNotice('');
+  };
+
+  const isFull = () => {
+    if (locations.length >= maxLocations) {
+      setNotice(`Maximum ${maxLocations} locations allowed`);
+      return true;
+    }
+    return false;
+  };
+
+  // `place` has Nominatim's fields: display_name, lat and lon
+  const appendLocation = (place) => {
+    const usedColors = locations.map(loc => loc.color);
+    const availableColor = COLOR_PALETTE.find(color => !usedColors.includes(color));
+    const newColor = availableColor || COLOR_PALETTE[locations.length % COLOR_PALETTE.length];
+
+    const lat = parseFloat(place.lat);
+    const lng = parseFloat(place.lon);
+
+    const newLocation = {
+      id: Date.now(),
+      lat,
+      lng,
+      timeZone: getTimeZone(lat, lng),
+      name: place.display_name.split(',').slice(0, 2).join(','),
+      color: newColor
+    };
+
+    setLocations([...locations, newLocation]);
+  };
+
+  const addLocation = (suggestion) => {
+    if (isFull()) return;
+    appendLocation(suggestion);
+    setSearchQuery('');
+    setSuggestions([]);
+    setNotice('');
+  };
+
+  const typedPoint = parsedInput && !parsedInput.error ? parsedInput : null;
+
+  const addTypedPoint = () => {
+    if (typedPoint) {
+      addLocation({ display_name: typedPoint.label, lat: typedPoint.lat, lon: typedPoint.lng });
+    }
+  };
+
+  // Add a point picked on the map, named after the place there. When the
+  // server can't say (or can't be reached), the coordinates are the name.
+  const addPoint = async (lat, lng) => {
+    if (pendingPoint || isFull()) return;
+
+    setPendingPoint({ lat, lng });
+    setNotice('');
+    let place = { display_name: formatCoordinates(lat, lng), lat, lon: lng };
+    try {
+      const response = await fetch(`${API_URL}/api/reverse-geocode?lat=${lat}&lon=${lng}`);
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        place = data;
+      } else if (response.status === 429) {
+        setNotice('Slow down: too many searches. Added the point by its coordinates.');
+      } else {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Reverse geocoding error:', error);
+      setNotice('Could not name that point. Added it by its coordinates.');
+    } finally {
+      setPendingPoint(null);
+    }
+    appendLocation(place);
+  };
+
+  const removeLocation = (id) => {
+    if (locations.length === 1) {
+      setNotice('At least one location required');
+      return;
+    }
+    setLocations(locations.filter(loc => loc.id !== id));
+    setNotice('');
+  };
+
+  return {
+    searchQuery,
+    setSearchQuery: updateSearchQuery,
+    suggestions,
+    isSearching,
+    notice,
+    typedPoint,
+    inputError: parsedInput?.error ?? '',
+    pendingPoint,
+    addLocation,
+    addTypedPoint,
+    addPoint,
+    removeLocation
+  };
+};
+
+export default useLocationSearch;
@@ -0,0 +1,213 @@
+// src/useLocationSets.js
+import { useEffect, useState } from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Sets saved while the server couldn't be reached, or while it only takes
+// changes from editors, wait here in this browser and are uploaded the next
+// time it takes them
+const LOCAL_STORAGE_KEY = 'daylight-location-sets';
+
+const readLocalSets = () => {
+  try {
+    const sets = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY));
+    return Array.isArray(sets) ? sets : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocalSets = (sets) => {
+  try {
+    if (sets.length > 0) {
+      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(sets));
+    } else {
+      localStorage.removeItem(LOCAL_STORAGE_KEY);
+    }
+  } catch {
+    // Storage may be unavailable (private mode); local sets then last until reload
+  }
+};
+
+// A state update for the local sets that also stores the result
+const storing = (update) => (current) => {
+  const next = update(current);
+  writeLocalSets(next);
+  return next;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+const hasName = (sets, name, exceptId) =>
+  sets.some(set => set.id !== exceptId && set.name.toLowerCase() === name.toLowerCase());
+
+// What the API stores for each location
+const toSetLocations = (locations) => locations.map(({ name, lat, lng, color, elevation, horizon }) =>
+  ({ name, lat, lng, color, elevation, horizon }));
+
+// fetch() only throws when the server can't be reached; it answering with an
+// error is an ApiError instead
+class ApiError extends Error {}
+
+const callApi = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${API_URL}/api/location-sets${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body && JSON.stringify(body)
+  });
+  const data = response.status === 204 ? null : await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ApiError(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+// Named location sets from /api/location-sets, plus any saved in this browser
+// while the API was unreachable or `isLocked` (marked `local`). The actions
+// resolve to whether they worked; when they didn't, `error` says why.
+const useLocationSets = () => {
+  const [serverSets, setServerSets] = useState([]);
+  const [localSets, setLocalSets] = useState(readLocalSets);
+  const [isOffline, setIsOffline] = useState(false);
+  // The server only takes changes from editors' API keys
+  const [isLocked, setIsLocked] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Load the shared sets, then upload the ones waiting in this browser unless
+  // the server is locked. One whose name has been taken on the server since
+  // stays local.
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const { sets, locked } = await callApi('');
+        const failed = [];
+        for (const set of locked ? [] : readLocalSets()) {
+          try {
+            sets.push(await callApi('', { method: 'POST', body: { name: set.name, locations: set.locations } }));
+            writeLocalSets(readLocalSets().filter(s => s.id !== set.id));
+          } catch (uploadError) {
+            console.error(`Could not upload location set "${set.name}":`, uploadError);
+            failed.push({ ...set, reason: uploadError.message });
+          }
+        }
+        if (cancelled) return;
+
+        // Another tab (or render) may have uploaded some of them meanwhile
+        const stillLocal = readLocalSets();
+        const notUploaded = failed.filter(set => stillLocal.some(s => s.id === set.id));
+        setServerSets(sets);
+        setLocalSets(stillLocal);
+        setIsOffline(false);
+        setIsLocked(Boolean(locked));
+        if (notUploaded.length > 0) {
+          setError(`Still only saved in this browser: ${notUploaded.map(set => `"${set.name}" (${set.reason})`).join(', ')}`);
+        }
+      } catch (loadError) {
+        if (cancelled) return;
+        console.error('Location sets error:', loadError);
+        setIsOffline(!(loadError instanceof ApiError));
+        if (loadError instanceof ApiError) {
+          setError(`Could not load saved sets: ${loadError.message}`);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const sets = [...serverSets, ...localSets].sort(byName);
+
+  // Run an API call, falling back to `offline` (when given) if the server
+  // can't be reached
+  const run = async (call, offline) => {
+    try {
+      await call();
+      setError('');
+      return true;
+    } catch (callError) {
+      console.error('Location sets error:', callError);
+      if (callError instanceof ApiError) {
+        setError(callError.message);
+        return false;
+      }
+      setIsOffline(true);
+      if (offline) return offline();
+      setError('The server can\'t be reached. Try again later.');
+      return false;
+    }
+  };
+
+  const saveLocally = (name, locations) => {
+    if (hasName(sets, name)) {
+      setError(`A set called "${name}" already exists`);
+      return false;
+    }
+    setLocalSets(storing(current => [...current, { id: `local-${Date.now()}`, name, locations, local: true }]));
+    setError('');
+    return true;
+  };
+
+  const saveSet = (name, locations) => {
+    const trimmed = name.trim();
+    const setLocations = toSetLocations(locations);
+    if (isOffline || isLocked) return saveLocally(trimmed, setLocations);
+
+    return run(async () => {
+      const saved = await callApi('', { method: 'POST', body: { name: trimmed, locations: setLocations } });
+      setServerSets(current => [...current, saved]);
+    }, () => saveLocally(trimmed, setLocations));
+  };
+
+  const renameSet = (set, name) => {
+    const trimmed = name.trim();
+    if (set.local) {
+      if (hasName(sets, trimmed, set.id)) {
+        setError(`A set called "${trimmed}" already exists`);
+        return false;
+      }
+      setLocalSets(storing(current => current.map(s => (s.id === set.id ? { ...s, name: trimmed } : s))));
+      setError('');
+      return true;
+    }
+
+    return run(async () => {
+      const renamed = await callApi(`/${set.id}`, { method: 'PUT', body: { name: trimmed } });
+      setServerSets(current => current.map(s => (s.id === set.id ? renamed : s)));
+    });
+  };
+
+  const deleteSet = (set) => {
+    if (set.local) {
+      setLocalSets(storing(current => current.filter(s => s.id !== set.id)));
+      setError('');
+      return true;
+    }
+
+    return run(async () => {
+      await callApi(`/${set.id}`, { method: 'DELETE' });
+      setServerSets(current => current.filter(s => s.id !== set.id));
+    });
+  };
+
+  return {
+    sets,
+    isOffline,
+    isLocked,
+    isLoading,
+    error,
+    saveSet,
+    renameSet,
+    deleteSet
+  };
+};
+
+export default useLocationSets;
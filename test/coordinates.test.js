@@ -0,0 +1,82 @@
+// test/coordinates.test.js
+import { describe, expect, it } from 'vitest';
+import { formatCoordinates, isValidLatitude, normalizeLongitude, parseLocationInput } from '../src/coordinates.js';
+
+describe('coordinates', () => {
+  it('wraps longitudes into -180 to 180', () => {
+    expect(normalizeLongitude(-122.5)).toBe(-122.5);
+    expect(normalizeLongitude(190)).toBe(-170);
+    expect(normalizeLongitude(-190)).toBe(170);
+    expect(normalizeLongitude(180)).toBe(-180);
+    expect(normalizeLongitude(720)).toBe(0);
+  });
+
+  it('checks latitudes', () => {
+    expect(isValidLatitude(90)).toBe(true);
+    expect(isValidLatitude(-90.5)).toBe(false);
+    expect(isValidLatitude(NaN)).toBe(false);
+  });
+
+  it('labels a point by its coordinates', () => {
+    expect(formatCoordinates(47.60621, -122.33207)).toBe('47.6062, -122.3321');
+    expect(formatCoordinates(0, 0)).toBe('0.0000, 0.0000');
+  });
+});
+
+describe('parseLocationInput', () => {
+  const point = (input) => {
+    const { lat, lng, ...rest } = parseLocationInput(input);
+    return { lat: Number(lat.toFixed(6)), lng: Number(lng.toFixed(6)), ...rest };
+  };
+
+  it('reads decimal degrees with signs or hemispheres', () => {
+    const london = { format: 'decimal', lat: 51.5, lng: -0.12, label: '51.5000, -0.1200' };
+    ['51.5, -0.12', '51.5 -0.12', '51.5N 0.12W', 'n51.5 w0.12', '51.5° N, 0.12° W', '0.12W 51.5N', 'geo:51.5,-0.12;u=10']
+      .forEach(input => expect(point(input)).toEqual(london));
+  });
+
+  it('reads degrees, minutes and seconds', () => {
+    expect(point(`51°30'26"N 0°7'39"W`)).toEqual({ format: 'dms', lat: 51.507222, lng: -0.1275, label: '51.5072, -0.1275' });
+    expect(point('51°30′26″N, 0°07′39″W')).toMatchObject({ lat: 51.507222, lng: -0.1275 });
+    expect(point(`33°52.13'S 151°12.56'E`)).toMatchObject({ format: 'dms', lat: -33.868833, lng: 151.209333 });
+    expect(point('51 30 26 N 0 7 39 W')).toMatchObject({ lat: 51.507222, lng: -0.1275 });
+  });
+
+  it('decodes geohashes', () => {
+    expect(point('u4pruydqqvj')).toEqual({ format: 'geohash', lat: 57.649111, lng: 10.40744, label: 'u4pruydqqvj' });
+    expect(point('geohash:ezs42')).toEqual({ format: 'geohash', lat: 42.60498, lng: -5.603027, label: 'ezs42' });
+  });
+
+  it('decodes full Plus Codes, padded or not', () => {
+    const singapore = parseLocationInput('6PH57VP3+PR');
+    expect(singapore).toMatchObject({ format: 'pluscode', label: '6PH57VP3+PR' });
+    expect(singapore.lat).toBeCloseTo(1.2868125, 7);
+    expect(singapore.lng).toBeCloseTo(103.8545625, 7);
+    expect(point('8fvc9g8f+6xr')).toMatchObject({ lat: 47.365613, lng: 8.524891 });
+    expect(point('8FVC0000+')).toMatchObject({ lat: 47.5, lng: 8.5 });
+  });
+
+  it('decodes Maidenhead locators', () => {
+    expect(point('IO91wm')).toEqual({ format: 'maidenhead', lat: 51.520833, lng: -0.125, label: 'IO91wm' });
+    expect(point('JN58TD25')).toMatchObject({ lat: 48.147917, lng: 11.604167 });
+  });
+
+  it('leaves place names, postcodes and single numbers to the geocoder', () => {
+    ['London', '10 Downing Street', 'N1', 'E14 5AB', '90210', '51.5', 'perth', 'ezs42', 'JO01']
+      .forEach(input => expect(parseLocationInput(input)).toBeNull());
+  });
+
+  it('explains malformed input', () => {
+    expect(parseLocationInput('91, 0').error).toMatch(/Latitude must be between -90 and 90/);
+    expect(parseLocationInput('45, 181').error).toMatch(/Longitude must be between/);
+    expect(parseLocationInput(`51°70'N 0°W`).error).toMatch(/under 60/);
+    expect(parseLocationInput('51.5, -0.12, 3').error).toMatch(/one comma/);
+    expect(parseLocationInput('51 N 0 N').error).toMatch(/one latitude \(N\/S\) and one longitude/);
+    expect(parseLocationInput('-51 S, 0 E').error).toMatch(/either a sign or S/);
+    expect(parseLocationInput('51 30 26 0 7 39').error).toMatch(/Enter a latitude and a longitude/);
+    expect(parseLocationInput('9G8F+6X').error).toMatch(/Short Plus Codes/);
+    expect(parseLocationInput('8FVC9G8F+6').error).toMatch(/Not a valid Plus Code/);
+    expect(parseLocationInput('geohash:abc').error).toMatch(/"a" can't appear in a geohash/);
+    expect(parseLocationInput('geo:somewhere').error).toMatch(/geo: takes/);
+  });
+});
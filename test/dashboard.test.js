@@ -0,0 +1,61 @@
+// test/dashboard.test.js
+import { describe, expect, it } from 'vitest';
+import { RANGE_PRESETS, fillBuckets, getOutcomeRate, getPresetRange } from '../src/dashboardData.js';
+
+const NOW = Date.parse('2025-03-10T14:30:00Z');
+const row = (bucket, counts = {}) => ({ bucket, searches: 0, found: 0, hits: 0, stale: 0, misses: 0, empty: 0, errors: 0, ...counts });
+const preset = (key) => RANGE_PRESETS.find(p => p.key === key);
+
+describe('getPresetRange', () => {
+  it('ends today and covers the preset number of days', () => {
+    expect(getPresetRange(preset('7d'), NOW)).toEqual({ from: '2025-03-04', to: '2025-03-10', bucket: 'day' });
+    expect(getPresetRange(preset('today'), NOW)).toEqual({ from: '2025-03-10', to: '2025-03-10', bucket: 'hour' });
+  });
+
+  it('leaves all time unbounded', () => {
+    expect(getPresetRange(preset('all'), NOW)).toEqual({ from: '', to: '', bucket: 'day' });
+  });
+});
+
+describe('fillBuckets', () => {
+  it('adds empty days across the range', () => {
+    const rows = [row('2025-03-05', { searches: 4, found: 3, hits: 3, misses: 1 })];
+    expect(fillBuckets(rows, { bucket: 'day', from: '2025-03-04', to: '2025-03-06' }, NOW)).toEqual([
+      row('2025-03-04'),
+      rows[0],
+      row('2025-03-06')
+    ]);
+  });
+
+  it('stops at the current hour', () => {
+    const filled = fillBuckets([row('2025-03-10 09:00', { searches: 1, hits: 1 })], { bucket: 'hour', from: '2025-03-10', to: '2025-03-10' }, NOW);
+    expect(filled).toHaveLength(15);
+    expect(filled[0].bucket).toBe('2025-03-10 00:00');
+    expect(filled[9]).toEqual(row('2025-03-10 09:00', { searches: 1, hits: 1 }));
+    expect(filled.at(-1).bucket).toBe('2025-03-10 14:00');
+  });
+
+  it('spans the rows when the range is open', () => {
+    const rows = [row('2024-12-31', { searches: 1, empty: 1 }), row('2025-01-02', { searches: 2, hits: 2 })];
+    expect(fillBuckets(rows, { bucket: 'day', from: null, to: null }, NOW).map(row => row.bucket))
+      .toEqual(['2024-12-31', '2025-01-01', '2025-01-02']);
+    expect(fillBuckets([], { bucket: 'day', from: null, to: null }, NOW)).toEqual([]);
+  });
+
+  it('leaves very long hourly ranges sparse', () => {
+    const rows = [row('2024-01-01 00:00', { searches: 1, hits: 1 })];
+    expect(fillBuckets(rows, { bucket: 'hour', from: '2024-01-01', to: '2024-12-31' }, NOW)).toBe(rows);
+  });
+});
+
+describe('getOutcomeRate', () => {
+  it('is a percentage of the searches with a known outcome', () => {
+    const counts = row('2025-03-10', { searches: 6, hits: 3, misses: 1, errors: 1 });
+    expect(getOutcomeRate(counts, 'hits')).toBe(60);
+    expect(getOutcomeRate(counts, 'errors')).toBe(20);
+  });
+
+  it('is null without such searches', () => {
+    expect(getOutcomeRate(row('2025-03-10', { searches: 2 }), 'hits')).toBeNull();
+  });
+});
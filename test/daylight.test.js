@@ -0,0 +1,149 @@
+// test/daylight.test.js
+import { describe, expect, it } from 'vitest';
+import SunCalc from 'suncalc';
+import { DAY_TYPES, getHorizonDip, getPolarStretches, getTwilightWindows } from '../src/daylight.js';
+import { getDaylightData, getDaysInYear, getSeriesDay, serializeDay } from '../src/daylightData.js';
+import { getZonedParts } from '../src/timeZones.js';
+
+// Minutes since local midnight in the given zone
+const localMinutes = (date, timeZone) => {
+  const { hour, minute, second } = getZonedParts(date, timeZone);
+  return hour * 60 + minute + second / 60;
+};
+
+const dayOf = (data, month, day) => data.find(d => d.date.getMonth() === month - 1 && d.date.getDate() === day);
+
+describe('getDaylightData', () => {
+  // Published sunrise/sunset times (local clock, rounded to the minute)
+  const references = [
+    { name: 'London', lat: 51.5074, lng: -0.1278, timeZone: 'Europe/London', month: 6, day: 21, sunrise: '04:43', sunset: '21:21' },
+    { name: 'New York', lat: 40.7128, lng: -74.006, timeZone: 'America/New_York', month: 12, day: 21, sunrise: '07:16', sunset: '16:32' },
+    { name: 'Sydney', lat: -33.8688, lng: 151.2093, timeZone: 'Australia/Sydney', month: 6, day: 21, sunrise: '07:00', sunset: '16:54' }
+  ];
+
+  references.forEach(({ name, lat, lng, timeZone, month, day, sunrise, sunset }) => {
+    it(`matches published sunrise and sunset for ${name}`, () => {
+      const d = dayOf(getDaylightData(SunCalc, { lat, lng }, 2025), month, day);
+      const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+      expect(d.dayType).toBe(DAY_TYPES.NORMAL);
+      expect(Math.abs(localMinutes(d.sunrise, timeZone) - toMinutes(sunrise))).toBeLessThan(3);
+      expect(Math.abs(localMinutes(d.sunset, timeZone) - toMinutes(sunset))).toBeLessThan(3);
+      expect(d.daylightHours).toBeCloseTo((d.sunset - d.sunrise) / 3600000, 6);
+    });
+  });
+
+  it('keeps each day on its own civil date east and west of Greenwich', () => {
+    [{ lat: 35.6762, lng: 139.6503, timeZone: 'Asia/Tokyo' }, { lat: 21.3069, lng: -157.8583, timeZone: 'Pacific/Honolulu' }]
+      .forEach(location => {
+        const data = getDaylightData(SunCalc, location, 2025);
+        data.forEach(d => {
+          const { month, day } = getZonedParts(d.solarNoon, location.timeZone);
+          expect([month, day]).toEqual([d.date.getMonth() + 1, d.date.getDate()]);
+        });
+      });
+  });
+
+  it('returns 366 days in leap years and 365 otherwise', () => {
+    expect(getDaysInYear(2024)).toBe(366);
+    expect(getDaysInYear(2025)).toBe(365);
+    expect(getDaysInYear(1900)).toBe(365);
+    expect(getDaysInYear(2000)).toBe(366);
+
+    const leap = getDaylightData(SunCalc, { lat: 0, lng: 0 }, 2024);
+    expect(leap).toHaveLength(366);
+    expect(serializeDay(leap[59], 'UTC').date).toBe('2024-02-29');
+    expect(serializeDay(leap[365], 'UTC').date).toBe('2024-12-31');
+  });
+
+  // Apia and Kiritimati keep clocks 13 and 14 hours ahead of UTC west of
+  // 150° W, a day ahead of what their longitude suggests
+  it.each([
+    ['Apia', -13.8333, -171.7667, 'Pacific/Apia'],
+    ['Kiritimati', 1.8721, -157.4278, 'Pacific/Kiritimati'],
+    ['Orange', 33.7879, -117.8531, 'America/Los_Angeles']
+  ])('keeps each record on its civil date in %s', (_, lat, lng, timeZone) => {
+    const data = getDaylightData(SunCalc, { lat, lng, timeZone }, 2025);
+    expect(serializeDay(data[0], timeZone).date).toBe('2025-01-01');
+    data.forEach(d => {
+      const { date, sunrise, sunset } = serializeDay(d, timeZone);
+      expect(sunrise.slice(0, 10)).toBe(date);
+      expect(sunset.slice(0, 10)).toBe(date);
+    });
+  });
+
+  it('matches calendar dates across leap and non-leap years', () => {
+    expect(getSeriesDay(59, 2024, 2025)).toBeNull(); // Feb 29
+    expect(getSeriesDay(60, 2024, 2025)).toBe(59); // Mar 1
+    expect(getSeriesDay(59, 2025, 2024)).toBe(60); // Mar 1
+    expect(getSeriesDay(10, 2025, 2025)).toBe(10);
+  });
+
+  it('brings sunrise forward and sunset back for an observer above sea level', () => {
+    const denver = { lat: 39.7392, lng: -104.9903 };
+    const seaLevel = dayOf(getDaylightData(SunCalc, denver, 2025), 6, 21);
+    const raised = dayOf(getDaylightData(SunCalc, { ...denver, elevation: 1609 }, 2025), 6, 21);
+
+    // A level horizon seen from 1609 m lies about 1.4° below eye level
+    expect(getHorizonDip(1609)).toBeCloseTo(-1.39, 2);
+    expect((seaLevel.sunrise - raised.sunrise) / 60000).toBeGreaterThan(8);
+    expect((raised.sunset - seaLevel.sunset) / 60000).toBeGreaterThan(8);
+    expect(raised.daylightHours).toBeGreaterThan(seaLevel.daylightHours);
+    expect(raised.effective).toBeNull();
+  });
+
+  it('adds effective times for locations with a horizon profile', () => {
+    const valley = { lat: 46.0207, lng: 7.7491, horizon: [{ azimuth: 0, altitude: 15 }] };
+    const d = dayOf(getDaylightData(SunCalc, valley, 2025), 12, 21);
+
+    expect(d.effective.sunrise > d.sunrise).toBe(true);
+    expect(d.effective.sunset < d.sunset).toBe(true);
+    expect(serializeDay(d, 'Europe/Zurich')).toMatchObject({
+      effectiveSunrise: expect.stringMatching(/^2025-12-21T\d\d:\d\d:\d\d\+01:00$/),
+      effectiveDaylightHours: expect.any(Number)
+    });
+  });
+
+  it('stays close to 12 hours all year at the equator', () => {
+    getDaylightData(SunCalc, { lat: -0.1807, lng: -78.4678 }, 2025).forEach(d => {
+      expect(d.dayType).toBe(DAY_TYPES.NORMAL);
+      expect(d.daylightHours).toBeGreaterThan(12);
+      expect(d.daylightHours).toBeLessThan(12.3);
+    });
+  });
+});
+
+describe('polar days', () => {
+  const tromso = getDaylightData(SunCalc, { lat: 69.6492, lng: 18.9553 }, 2025);
+  const mcmurdo = getDaylightData(SunCalc, { lat: -77.8419, lng: 166.6863 }, 2025);
+
+  it('classifies midnight sun and polar night instead of producing NaN', () => {
+    expect(dayOf(tromso, 6, 21)).toMatchObject({ dayType: DAY_TYPES.MIDNIGHT_SUN, daylightHours: 24 });
+    expect(dayOf(tromso, 12, 21)).toMatchObject({ dayType: DAY_TYPES.POLAR_NIGHT, daylightHours: 0 });
+    expect(dayOf(mcmurdo, 6, 21)).toMatchObject({ dayType: DAY_TYPES.POLAR_NIGHT, daylightHours: 0 });
+    expect(dayOf(mcmurdo, 12, 21)).toMatchObject({ dayType: DAY_TYPES.MIDNIGHT_SUN, daylightHours: 24 });
+
+    [...tromso, ...mcmurdo].forEach(d => {
+      expect(Number.isFinite(d.daylightHours)).toBe(true);
+      expect(d.daylightHours).toBeGreaterThanOrEqual(0);
+      expect(d.daylightHours).toBeLessThanOrEqual(24);
+    });
+  });
+
+  it('groups polar days into stretches', () => {
+    const stretches = getPolarStretches(tromso);
+    const midnightSun = stretches.filter(s => s.type === DAY_TYPES.MIDNIGHT_SUN);
+
+    expect(midnightSun).toHaveLength(1);
+    expect(midnightSun[0].end - midnightSun[0].start + 1).toBeGreaterThan(60);
+    // Polar night wraps the new year, so it appears at both ends
+    expect(stretches[0].type).toBe(DAY_TYPES.POLAR_NIGHT);
+    expect(stretches[stretches.length - 1].type).toBe(DAY_TYPES.POLAR_NIGHT);
+  });
+
+  it('reports twilight that lasts all night during white nights', () => {
+    const london = getDaylightData(SunCalc, { lat: 51.5074, lng: -0.1278 }, 2025);
+    const astronomical = getTwilightWindows(dayOf(london, 6, 21)).find(band => band.key === 'astronomical');
+    expect(astronomical.state).toBe('all-night');
+  });
+});
@@ -0,0 +1,354 @@
+// test/geocoders.test.js
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import { openDatabase } from '../server/db.js';
+import { createGazetteerProvider, foldName } from '../server/gazetteer.js';
+import {
+  createGeoapifyProvider,
+  createGeocoder,
+  createLocationIqProvider,
+  createMapTilerProvider,
+  createNominatimProvider,
+  createReverseGeocoder,
+  getProvidersFromEnv
+} from '../server/geocoders.js';
+import { UpstreamBusyError, createUpstreamQueue, queueProvider } from '../server/upstreamQueue.js';
+
+const cities = [
+  { cityId: 2643743, name: 'London', country: 'GB', adminCode: 'ENG', population: 7556900, loc: { coordinates: [-0.12574, 51.50853] } },
+  { cityId: 6058560, name: 'London', country: 'CA', adminCode: '08', population: 346765, loc: { coordinates: [-81.23304, 42.98339] } },
+  { cityId: 2643734, name: 'Londonderry County Borough', country: 'GB', adminCode: 'NIR', population: 83652, loc: { coordinates: [-7.30917, 54.9981] } },
+  { cityId: 3448439, name: 'São Paulo', country: 'BR', adminCode: '27', population: 10021295, loc: { coordinates: [-46.63611, -23.5475] } },
+  { cityId: 3133895, name: 'Tromsø', country: 'NO', adminCode: '54', population: 52436, loc: { coordinates: [18.95508, 69.6489] } },
+  { cityId: 5379439, name: 'Orange', country: 'US', adminCode: 'CA', population: 139969, loc: { coordinates: [-117.85311, 33.78779] } },
+  { cityId: 2154219, name: 'Orange', country: 'AU', adminCode: '02', population: 38408, loc: { coordinates: [149.10018, -33.28397] } }
+];
+
+const failing = (name) => ({
+  name,
+  cacheable: true,
+  search: vi.fn(async () => { throw new Error('offline'); })
+});
+
+const answering = (name, results) => ({
+  name,
+  cacheable: true,
+  search: vi.fn(async () => results)
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('createGeocoder', () => {
+  it('falls back to the next provider when one fails', async () => {
+    const first = failing('first');
+    const second = answering('second', [{ display_name: 'Quito, Ecuador', lat: '-0.22985', lon: '-78.52495' }]);
+    const third = answering('third', []);
+
+    const { provider, results } = await createGeocoder([first, second, third])('Quito');
+
+    expect(provider).toBe(second);
+    expect(results).toHaveLength(1);
+    expect(first.search).toHaveBeenCalledWith('Quito', 5);
+    expect(third.search).not.toHaveBeenCalled();
+  });
+
+  it('treats an empty result as an answer', async () => {
+    const first = answering('first', []);
+    const second = answering('second', [{ display_name: 'Somewhere', lat: '0', lon: '0' }]);
+
+    const { provider, results } = await createGeocoder([first, second])('Nowhere');
+
+    expect(provider).toBe(first);
+    expect(results).toEqual([]);
+    expect(second.search).not.toHaveBeenCalled();
+  });
+
+  it('throws when every provider fails', async () => {
+    await expect(createGeocoder([failing('a'), failing('b')])('Quito')).rejects.toThrow(/a: offline; b: offline/);
+  });
+
+  it('reports busy with the shortest wait when every provider is busy', async () => {
+    const busy = (name, retryAfterMs) => ({
+      name,
+      cacheable: true,
+      search: async () => { throw new UpstreamBusyError('Upstream queue is full', retryAfterMs); }
+    });
+
+    const error = await createGeocoder([busy('a', 4000), busy('b', 2000)])('Quito').catch(e => e);
+    expect(error).toBeInstanceOf(UpstreamBusyError);
+    expect(error.retryAfterMs).toBe(2000);
+
+    await expect(createGeocoder([busy('a', 4000), failing('b')])('Quito')).rejects.not.toBeInstanceOf(UpstreamBusyError);
+  });
+});
+
+describe('createReverseGeocoder', () => {
+  const quito = { display_name: 'Quito, Ecuador', lat: '-0.22985', lon: '-78.52495' };
+
+  it('asks the providers that can reverse geocode, in order', async () => {
+    const searchOnly = answering('search-only', []);
+    const first = { ...failing('first'), reverse: vi.fn(async () => { throw new Error('offline'); }) };
+    const second = { ...answering('second', []), reverse: vi.fn(async () => quito) };
+
+    const { provider, result } = await createReverseGeocoder([searchOnly, first, second])(-0.2, -78.5);
+
+    expect(provider).toBe(second);
+    expect(result).toBe(quito);
+    expect(first.reverse).toHaveBeenCalledWith(-0.2, -78.5);
+  });
+
+  it('treats nothing there as an answer', async () => {
+    const first = { ...answering('first', []), reverse: vi.fn(async () => null) };
+    const second = { ...answering('second', []), reverse: vi.fn(async () => quito) };
+
+    expect(await createReverseGeocoder([first, second])(0, -30)).toEqual({ provider: first, result: null });
+    expect(second.reverse).not.toHaveBeenCalled();
+  });
+
+  it('fails without a provider that can reverse geocode', async () => {
+    await expect(createReverseGeocoder([answering('a', [])])(0, 0)).rejects.toThrow(/No geocoder can name a point/);
+  });
+});
+
+describe('createUpstreamQueue', () => {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('spaces calls out by the interval', async () => {
+    const enqueue = createUpstreamQueue({ intervalMs: 40 });
+    const starts = [];
+    await Promise.all([1, 2, 3].map(n => enqueue(async () => {
+      starts.push(Date.now());
+      return n;
+    })));
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(39);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(39);
+  });
+
+  it('waits for a slow call to finish before starting the next', async () => {
+    const enqueue = createUpstreamQueue({ intervalMs: 0 });
+    const events = [];
+    await Promise.all([
+      enqueue(async () => { events.push('first start'); await sleep(30); events.push('first end'); }),
+      enqueue(async () => { events.push('second start'); })
+    ]);
+
+    expect(events).toEqual(['first start', 'first end', 'second start']);
+  });
+
+  it('keeps going after a call fails', async () => {
+    const enqueue = createUpstreamQueue({ intervalMs: 0 });
+    const failed = enqueue(async () => { throw new Error('boom'); });
+    const next = enqueue(async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  it('turns calls away when too many are waiting', async () => {
+    const enqueue = createUpstreamQueue({ intervalMs: 1000, maxPending: 2 });
+    const first = enqueue(async () => 1);
+    const second = enqueue(async () => 2);
+    const error = await enqueue(async () => 3).catch(e => e);
+
+    expect(error).toBeInstanceOf(UpstreamBusyError);
+    expect(error.retryAfterMs).toBe(2000);
+    await expect(first).resolves.toBe(1);
+    await expect(second).resolves.toBe(2);
+  });
+
+  it('queues reverse lookups alongside searches', async () => {
+    const provider = queueProvider({
+      ...answering('queued', []),
+      reverse: async () => null
+    }, { intervalMs: 1000, maxPending: 1 });
+    const search = provider.search('Quito', 5);
+
+    await expect(provider.reverse(0, 0)).rejects.toBeInstanceOf(UpstreamBusyError);
+    await search;
+    expect(queueProvider(answering('search-only', [])).reverse).toBeUndefined();
+  });
+});
+
+describe('offline gazetteer', () => {
+  let db;
+  let gazetteer;
+
+  beforeAll(() => {
+    db = openDatabase(':memory:');
+    gazetteer = createGazetteerProvider({ db, cities });
+  });
+
+  afterAll(() => db.close());
+
+  it('folds accents and special letters', () => {
+    expect(foldName('  São   Paulo ')).toBe('sao paulo');
+    expect(foldName('Tromsø')).toBe('tromso');
+  });
+
+  it('matches name prefixes, most populous first', async () => {
+    const results = await gazetteer.search('lond', 5);
+    expect(results.map(r => r.display_name)).toEqual([
+      'London, ENG, United Kingdom',
+      'London, Canada',
+      'Londonderry County Borough, NIR, United Kingdom'
+    ]);
+    expect(results[0]).toEqual({ display_name: 'London, ENG, United Kingdom', lat: '51.50853', lon: '-0.12574' });
+  });
+
+  it('finds places typed without accents', async () => {
+    expect((await gazetteer.search('sao paulo', 5))[0].display_name).toBe('São Paulo, Brazil');
+    expect((await gazetteer.search('TROMSO', 5))[0].display_name).toBe('Tromsø, Norway');
+  });
+
+  it('narrows by country name, country code or region code', async () => {
+    expect((await gazetteer.search('Orange, Australia', 5)).map(r => r.display_name)).toEqual(['Orange, Australia']);
+    expect((await gazetteer.search('orange, au', 5)).map(r => r.display_name)).toEqual(['Orange, Australia']);
+    expect((await gazetteer.search('Orange, CA', 5)).map(r => r.display_name)).toEqual(['Orange, CA, United States']);
+    expect((await gazetteer.search('London, Canada', 5)).map(r => r.display_name)).toEqual(['London, Canada']);
+  });
+
+  it('respects the limit and is never cached', async () => {
+    expect(await gazetteer.search('o', 1)).toHaveLength(1);
+    expect(gazetteer.cacheable).toBe(false);
+  });
+
+  it('names a point after the nearest place within 30 km', async () => {
+    expect(await gazetteer.reverse(51.45, -0.2)).toEqual({ display_name: 'London, ENG, United Kingdom', lat: '51.50853', lon: '-0.12574' });
+    expect(await gazetteer.reverse(-33.2, 149.2)).toMatchObject({ display_name: 'Orange, Australia' });
+    expect(await gazetteer.reverse(51.9, -0.12)).toBeNull();
+    expect(await gazetteer.reverse(0, -30)).toBeNull();
+  });
+
+  it('loads the cities only once', () => {
+    createGazetteerProvider({ db, cities });
+    expect(db.prepare('SELECT COUNT(*) AS count FROM gazetteer').get().count).toBe(cities.length);
+  });
+});
+
+describe('remote providers', () => {
+  let server;
+  let url;
+  let requests;
+
+  // One stand-in for every provider's API, answering in each one's format
+  beforeAll(async () => {
+    const standIn = express();
+    standIn.use((req, res, next) => {
+      requests.push({ path: req.path, query: req.query });
+      next();
+    });
+    standIn.get('/search', (req, res) => {
+      if (req.query.q === 'nothing') return res.status(404).json({ error: 'Unable to geocode' });
+      if (req.query.q === 'limited') return res.status(429).json({ error: 'Rate limited' });
+      res.json([{ place_id: 1, display_name: 'Quito, Ecuador', lat: '-0.2298', lon: '-78.5250', importance: 0.8 }]);
+    });
+    standIn.get('/reverse', (req, res) => {
+      if (req.query.lat === '0') return res.json({ error: 'Unable to geocode' });
+      res.json({ place_id: 1, display_name: 'Quito, Ecuador', lat: '-0.2298', lon: '-78.5250', osm_type: 'relation', osm_id: 2717130 });
+    });
+    standIn.get('/geocode/reverse', (req, res) => {
+      res.json({ results: req.query.lat === '0' ? [] : [{ formatted: 'Quito, Ecuador', lat: -0.2298, lon: -78.525 }] });
+    });
+    standIn.get('/geocode/search', (req, res) => {
+      res.json({ results: [{ formatted: 'Quito, Ecuador', lat: -0.2298, lon: -78.525 }] });
+    });
+    standIn.get('/geocoding/:query', (req, res) => {
+      res.json({ type: 'FeatureCollection', features: [{ place_name: 'Quito, Pichincha, Ecuador', center: [-78.525, -0.2298] }] });
+    });
+    server = await new Promise(resolve => {
+      const listening = standIn.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('maps Nominatim results to the shared shape', async () => {
+    const results = await createNominatimProvider({ url }).search('Quito', 3);
+    expect(results).toEqual([{ display_name: 'Quito, Ecuador', lat: '-0.2298', lon: '-78.5250' }]);
+    expect(requests[0].query).toEqual({ q: 'Quito', format: 'json', limit: '3' });
+  });
+
+  it('fails on error statuses', async () => {
+    await expect(createNominatimProvider({ url }).search('limited', 5)).rejects.toThrow('HTTP 429');
+  });
+
+  it('sends the LocationIQ key and reads its 404 as no results', async () => {
+    const provider = createLocationIqProvider({ apiKey: 'liq-key', url });
+    expect(await provider.search('Quito', 5)).toHaveLength(1);
+    expect(requests[0].query.key).toBe('liq-key');
+    expect(await provider.search('nothing', 5)).toEqual([]);
+  });
+
+  it('maps Geoapify results', async () => {
+    const results = await createGeoapifyProvider({ apiKey: 'geo-key', url }).search('Quito', 5);
+    expect(results).toEqual([{ display_name: 'Quito, Ecuador', lat: '-0.2298', lon: '-78.525' }]);
+    expect(requests[0].query).toMatchObject({ text: 'Quito', apiKey: 'geo-key', format: 'json' });
+  });
+
+  it('maps MapTiler features', async () => {
+    const results = await createMapTilerProvider({ apiKey: 'mt-key', url }).search('Quito', 5);
+    expect(results).toEqual([{ display_name: 'Quito, Pichincha, Ecuador', lat: '-0.2298', lon: '-78.525' }]);
+    expect(requests[0]).toMatchObject({ path: '/geocoding/Quito.json', query: { key: 'mt-key' } });
+  });
+
+  it('reverse geocode with Nominatim and LocationIQ, reading "Unable to geocode" as nothing there', async () => {
+    const quito = { display_name: 'Quito, Ecuador', lat: '-0.2298', lon: '-78.5250', osm_type: 'relation', osm_id: 2717130 };
+    expect(await createNominatimProvider({ url }).reverse(-0.2, -78.5)).toEqual(quito);
+    expect(requests[0]).toMatchObject({ path: '/reverse', query: { lat: '-0.2', lon: '-78.5', format: 'json' } });
+    expect(await createNominatimProvider({ url }).reverse(0, -30)).toBeNull();
+    expect(await createLocationIqProvider({ apiKey: 'liq-key', url }).reverse(-0.2, -78.5)).toEqual(quito);
+    expect(requests[2].query.key).toBe('liq-key');
+  });
+
+  it('reverse geocode with Geoapify and MapTiler', async () => {
+    expect(await createGeoapifyProvider({ apiKey: 'geo-key', url }).reverse(-0.2, -78.5)).toMatchObject({ display_name: 'Quito, Ecuador' });
+    expect(await createGeoapifyProvider({ apiKey: 'geo-key', url }).reverse(0, -30)).toBeNull();
+    expect(await createMapTilerProvider({ apiKey: 'mt-key', url }).reverse(-0.2, -78.5)).toMatchObject({ display_name: 'Quito, Pichincha, Ecuador' });
+    expect(requests[2]).toMatchObject({ path: '/geocoding/-78.5,-0.2.json', query: { key: 'mt-key', limit: '1' } });
+  });
+});
+
+describe('getProvidersFromEnv', () => {
+  it('builds the providers in order', () => {
+    const providers = getProvidersFromEnv({
+      GEOCODERS: 'maptiler, Nominatim,geoapify',
+      MAPTILER_API_KEY: 'a',
+      GEOAPIFY_API_KEY: 'b',
+      NOMINATIM_URL: 'http://nominatim.internal'
+    }, { db: null });
+    expect(providers.map(p => p.name)).toEqual(['maptiler', 'nominatim', 'geoapify']);
+    expect(providers.every(p => p.cacheable)).toBe(true);
+  });
+
+  it('rejects unknown providers and missing keys', () => {
+    expect(() => getProvidersFromEnv({ GEOCODERS: 'google' }, { db: null })).toThrow(/Unknown geocoder "google"/);
+    expect(() => getProvidersFromEnv({ GEOCODERS: 'locationiq' }, { db: null })).toThrow(/LOCATIONIQ_API_KEY/);
+    expect(() => getProvidersFromEnv({ GEOCODERS: ' , ' }, { db: null })).toThrow(/at least one/);
+  });
+
+  it.each([
+    ['GEOCODER_INTERVAL_MS', '1s'],
+    ['GEOCODER_INTERVAL_MS', '-1000'],
+    ['GEOCODER_MAX_QUEUE', 'ten'],
+    ['GEOCODER_MAX_QUEUE', '0'],
+    ['GEOCODER_MAX_QUEUE', '2.5']
+  ])('rejects %s=%s instead of leaving the queue unbounded', (variable, value) => {
+    expect(() => getProvidersFromEnv({ [variable]: value }, { db: null }))
+      .toThrow(new RegExp(`Invalid ${variable} "${value}"`));
+  });
+
+  it('accepts queue settings that are numbers', () => {
+    const env = { GEOCODERS: 'nominatim', GEOCODER_INTERVAL_MS: '0', GEOCODER_MAX_QUEUE: '3' };
+    expect(getProvidersFromEnv(env, { db: null }).map(p => p.name)).toEqual(['nominatim']);
+    expect(getProvidersFromEnv({ ...env, GEOCODER_INTERVAL_MS: '' }, { db: null })).toHaveLength(1);
+  });
+});
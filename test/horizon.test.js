@@ -0,0 +1,113 @@
+// test/horizon.test.js
+import { describe, expect, it } from 'vitest';
+import SunCalc from 'suncalc';
+import {
+  formatHorizon,
+  getEffectiveDaylight,
+  getHorizonAltitude,
+  parseHorizonCsv,
+  parseHorizonParam
+} from '../src/horizon.js';
+
+const minutesApart = (a, b) => Math.abs(a - b) / 60000;
+
+describe('parseHorizonCsv', () => {
+  it('reads azimuth,altitude lines with a header, comments and mixed separators', () => {
+    const text = 'azimuth,altitude\n# surveyed from the porch\n270; 12\n0,2.5\n\n90\t8   # ridge\n180 4\n';
+    expect(parseHorizonCsv(text)).toEqual({
+      horizon: [
+        { azimuth: 0, altitude: 2.5 },
+        { azimuth: 90, altitude: 8 },
+        { azimuth: 180, altitude: 4 },
+        { azimuth: 270, altitude: 12 }
+      ]
+    });
+  });
+
+  it('folds 360 onto north', () => {
+    expect(parseHorizonCsv('360,3\n90,1').horizon).toEqual([{ azimuth: 0, altitude: 3 }, { azimuth: 90, altitude: 1 }]);
+  });
+
+  it.each([
+    ['', /no points/],
+    ['azimuth,altitude', /no points/],
+    ['0,2\n90', /Line 2: expected an azimuth and an altitude/],
+    ['0,2\n400,1', /Line 2: azimuth must be from 0 to 360/],
+    ['0,95', /Line 1: altitude must be from -90 to 90/],
+    ['0,2\n360,3', /Line 2: azimuth 0 is already in the profile/],
+    [Array.from({ length: 361 }, (_, i) => `${i / 2},1`).join('\n'), /at most 360 points/]
+  ])('rejects %j', (text, message) => {
+    expect(parseHorizonCsv(text).error).toMatch(message);
+  });
+});
+
+describe('parseHorizonParam', () => {
+  it('round-trips the compact form', () => {
+    const horizon = [{ azimuth: 0, altitude: 2.5 }, { azimuth: 90, altitude: 8 }, { azimuth: 180, altitude: -1 }];
+    expect(formatHorizon(horizon)).toBe('0:2.5,90:8,180:-1');
+    expect(parseHorizonParam(formatHorizon(horizon))).toEqual({ horizon });
+  });
+
+  it('names the point that is wrong', () => {
+    expect(parseHorizonParam('0:1,90').error).toMatch(/^Point 2:/);
+  });
+});
+
+describe('getHorizonAltitude', () => {
+  const horizon = [{ azimuth: 10, altitude: 2 }, { azimuth: 90, altitude: 10 }, { azimuth: 350, altitude: 6 }];
+
+  it('interpolates between points', () => {
+    expect(getHorizonAltitude(horizon, 50)).toBeCloseTo(6);
+    expect(getHorizonAltitude(horizon, 90)).toBe(10);
+  });
+
+  it('wraps around through north', () => {
+    expect(getHorizonAltitude(horizon, 0)).toBeCloseTo(4);
+    expect(getHorizonAltitude(horizon, 355)).toBeCloseTo(5);
+  });
+
+  it('is level all round with a single point', () => {
+    expect(getHorizonAltitude([{ azimuth: 120, altitude: 3 }], 300)).toBe(3);
+  });
+});
+
+describe('getEffectiveDaylight', () => {
+  const london = { lat: 51.5074, lng: -0.1278 };
+  const timesOn = (date, { lat, lng }) => SunCalc.getTimes(date, lat, lng);
+  const flat = [{ azimuth: 0, altitude: 0 }];
+
+  it('matches the geometric times over a level horizon', () => {
+    [new Date(Date.UTC(2025, 2, 20, 12)), new Date(Date.UTC(2025, 5, 21, 12)), new Date(Date.UTC(2025, 11, 21, 12))]
+      .forEach(date => {
+        const times = timesOn(date, london);
+        const effective = getEffectiveDaylight(SunCalc, times, london.lat, london.lng, flat);
+        expect(minutesApart(effective.sunrise, times.sunrise)).toBeLessThan(2);
+        expect(minutesApart(effective.sunset, times.sunset)).toBeLessThan(2);
+      });
+  });
+
+  it('delays sunrise behind a ridge to the east', () => {
+    const times = timesOn(new Date(Date.UTC(2025, 2, 20, 12)), london);
+    const ridge = [{ azimuth: 0, altitude: 0 }, { azimuth: 60, altitude: 0 }, { azimuth: 90, altitude: 10 }, { azimuth: 120, altitude: 0 }];
+    const effective = getEffectiveDaylight(SunCalc, times, london.lat, london.lng, ridge);
+
+    // The sun climbs about 9° an hour at the equinox in London, moving south
+    // along the ridge as it does
+    expect((effective.sunrise - times.sunrise) / 60000).toBeGreaterThan(30);
+    expect(minutesApart(effective.sunset, times.sunset)).toBeLessThan(2);
+    expect(effective.daylightHours).toBeLessThan((times.sunset - times.sunrise) / 3600000 - 0.5);
+  });
+
+  it('counts no daylight when the terrain hides the sun all day', () => {
+    const times = timesOn(new Date(Date.UTC(2025, 11, 21, 12)), london);
+    expect(getEffectiveDaylight(SunCalc, times, london.lat, london.lng, [{ azimuth: 0, altitude: 30 }]))
+      .toEqual({ sunrise: null, sunset: null, daylightHours: 0 });
+  });
+
+  it('has no sunrise or sunset under the midnight sun', () => {
+    const tromso = { lat: 69.6492, lng: 18.9553 };
+    const times = timesOn(new Date(Date.UTC(2025, 5, 21, 12)), tromso);
+    expect(getEffectiveDaylight(SunCalc, times, tromso.lat, tromso.lng, flat))
+      .toEqual({ sunrise: null, sunset: null, daylightHours: 24 });
+  });
+});
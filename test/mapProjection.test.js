@@ -0,0 +1,32 @@
+// test/mapProjection.test.js
+import { describe, expect, it } from 'vitest';
+import { getLandPath, projectPoint, unprojectPoint } from '../src/mapProjection.js';
+
+describe('map projection', () => {
+  it('maps longitude and latitude onto a 2:1 map', () => {
+    expect(projectPoint(-180, 90, 800)).toEqual([0, 0]);
+    expect(projectPoint(0, 0, 800)).toEqual([400, 200]);
+    expect(projectPoint(180, -90, 800)).toEqual([800, 400]);
+  });
+
+  it('maps points on the map back to longitude and latitude', () => {
+    expect(unprojectPoint(0, 0, 800)).toEqual([-180, 90]);
+    expect(unprojectPoint(400, 200, 800)).toEqual([0, 0]);
+    const [lon, lat] = unprojectPoint(...projectPoint(-122.3321, 47.6062, 800), 800);
+    expect(lon).toBeCloseTo(-122.3321, 9);
+    expect(lat).toBeCloseTo(47.6062, 9);
+  });
+
+  it('draws a ring crossing the antimeridian on both sides', () => {
+    const island = { type: 'Polygon', coordinates: [[[179, -16], [-179, -16], [-179, -17], [179, -17], [179, -16]]] };
+    expect(getLandPath(island, 360)).toBe(
+      'M-1.0,106.0L1.0,106.0L1.0,107.0L-1.0,107.0L-1.0,106.0Z' +
+      'M359.0,106.0L361.0,106.0L361.0,107.0L359.0,107.0L359.0,106.0Z'
+    );
+  });
+
+  it('closes a ring around the pole through the pole', () => {
+    const cap = { type: 'Polygon', coordinates: [[[-180, -80], [0, -75], [180, -80], [-180, -80]]] };
+    expect(getLandPath(cap, 360)).toBe('M0.0,170.0L180.0,165.0L360.0,170.0L360.0,170.0L360.0,180.0L0.0,180.0Z');
+  });
+});
@@ -0,0 +1,119 @@
+// test/markers.test.js
+import { describe, expect, it } from 'vitest';
+import SunCalc from 'suncalc';
+import { DAY_TYPES } from '../src/daylight.js';
+import { getDaylightData } from '../src/daylightData.js';
+import { formatCustomDate, getMarkerLegend, getMarkerMap, getSeriesMarkers, parseCustomDate } from '../src/markers.js';
+import { getApsides, getSeasons } from '../src/seasons.js';
+
+const minutesApart = (a, b) => Math.abs(a - b) / 60000;
+
+describe('getSeasons', () => {
+  // Published instants (UTC, to the minute)
+  const references = {
+    2000: ['2000-03-20T07:35Z', '2000-06-21T01:48Z', '2000-09-22T17:27Z', '2000-12-21T13:37Z'],
+    2024: ['2024-03-20T03:06Z', '2024-06-20T20:51Z', '2024-09-22T12:44Z', '2024-12-21T09:20Z'],
+    2025: ['2025-03-20T09:01Z', '2025-06-21T02:42Z', '2025-09-22T18:19Z', '2025-12-21T15:03Z']
+  };
+
+  Object.entries(references).forEach(([year, instants]) => {
+    it(`matches the published equinoxes and solstices for ${year}`, () => {
+      const seasons = getSeasons(Number(year));
+      expect(Object.keys(seasons)).toEqual(['marchEquinox', 'juneSolstice', 'septemberEquinox', 'decemberSolstice']);
+      Object.values(seasons).forEach((instant, i) => {
+        expect(minutesApart(instant, new Date(instants[i]))).toBeLessThan(2);
+      });
+    });
+  });
+});
+
+describe('getApsides', () => {
+  it('lands within hours of the published perihelion and aphelion', () => {
+    [
+      [2024, '2024-01-03T00:39Z', '2024-07-05T05:06Z'],
+      [2025, '2025-01-04T13:28Z', '2025-07-03T19:55Z']
+    ].forEach(([year, perihelion, aphelion]) => {
+      const apsides = getApsides(year);
+      expect(minutesApart(apsides.perihelion, new Date(perihelion))).toBeLessThan(7 * 60);
+      expect(minutesApart(apsides.aphelion, new Date(aphelion))).toBeLessThan(7 * 60);
+    });
+  });
+});
+
+describe('getSeriesMarkers', () => {
+  const losAngeles = { id: 1, lat: 34.0522, lng: -118.2437, timeZone: 'America/Los_Angeles', year: 2025 };
+  const tokyo = { id: 2, lat: 35.6762, lng: 139.6503, timeZone: 'Asia/Tokyo', year: 2025 };
+  const dataFor = (location) => getDaylightData(SunCalc, location, location.year);
+  const dateOf = (data, marker) => data[marker.day].date.toDateString().slice(4, 10);
+
+  it('puts each season on its local date', () => {
+    const markers = getSeriesMarkers(losAngeles, dataFor(losAngeles));
+    // The June solstice is 02:42 UTC on the 21st, still the 20th in California
+    expect(markers.map(marker => [marker.key, dateOf(dataFor(losAngeles), marker)])).toEqual([
+      ['marchEquinox', 'Mar 20'],
+      ['juneSolstice', 'Jun 20'],
+      ['septemberEquinox', 'Sep 22'],
+      ['decemberSolstice', 'Dec 21']
+    ]);
+    expect(getSeriesMarkers(tokyo, dataFor(tokyo)).find(marker => marker.key === 'juneSolstice').day)
+      .toBe(markers.find(marker => marker.key === 'juneSolstice').day + 1);
+  });
+
+  it('adds the apsides, marked as approximate', () => {
+    const markers = getSeriesMarkers(tokyo, dataFor(tokyo), { apsides: true });
+    expect(markers.filter(marker => marker.approximate).map(marker => marker.key)).toEqual(['perihelion', 'aphelion']);
+  });
+
+  it('finds the earliest sunset and latest sunrise by the local clock', () => {
+    const data = dataFor(tokyo);
+    const markers = getSeriesMarkers(tokyo, data, { extremes: true });
+    const earliestSunset = markers.find(marker => marker.key === 'earliestSunset');
+    const latestSunrise = markers.find(marker => marker.key === 'latestSunrise');
+
+    // Both miss the December solstice by a couple of weeks
+    expect(data[earliestSunset.day].date.getMonth()).toBe(11);
+    expect(data[earliestSunset.day].date.getDate()).toBeLessThan(10);
+    expect(data[latestSunrise.day].date.getMonth()).toBe(0);
+    expect(data[latestSunrise.day].date.getDate()).toBeGreaterThan(3);
+    expect(earliestSunset).toMatchObject({ curve: 'sunset', time: data[earliestSunset.day].sunset });
+    expect(latestSunrise).toMatchObject({ curve: 'sunrise', time: data[latestSunrise.day].sunrise });
+  });
+
+  it('only looks for the extremes on days with a sunrise and sunset', () => {
+    const nearPole = { id: 3, lat: 89, lng: 0, timeZone: 'UTC', year: 2025 };
+    const data = dataFor(nearPole);
+    const extremes = getSeriesMarkers(nearPole, data, { extremes: true }).filter(marker => marker.curve);
+    expect(extremes).toHaveLength(2);
+    extremes.forEach(marker => expect(data[marker.day].dayType).toBe(DAY_TYPES.NORMAL));
+  });
+
+  it('marks custom dates, leaving out Feb 29 in common years', () => {
+    const customDates = [{ month: 3, day: 14, label: 'Pi Day' }, { month: 2, day: 29, label: 'Leap Day' }];
+    const common = getSeriesMarkers(losAngeles, dataFor(losAngeles), { customDates });
+    const leap = getSeriesMarkers({ ...losAngeles, year: 2024 }, getDaylightData(SunCalc, losAngeles, 2024), { customDates });
+
+    expect(common.filter(marker => marker.time === null).map(marker => [marker.name, marker.day])).toEqual([['Pi Day', 72]]);
+    expect(leap.filter(marker => marker.time === null).map(marker => [marker.name, marker.day])).toEqual([['Leap Day', 59], ['Pi Day', 73]]);
+  });
+
+  it('lists each kind of marker once in the legend, in year order', () => {
+    const series = [losAngeles, tokyo];
+    const daylightDataMap = { 1: dataFor(losAngeles), 2: dataFor(tokyo) };
+    const legend = getMarkerLegend(getMarkerMap(series, daylightDataMap, { apsides: true }));
+    expect(legend.map(item => item.key)).toEqual([
+      'perihelion', 'marchEquinox', 'juneSolstice', 'aphelion', 'septemberEquinox', 'decemberSolstice'
+    ]);
+  });
+});
+
+describe('parseCustomDate', () => {
+  it('round-trips the URL form', () => {
+    const date = { month: 2, day: 29, label: 'Leap ~ Day' };
+    expect(formatCustomDate(date)).toBe('02-29~Leap ~ Day');
+    expect(parseCustomDate(formatCustomDate(date))).toEqual(date);
+  });
+
+  it.each(['13-01~Nope', '02-30~Nope', '00-10~Nope', '3-14~Short', '03-14~ ', '03-14'])('rejects %j', (value) => {
+    expect(parseCustomDate(value)).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+// test/privacy.test.js
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { openDatabase } from '../server/db.js';
+import { createSearchLogPrivacy, getBrowserFamily, truncateIp } from '../server/privacy.js';
+import { createRetentionJob } from '../server/retention.js';
+
+const requestFrom = (ip, headers = {}) => ({ ip, headers: { 'user-agent': 'Mozilla/5.0 Firefox/128.0', ...headers } });
+
+describe('truncateIp', () => {
+  it('keeps the /24 of an IPv4 address', () => {
+    expect(truncateIp('203.0.113.42')).toBe('203.0.113.0');
+    expect(truncateIp('::ffff:203.0.113.42')).toBe('203.0.113.0');
+  });
+
+  it('keeps the /48 of an IPv6 address', () => {
+    expect(truncateIp('2001:0db8:85a3:0000:0000:8a2e:0370:7334')).toBe('2001:db8:85a3::');
+    expect(truncateIp('2001:db8::1')).toBe('2001:db8:0::');
+    expect(truncateIp('::1')).toBe('0:0:0::');
+  });
+
+  it('returns null for anything else', () => {
+    expect(truncateIp('unknown')).toBeNull();
+  });
+});
+
+describe('getBrowserFamily', () => {
+  it.each([
+    ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0', 'Edge'],
+    ['Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36', 'Chrome'],
+    ['Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15', 'Safari'],
+    ['Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0', 'Firefox'],
+    ['curl/8.5.0', 'bot'],
+    ['Something else', 'other']
+  ])('%s is %s', (userAgent, family) => {
+    expect(getBrowserFamily(userAgent)).toBe(family);
+  });
+});
+
+describe('createSearchLogPrivacy', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    db.close();
+  });
+
+  it('hashes the same address the same way until the salt rotates', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const privacy = createSearchLogPrivacy({ db, saltHours: 1 });
+
+    const first = privacy.getLogFields(requestFrom('198.51.100.7'));
+    expect(first).toEqual({ ip: expect.stringMatching(/^h:[0-9a-f]{16}$/), userAgent: 'Firefox' });
+    expect(privacy.getLogFields(requestFrom('::ffff:198.51.100.7')).ip).toBe(first.ip);
+    expect(privacy.getLogFields(requestFrom('198.51.100.8')).ip).not.toBe(first.ip);
+
+    vi.setSystemTime(Date.now() + 2 * 60 * 60 * 1000);
+    const second = privacy.getLogFields(requestFrom('198.51.100.7'));
+    expect(second.ip).not.toBe(first.ip);
+    expect(privacy.getLogFields(requestFrom('198.51.100.7')).ip).toBe(second.ip);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM log_salts').get().count).toBe(1);
+  });
+
+  it('supports truncated, full and no addresses and user agents', () => {
+    const req = requestFrom('::ffff:198.51.100.7');
+    expect(createSearchLogPrivacy({ db, ipMode: 'truncate', userAgentMode: 'full' }).getLogFields(req))
+      .toEqual({ ip: '198.51.100.0', userAgent: 'Mozilla/5.0 Firefox/128.0' });
+    expect(createSearchLogPrivacy({ db, ipMode: 'full' }).getLogFields(req).ip).toBe('198.51.100.7');
+    expect(createSearchLogPrivacy({ db, ipMode: 'none', userAgentMode: 'none' }).getLogFields(req))
+      .toEqual({ ip: null, userAgent: null });
+  });
+
+  it('logs nothing about clients that opt out', () => {
+    const privacy = createSearchLogPrivacy({ db, ipMode: 'full', userAgentMode: 'full' });
+    expect(privacy.getLogFields(requestFrom('198.51.100.7', { dnt: '1' }))).toEqual({ ip: null, userAgent: null });
+    expect(privacy.getLogFields(requestFrom('198.51.100.7', { 'sec-gpc': '1' }))).toEqual({ ip: null, userAgent: null });
+    expect(privacy.getLogFields(requestFrom('198.51.100.7', { dnt: '0' })).ip).toBe('198.51.100.7');
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => createSearchLogPrivacy({ db, ipMode: 'scramble' })).toThrow(/Unknown IP mode/);
+    expect(() => createSearchLogPrivacy({ db, userAgentMode: 'scramble' })).toThrow(/Unknown user agent mode/);
+  });
+});
+
+describe('createRetentionJob', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    const locationId = db.prepare("INSERT INTO locations (place_key, display_name, lat, lon) VALUES ('relation/1', 'Tokyo, Japan', 35.7, 139.7)")
+      .run().lastInsertRowid;
+    const insertLog = db.prepare('INSERT INTO search_logs (query, location_id, outcome, timestamp) VALUES (?, ?, ?, ?)');
+    insertLog.run('Tokyo', locationId, 'miss', '2024-01-01 09:00:00');
+    insertLog.run('Tokyo', null, 'error', '2024-01-01 18:00:00');
+    insertLog.run('Tokyo', locationId, 'hit', '2024-01-02 09:00:00');
+    insertLog.run('Atlantis', null, 'empty', '2024-01-02 10:00:00');
+    insertLog.run('Tokyo', locationId, 'hit', new Date().toISOString().replace('T', ' ').slice(0, 19));
+    db.prepare("INSERT INTO audit_logs (action, method, path, status, timestamp) VALUES ('export', 'GET', '/api/export', 200, '2020-01-01 00:00:00')").run();
+    db.prepare("INSERT INTO audit_logs (action, method, path, status) VALUES ('export', 'GET', '/api/export', 200)").run();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('rolls old search logs up into daily counts', () => {
+    expect(createRetentionJob(db).run()).toEqual({ searchLogs: 4, auditLogs: 1 });
+    expect(db.prepare('SELECT * FROM search_log_daily ORDER BY day, query').all()).toEqual([
+      { day: '2024-01-01', query: 'Tokyo', searches: 2, found: 1, hits: 0, stale: 0, misses: 1, empty: 0, errors: 1 },
+      { day: '2024-01-02', query: 'Atlantis', searches: 1, found: 0, hits: 0, stale: 0, misses: 0, empty: 1, errors: 0 },
+      { day: '2024-01-02', query: 'Tokyo', searches: 1, found: 1, hits: 1, stale: 0, misses: 0, empty: 0, errors: 0 }
+    ]);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM search_logs').get().count).toBe(1);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM audit_logs').get().count).toBe(1);
+  });
+
+  it('adds to existing daily counts', () => {
+    db.prepare("INSERT INTO search_log_daily (day, query, searches, found, misses) VALUES ('2024-01-01', 'Tokyo', 5, 5, 5)").run();
+    createRetentionJob(db).run();
+    expect(db.prepare("SELECT searches, found, misses, errors FROM search_log_daily WHERE day = '2024-01-01'").get())
+      .toEqual({ searches: 7, found: 6, misses: 6, errors: 1 });
+  });
+
+  it('deletes old search logs outright in delete mode', () => {
+    expect(createRetentionJob(db, { mode: 'delete' }).run()).toEqual({ searchLogs: 4, auditLogs: 1 });
+    expect(db.prepare('SELECT COUNT(*) AS count FROM search_log_daily').get().count).toBe(0);
+  });
+
+  it('keeps logs for ever with 0 days', () => {
+    expect(createRetentionJob(db, { searchLogDays: 0, auditLogDays: 0 }).run()).toEqual({ searchLogs: 0, auditLogs: 0 });
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => createRetentionJob(db, { mode: 'archive' })).toThrow(/Unknown retention mode/);
+  });
+
+  it.each([
+    [{ searchLogDays: NaN }, /Invalid searchLogDays "NaN"/],
+    [{ searchLogDays: -1 }, /Invalid searchLogDays/],
+    [{ auditLogDays: Infinity }, /Invalid auditLogDays/],
+    [{ auditLogDays: '30' }, /Invalid auditLogDays/]
+  ])('rejects %o rather than keeping logs for ever', (options, message) => {
+    expect(() => createRetentionJob(db, options)).toThrow(message);
+  });
+});
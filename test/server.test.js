@@ -0,0 +1,1162 @@
+// test/server.test.js
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../server/app.js';
+import { hashApiKey, parseApiKeys } from '../server/auth.js';
+import { LATEST_VERSION, getSchemaVersion, migrate, openDatabase } from '../server/db.js';
+import { DEFAULT_DEM_PATH, DEFAULT_DEM_SOURCE, loadElevationModel, writeBilGrid } from '../server/elevation.js';
+import { createNominatimProvider } from '../server/geocoders.js';
+import { queueProvider } from '../server/upstreamQueue.js';
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// One key per role
+const KEYS = { analytics: 'analytics-key', editor: 'editor-key', export: 'export-key', admin: 'admin-key' };
+const apiKeys = Object.entries(KEYS).map(([role, key]) => ({ name: `${role}-client`, role, hash: hashApiKey(key) }));
+
+const london = { display_name: 'London, Greater London, England, United Kingdom', lat: '51.5074', lon: '-0.1278', osm_type: 'relation', osm_id: 65606 };
+const londonOntario = { display_name: 'London, Ontario, Canada', lat: '42.9849', lon: '-81.2453', osm_type: 'relation', osm_id: 7485368 };
+
+const places = {
+  tokyo: [{ display_name: 'Tokyo, Japan', lat: '35.6762', lon: '139.6503', osm_type: 'relation', osm_id: 1543125 }],
+  london: [london, londonOntario],
+  'london, uk': [london],
+  lond: [london, londonOntario, { display_name: 'Londrina, Paraná, Brazil', lat: '-23.3045', lon: '-51.1696', osm_type: 'relation', osm_id: 297514 }],
+  // More places than fit in a page, most important first, like Nominatim's
+  lon: [
+    london, londonOntario,
+    ...[
+      ['Long Beach, California, United States', 33.77, -118.19],
+      ['Londrina, Paraná, Brazil', -23.3, -51.17],
+      ['Londonderry, Northern Ireland, United Kingdom', 54.99, -7.32],
+      ['Longview, Texas, United States', 32.5, -94.74],
+      ['London, Kentucky, United States', 37.13, -84.08],
+      ['Longueuil, Quebec, Canada', 45.53, -73.52],
+      ['Lonavala, Maharashtra, India', 18.75, 73.41],
+      ['London, Ohio, United States', 39.89, -83.45],
+      ['Longmont, Colorado, United States', 40.17, -105.1],
+      ['Longford, County Longford, Ireland', 53.73, -7.8],
+      ['Longyearbyen, Svalbard, Norway', 78.22, 15.65],
+      ['London, Arkansas, United States', 35.33, -93.25],
+      ['Longreach, Queensland, Australia', -23.44, 144.25],
+      ['Lons-le-Saunier, Jura, France', 46.67, 5.55],
+      ['Lonato del Garda, Lombardy, Italy', 45.46, 10.48],
+      ['Lonoke, Arkansas, United States', 34.78, -91.9],
+      ['Longwy, Meurthe-et-Moselle, France', 49.52, 5.76],
+      ['Longjumeau, Essonne, France', 48.69, 2.3],
+      ['Long Eaton, Derbyshire, England, United Kingdom', 52.9, -1.27],
+      ['Longtown, Cumbria, England, United Kingdom', 55.01, -2.97],
+      ['Longyan, Fujian, China', 25.08, 117.02],
+      ['Longxi, Gansu, China', 35.0, 104.63],
+      ['Lonquimay, Araucanía, Chile', -38.43, -71.24],
+      ['Lontras, Santa Catarina, Brazil', -27.17, -49.54]
+    ].map(([name, lat, lon], i) => ({ display_name: name, lat: String(lat), lon: String(lon), osm_type: 'relation', osm_id: 200 + i }))
+  ],
+  reykjavik: [{ display_name: 'Reykjavík, Iceland', lat: '64.1466', lon: '-21.9426', osm_type: 'relation', osm_id: 2580605 }]
+};
+
+const SLOW_QUERIES = ['reykjavik'];
+
+// A 3 by 2 degree elevation model around Denver, with one cell missing and
+// one below sea level
+const ELEVATION_GRID = `ncols 3
+nrows 2
+xllcorner -106
+yllcorner 39
+cellsize 1
+NODATA_value -9999
+1000 2000 3000
+-50 -9999 1500
+`;
+
+// What the stand-in's /reverse names, by latitude
+const reversePlaces = {
+  '51.5': london,
+  '64.15': places.reykjavik[0]
+};
+
+describe('API server', () => {
+  let tempDir;
+  let db;
+  let nominatim;
+  let api;
+  let nominatimRequests;
+  let nominatimDown;
+
+  // Local stand-in for Nominatim's /search endpoint
+  beforeAll(async () => {
+    const standIn = express();
+    standIn.get('/search', async (req, res) => {
+      nominatimRequests.push(req.query);
+      if (nominatimDown || req.query.q === 'broken') return res.status(502).send('Bad gateway');
+      if (SLOW_QUERIES.includes(req.query.q.toLowerCase())) await new Promise(resolve => setTimeout(resolve, 100));
+      res.json((places[req.query.q.toLowerCase()] || []).slice(0, Number(req.query.limit)));
+    });
+    standIn.get('/reverse', (req, res) => {
+      nominatimRequests.push(req.query);
+      if (nominatimDown) return res.status(502).send('Bad gateway');
+      res.json(reversePlaces[req.query.lat] || { error: 'Unable to geocode' });
+    });
+    nominatim = await listen(standIn);
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daylight-test-'));
+    db = openDatabase(path.join(tempDir, 'test.db'));
+    fs.writeFileSync(path.join(tempDir, 'elevation.asc'), ELEVATION_GRID);
+    api = await listen(createApp({
+      db,
+      providers: [createNominatimProvider({ url: urlOf(nominatim) })],
+      rateLimit: { max: 1000 },
+      apiKeys,
+      elevation: loadElevationModel(path.join(tempDir, 'elevation.asc'), { source: 'Test grid' })
+    }));
+  });
+
+  afterAll(async () => {
+    await close(api);
+    await close(nominatim);
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    nominatimRequests = [];
+    nominatimDown = false;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    db.exec(`
+      DELETE FROM search_logs; DELETE FROM search_log_daily; DELETE FROM geocode_queries; DELETE FROM reverse_geocodes;
+      DELETE FROM locations; DELETE FROM audit_logs; DELETE FROM location_sets;
+    `);
+  });
+
+  const request = async (pathname, { method = 'GET', token, body, headers: extraHeaders } = {}) => {
+    const headers = { ...extraHeaders };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${urlOf(api)}${pathname}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+
+  const get = (pathname) => request(pathname);
+
+  const expireQuery = (query) => {
+    db.prepare("UPDATE geocode_queries SET expires_at = datetime('now', '-1 minute') WHERE query = ?").run(query);
+  };
+
+  describe('GET /health', () => {
+    it('reports ok with a timestamp', async () => {
+      const { status, body } = await get('/health');
+      expect(status).toBe(200);
+      expect(body.status).toBe('ok');
+      expect(new Date(body.timestamp).toString()).not.toBe('Invalid Date');
+    });
+  });
+
+  describe('GET /api/geocode', () => {
+    it('ignores queries shorter than 3 characters', async () => {
+      const { body } = await get('/api/geocode?q=to');
+      expect(body).toEqual([]);
+      expect(nominatimRequests).toHaveLength(0);
+    });
+
+    it('fetches from Nominatim on a miss and caches every result', async () => {
+      const miss = await get('/api/geocode?q=London');
+      expect(miss.body).toEqual(places.london);
+      expect(nominatimRequests).toEqual([{ q: 'London', format: 'json', limit: '25' }]);
+
+      expect(db.prepare('SELECT place_key, display_name, lat, lon FROM locations ORDER BY id').all()).toEqual([
+        { place_key: 'relation/65606', display_name: london.display_name, lat: 51.5074, lon: -0.1278 },
+        { place_key: 'relation/7485368', display_name: londonOntario.display_name, lat: 42.9849, lon: -81.2453 }
+      ]);
+      expect(db.prepare('SELECT query, provider, result_count FROM geocode_queries').get())
+        .toEqual({ query: 'london', provider: 'nominatim', result_count: 2 });
+    });
+
+    it('serves repeated queries from the cache regardless of case and spacing', async () => {
+      await get('/api/geocode?q=London');
+      const hit = await get(`/api/geocode?q=${encodeURIComponent('  LONDON ')}`);
+
+      expect(hit.body).toEqual(places.london);
+      expect(nominatimRequests).toHaveLength(1);
+
+      const logs = db.prepare('SELECT query, location_id FROM search_logs ORDER BY id').all();
+      expect(logs).toHaveLength(2);
+      expect(logs[0].location_id).toBe(logs[1].location_id);
+      expect(logs[0].location_id).not.toBeNull();
+    });
+
+    it('logs how each search was answered and how long the geocoders took', async () => {
+      await get('/api/geocode?q=London');
+      await get('/api/geocode?q=London');
+
+      const [miss, hit] = db.prepare('SELECT outcome, result_count, latency_ms FROM search_logs ORDER BY id').all();
+      expect(miss).toEqual({ outcome: 'miss', result_count: 2, latency_ms: expect.any(Number) });
+      expect(hit).toEqual({ outcome: 'hit', result_count: 2, latency_ms: null });
+    });
+
+    it('stores a place once however many queries return it', async () => {
+      await get('/api/geocode?q=London');
+      await get(`/api/geocode?q=${encodeURIComponent('London, UK')}`);
+
+      expect(db.prepare('SELECT COUNT(*) AS count FROM locations').get().count).toBe(2);
+      expect(db.prepare(`
+        SELECT q.query, ql.location_id
+        FROM geocode_query_locations ql JOIN geocode_queries q ON q.id = ql.query_id
+        WHERE ql.rank = 0 ORDER BY q.query
+      `).all().map(row => row.location_id)).toEqual(Array(2).fill(db.prepare("SELECT id FROM locations WHERE place_key = 'relation/65606'").get().id));
+    });
+
+    it('caches searches without results for a shorter time', async () => {
+      const { body } = await get('/api/geocode?q=Atlantis');
+      expect(body).toEqual([]);
+      await get('/api/geocode?q=Atlantis');
+
+      expect(nominatimRequests).toHaveLength(1);
+      expect(db.prepare('SELECT location_id, outcome, result_count FROM search_logs ORDER BY id').all()).toEqual([
+        { location_id: null, outcome: 'empty', result_count: 0 },
+        { location_id: null, outcome: 'hit', result_count: 0 }
+      ]);
+      const lifetime = db.prepare("SELECT unixepoch(expires_at) - unixepoch(fetched_at) AS seconds FROM geocode_queries WHERE query = 'atlantis'").get();
+      expect(lifetime.seconds).toBe(24 * 60 * 60);
+    });
+
+    it('answers longer queries from a cached prefix with room to spare', async () => {
+      await get('/api/geocode?q=lond');
+      const londo = await get('/api/geocode?q=londo');
+      const londonQuery = await get('/api/geocode?q=London');
+
+      expect(nominatimRequests).toHaveLength(1);
+      expect(londo.body).toEqual(places.london);
+      expect(londonQuery.body).toEqual(places.london);
+      expect(db.prepare('SELECT location_id FROM search_logs ORDER BY id').all().map(row => row.location_id))
+        .toEqual(Array(3).fill(db.prepare("SELECT id FROM locations WHERE place_key = 'relation/65606'").get().id));
+    });
+
+    it('answers from a full page of cached candidates when enough of them match', async () => {
+      const lon = await get('/api/geocode?q=lon');
+      const londonQuery = await get('/api/geocode?q=London');
+
+      expect(nominatimRequests).toHaveLength(1);
+      expect(lon.body).toEqual(places.lon.slice(0, 5));
+      expect(londonQuery.body.map(place => place.display_name)).toEqual([
+        london.display_name,
+        londonOntario.display_name,
+        'Londonderry, Northern Ireland, United Kingdom',
+        'London, Kentucky, United States',
+        'London, Ohio, United States'
+      ]);
+      expect(db.prepare("SELECT result_count FROM geocode_queries WHERE query = 'lon'").get().result_count).toBe(25);
+    });
+
+    it('goes upstream when a full page of candidates has too few matches', async () => {
+      await get('/api/geocode?q=lon');
+      await get('/api/geocode?q=longy');
+
+      expect(nominatimRequests.map(r => r.q)).toEqual(['lon', 'longy']);
+    });
+
+    it('refreshes expired entries', async () => {
+      await get('/api/geocode?q=Tokyo');
+      expireQuery('tokyo');
+      const { body } = await get('/api/geocode?q=Tokyo');
+
+      expect(body).toEqual(places.tokyo);
+      expect(nominatimRequests).toHaveLength(2);
+      expect(db.prepare("SELECT expires_at > CURRENT_TIMESTAMP AS fresh FROM geocode_queries WHERE query = 'tokyo'").get().fresh).toBe(1);
+    });
+
+    it('serves an expired entry when Nominatim is down', async () => {
+      await get('/api/geocode?q=Tokyo');
+      expireQuery('tokyo');
+      nominatimDown = true;
+
+      const { status, body } = await get('/api/geocode?q=Tokyo');
+      expect(status).toBe(200);
+      expect(body).toEqual(places.tokyo);
+      expect(db.prepare('SELECT outcome FROM search_logs ORDER BY id DESC').pluck().get()).toBe('stale');
+    });
+
+    it('returns 500 when Nominatim fails', async () => {
+      const { status, body } = await get('/api/geocode?q=broken');
+      expect(status).toBe(500);
+      expect(body).toEqual({ error: 'Geocoding failed' });
+      expect(db.prepare('SELECT location_id, outcome, result_count, latency_ms FROM search_logs').get())
+        .toEqual({ location_id: null, outcome: 'error', result_count: null, latency_ms: expect.any(Number) });
+    });
+
+    it('sends identical in-flight queries upstream once', async () => {
+      const responses = await Promise.all(['Reykjavik', 'reykjavik', ' REYKJAVIK'].map(q => get(`/api/geocode?q=${encodeURIComponent(q)}`)));
+
+      expect(responses.map(r => r.body)).toEqual(Array(3).fill(places.reykjavik));
+      expect(nominatimRequests).toHaveLength(1);
+      expect(db.prepare('SELECT COUNT(*) AS count FROM search_logs WHERE location_id IS NOT NULL').get().count).toBe(3);
+    });
+
+    it('limits searches per client with 429 and Retry-After', async () => {
+      const server = await listen(createApp({
+        db,
+        providers: [createNominatimProvider({ url: urlOf(nominatim) })],
+        rateLimit: { max: 2, windowMs: 60 * 1000 }
+      }));
+      const search = () => fetch(`${urlOf(server)}/api/geocode?q=Tokyo`);
+
+      expect((await search()).status).toBe(200);
+      expect((await search()).status).toBe(200);
+      const limited = await search();
+      await close(server);
+
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThanOrEqual(59);
+      expect(await limited.json()).toMatchObject({ error: expect.stringMatching(/slow down/) });
+      expect(nominatimRequests).toHaveLength(1);
+    });
+
+    it('answers 503 with Retry-After when the upstream queue is full', async () => {
+      const server = await listen(createApp({
+        db,
+        providers: [queueProvider(createNominatimProvider({ url: urlOf(nominatim) }), { intervalMs: 2000, maxPending: 1 })]
+      }));
+      const [first, second] = await Promise.all([
+        fetch(`${urlOf(server)}/api/geocode?q=Reykjavik`),
+        fetch(`${urlOf(server)}/api/geocode?q=Tokyo`)
+      ]);
+      await close(server);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(503);
+      expect(second.headers.get('Retry-After')).toBe('2');
+      expect(second.headers.get('Access-Control-Expose-Headers')).toBe('Retry-After');
+      expect(db.prepare("SELECT outcome FROM search_logs WHERE query = 'Tokyo'").pluck().get()).toBe('error');
+    });
+  });
+
+  describe('GET /api/reverse-geocode', () => {
+    it('names a point after the place there, keeping its coordinates', async () => {
+      const { status, body } = await get('/api/reverse-geocode?lat=51.5&lon=-0.13');
+      expect(status).toBe(200);
+      expect(body).toEqual({ display_name: london.display_name, lat: '51.5', lon: '-0.13', named: true });
+      expect(nominatimRequests).toEqual([{ lat: '51.5', lon: '-0.13', format: 'json', zoom: '10' }]);
+    });
+
+    it('caches points to about a kilometre', async () => {
+      await get('/api/reverse-geocode?lat=51.5&lon=-0.13');
+      const { body } = await get('/api/reverse-geocode?lat=51.5&lon=-0.1312');
+      expect(body).toEqual({ display_name: london.display_name, lat: '51.5', lon: '-0.1312', named: true });
+      expect(nominatimRequests).toHaveLength(1);
+      expect(db.prepare('SELECT lat, lon, provider FROM reverse_geocodes').all()).toEqual([{ lat: 51.5, lon: -0.13, provider: 'nominatim' }]);
+    });
+
+    it('falls back to the coordinates where there is nothing to name', async () => {
+      const { body } = await get('/api/reverse-geocode?lat=0&lon=-30');
+      expect(body).toEqual({ display_name: '0.0000, -30.0000', lat: '0', lon: '-30', named: false });
+
+      await get('/api/reverse-geocode?lat=0&lon=-30');
+      expect(nominatimRequests).toHaveLength(1);
+    });
+
+    it('falls back to the coordinates while the geocoders are down, without caching', async () => {
+      nominatimDown = true;
+      const { status, body } = await get('/api/reverse-geocode?lat=51.5&lon=-0.13');
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ display_name: '51.5000, -0.1300', named: false });
+      expect(db.prepare('SELECT COUNT(*) AS count FROM reverse_geocodes').get().count).toBe(0);
+    });
+
+    it('serves an expired name while the geocoders are down', async () => {
+      await get('/api/reverse-geocode?lat=64.15&lon=-21.94');
+      db.exec("UPDATE reverse_geocodes SET expires_at = datetime('now', '-1 minute')");
+      nominatimDown = true;
+
+      const { body } = await get('/api/reverse-geocode?lat=64.15&lon=-21.94');
+      expect(body).toMatchObject({ display_name: 'Reykjavík, Iceland', named: true });
+    });
+
+    it('wraps longitudes past the edge of the map', async () => {
+      const { body } = await get('/api/reverse-geocode?lat=51.5&lon=359.87');
+      expect(body.display_name).toBe(london.display_name);
+      expect(Number(body.lon)).toBeCloseTo(-0.13, 9);
+    });
+
+    it('rejects points off the globe', async () => {
+      for (const query of ['lat=91&lon=0', 'lat=abc&lon=0', 'lat=10', 'lat=&lon=']) {
+        const { status, body } = await get(`/api/reverse-geocode?${query}`);
+        expect(status).toBe(400);
+        expect(body.error).toMatch(/lat must be/);
+      }
+      expect(nominatimRequests).toEqual([]);
+    });
+  });
+
+  describe('admin geocode cache routes', () => {
+    it('require an admin key', async () => {
+      expect((await request('/api/admin/geocode-cache')).status).toBe(401);
+      expect((await request('/api/admin/geocode-cache', { token: 'wrong' })).status).toBe(401);
+      expect((await request('/api/admin/geocode-cache', { token: KEYS.export })).status).toBe(403);
+      expect((await request('/api/admin/geocode-cache', { token: KEYS.admin })).status).toBe(200);
+    });
+
+    it('are switched off without keys configured', async () => {
+      const server = await listen(createApp({ db, providers: [] }));
+      const response = await fetch(`${urlOf(server)}/api/admin/geocode-cache`, { headers: { Authorization: 'Bearer anything' } });
+      await close(server);
+      expect(response.status).toBe(503);
+    });
+
+    it('list cached queries', async () => {
+      await get('/api/geocode?q=Tokyo');
+      await get('/api/geocode?q=Atlantis');
+      expireQuery('atlantis');
+
+      const { body } = await request('/api/admin/geocode-cache?expired=true', { token: KEYS.admin });
+      expect(body.queries).toEqual([expect.objectContaining({ query: 'atlantis', resultCount: 0, expired: true })]);
+    });
+
+    it('purge by prefix, dropping places no other query returns', async () => {
+      await get('/api/geocode?q=London');
+      await get('/api/geocode?q=Tokyo');
+      db.exec('DELETE FROM search_logs');
+
+      const { body } = await request('/api/admin/geocode-cache?prefix=LON', { method: 'DELETE', token: KEYS.admin });
+      expect(body.purged).toEqual({ queries: 1, points: 0, locations: 2 });
+      expect(db.prepare('SELECT query FROM geocode_queries').all()).toEqual([{ query: 'tokyo' }]);
+      expect(db.prepare('SELECT place_key FROM locations').all()).toEqual([{ place_key: 'relation/1543125' }]);
+    });
+
+    it('keep places that search logs refer to', async () => {
+      await get('/api/geocode?q=Tokyo');
+
+      const { body } = await request('/api/admin/geocode-cache?all=true', { method: 'DELETE', token: KEYS.admin });
+      expect(body.purged).toEqual({ queries: 1, points: 0, locations: 0 });
+    });
+
+    it('purge named points unless filtering by query', async () => {
+      await get('/api/reverse-geocode?lat=51.5&lon=-0.13');
+      await get('/api/reverse-geocode?lat=0&lon=-30');
+
+      let { body } = await request('/api/admin/geocode-cache?prefix=lon', { method: 'DELETE', token: KEYS.admin });
+      expect(body.purged).toEqual({ queries: 0, points: 0, locations: 0 });
+
+      ({ body } = await request('/api/admin/geocode-cache?all=true', { method: 'DELETE', token: KEYS.admin }));
+      expect(body.purged).toEqual({ queries: 0, points: 2, locations: 1 });
+    });
+
+    it('refuse to purge without a filter', async () => {
+      const { status } = await request('/api/admin/geocode-cache', { method: 'DELETE', token: KEYS.admin });
+      expect(status).toBe(400);
+    });
+
+    it('refresh entries from the geocoders', async () => {
+      await get('/api/geocode?q=Tokyo');
+      await get('/api/geocode?q=broken');
+      expireQuery('tokyo');
+
+      const { body } = await request('/api/admin/geocode-cache/refresh', {
+        method: 'POST',
+        token: KEYS.admin,
+        body: { queries: ['Tokyo', 'broken'] }
+      });
+      expect(body.refreshed).toEqual([{ query: 'tokyo', provider: 'nominatim', resultCount: 1 }]);
+      expect(body.failed).toEqual([{ query: 'broken', error: expect.stringMatching(/HTTP 502/) }]);
+      expect(nominatimRequests.map(r => r.q)).toEqual(['Tokyo', 'broken', 'tokyo', 'broken']);
+      expect((await request('/api/admin/geocode-cache?expired=true', { token: KEYS.admin })).body.queries).toEqual([]);
+    });
+  });
+
+  describe('search log privacy', () => {
+    const CHROME = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+    it('stores a salted hash of the IP and only the browser family', async () => {
+      await request('/api/geocode?q=Tokyo', { headers: { 'User-Agent': CHROME } });
+      await request('/api/geocode?q=London', { headers: { 'User-Agent': CHROME } });
+
+      const logs = db.prepare('SELECT ip_address, user_agent FROM search_logs').all();
+      expect(logs[0]).toEqual({ ip_address: expect.stringMatching(/^h:[0-9a-f]{16}$/), user_agent: 'Chrome' });
+      expect(logs[1]).toEqual(logs[0]);
+    });
+
+    it.each([['DNT', '1'], ['Sec-GPC', '1']])('stores neither when %s is sent', async (header, value) => {
+      await request('/api/geocode?q=Tokyo', { headers: { [header]: value, 'User-Agent': CHROME } });
+
+      expect(db.prepare('SELECT query, ip_address, user_agent FROM search_logs').all())
+        .toEqual([{ query: 'Tokyo', ip_address: null, user_agent: null }]);
+    });
+
+    it('deletes the search logs for an IP address', async () => {
+      await get('/api/geocode?q=Tokyo');
+      await get('/api/geocode?q=London');
+      db.prepare("INSERT INTO search_logs (query, ip_address) VALUES ('Paris', '203.0.113.9'), ('Rome', '198.51.100.1')").run();
+
+      expect((await request('/api/admin/search-logs?ip=127.0.0.1', { method: 'DELETE', token: KEYS.admin })).body).toEqual({ deleted: 2 });
+      expect((await request('/api/admin/search-logs?ip=203.0.113.9', { method: 'DELETE', token: KEYS.admin })).body).toEqual({ deleted: 1 });
+      expect(db.prepare('SELECT query FROM search_logs').all()).toEqual([{ query: 'Rome' }]);
+    });
+
+    it('needs an admin key and a valid address to delete', async () => {
+      expect((await request('/api/admin/search-logs?ip=127.0.0.1', { method: 'DELETE', token: KEYS.export })).status).toBe(403);
+      expect((await request('/api/admin/search-logs?ip=nobody', { method: 'DELETE', token: KEYS.admin })).status).toBe(400);
+      expect((await request('/api/admin/search-logs', { method: 'DELETE', token: KEYS.admin })).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics', () => {
+    it('needs an analytics key or better', async () => {
+      expect((await get('/api/analytics')).status).toBe(401);
+      expect((await request('/api/analytics', { token: 'analytics-keyy' })).status).toBe(401);
+      expect((await request('/api/analytics', { token: KEYS.analytics })).status).toBe(200);
+      expect((await request('/api/analytics', { token: KEYS.export })).status).toBe(200);
+      expect((await request('/api/analytics', { token: KEYS.admin })).status).toBe(200);
+    });
+
+    it('summarizes searches', async () => {
+      await get('/api/geocode?q=Tokyo');
+      await get('/api/geocode?q=tokyo');
+      await get('/api/geocode?q=Atlantis');
+      await get('/api/geocode?q=Atlantis');
+      await get('/api/geocode?q=broken');
+
+      const { body } = await request('/api/analytics', { token: KEYS.analytics });
+      expect(body.totalSearches).toBe(5);
+      expect(body.uniqueLocations).toBe(1);
+      expect(body.topSearches).toHaveLength(4);
+      expect(body.recentSearches).toHaveLength(5);
+      expect(body.outcomes).toEqual({ hits: 2, stale: 0, misses: 1, empty: 1, errors: 1 });
+      expect(body.cacheHitRate).toBe('40.00');
+      expect(body.errorRate).toBe('20.00');
+      expect(body.foundRate).toBe('40.00');
+      expect(body.latency).toEqual({ samples: 3, p50: expect.any(Number), p95: expect.any(Number) });
+      expect(body.zeroResultSearches).toEqual([{ query: 'Atlantis', count: 2, lastSearched: expect.any(String) }]);
+      expect(body.failedSearches).toEqual([{ query: 'broken', count: 1, lastSearched: expect.any(String) }]);
+    });
+
+    it('reports latency percentiles by nearest rank', async () => {
+      const insertLog = db.prepare("INSERT INTO search_logs (query, outcome, latency_ms) VALUES ('Tokyo', 'miss', ?)");
+      [50, 10, 40, 20, 30, 1000, 60, 70, 80, 90, 100, 110, 120, 130, 140, 150, 160, 170, 180, 190].forEach(ms => insertLog.run(ms));
+      db.prepare("INSERT INTO search_logs (query, outcome) VALUES ('Tokyo', 'hit')").run();
+
+      const { body } = await request('/api/analytics', { token: KEYS.analytics });
+      expect(body.latency).toEqual({ samples: 20, p50: 100, p95: 190 });
+    });
+
+    it('counts searches rolled up by the retention job', async () => {
+      await get('/api/geocode?q=Tokyo');
+      db.prepare(`
+        INSERT INTO search_log_daily (day, query, searches, found, hits, misses, empty, errors)
+        VALUES ('2024-01-01', 'Tokyo', 3, 3, 2, 1, 0, 0), ('2024-01-01', 'Atlantis', 1, 0, 0, 0, 0, 1)
+      `).run();
+
+      const { body } = await request('/api/analytics', { token: KEYS.analytics });
+      expect(body.totalSearches).toBe(5);
+      expect(body.topSearches).toEqual([{ query: 'Tokyo', count: 4 }, { query: 'Atlantis', count: 1 }]);
+      expect(body.recentSearches).toHaveLength(1);
+      expect(body.outcomes).toEqual({ hits: 2, stale: 0, misses: 2, empty: 0, errors: 1 });
+      expect(body.cacheHitRate).toBe('40.00');
+      expect(body.foundRate).toBe('80.00');
+    });
+
+    it('leaves searches logged before outcomes out of the rates', async () => {
+      db.prepare("INSERT INTO search_logs (query) VALUES ('Tokyo'), ('Tokyo')").run();
+      await get('/api/geocode?q=Tokyo');
+      await get('/api/geocode?q=Tokyo');
+
+      const { body } = await request('/api/analytics', { token: KEYS.analytics });
+      expect(body.totalSearches).toBe(4);
+      expect(body.cacheHitRate).toBe('50.00');
+    });
+
+    it('narrows every figure to a date range', async () => {
+      const tokyoId = db.prepare("INSERT INTO locations (place_key, display_name, lat, lon) VALUES ('relation/1543125', 'Tokyo, Japan', 35.6762, 139.6503)")
+        .run().lastInsertRowid;
+      const insertLog = db.prepare(`
+        INSERT INTO search_logs (query, location_id, outcome, result_count, latency_ms, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      insertLog.run('Tokyo', tokyoId, 'miss', 1, 400, '2024-12-31 23:59:59');
+      insertLog.run('Tokyo', tokyoId, 'hit', 1, null, '2025-01-01 09:10:00');
+      insertLog.run('Tokyo', tokyoId, 'hit', 1, null, '2025-01-01 09:40:00');
+      insertLog.run('Atlantis', null, 'empty', 0, 200, '2025-01-01 17:00:00');
+      insertLog.run('Atlantis', null, 'hit', 0, null, '2025-01-02 08:00:00');
+      insertLog.run('Tokyo', tokyoId, 'hit', 1, null, '2025-01-03 00:00:00');
+      db.prepare(`
+        INSERT INTO search_log_daily (day, query, searches, found, hits, errors)
+        VALUES ('2024-12-01', 'Tokyo', 9, 9, 9, 0), ('2025-01-02', 'Tokyo', 2, 1, 1, 1)
+      `).run();
+
+      const { body } = await request('/api/analytics?from=2025-01-01&to=2025-01-02', { token: KEYS.analytics });
+      expect(body.range).toEqual({ from: '2025-01-01', to: '2025-01-02', bucket: 'day' });
+      expect(body.totalSearches).toBe(6);
+      expect(body.cacheHitRate).toBe('66.67');
+      expect(body.errorRate).toBe('16.67');
+      expect(body.latency).toEqual({ samples: 1, p50: 200, p95: 200 });
+      expect(body.topSearches).toEqual([{ query: 'Tokyo', count: 4 }, { query: 'Atlantis', count: 2 }]);
+      expect(body.recentSearches.map(s => s.timestamp)).toEqual(['2025-01-02 08:00:00', '2025-01-01 17:00:00', '2025-01-01 09:40:00', '2025-01-01 09:10:00']);
+      expect(body.searchesOverTime).toEqual([
+        { bucket: '2025-01-01', searches: 3, found: 2, hits: 2, stale: 0, misses: 0, empty: 1, errors: 0 },
+        { bucket: '2025-01-02', searches: 3, found: 1, hits: 2, stale: 0, misses: 0, empty: 0, errors: 1 }
+      ]);
+      expect(body.places).toEqual([{ id: tokyoId, display_name: 'Tokyo, Japan', lat: 35.6762, lon: 139.6503, searches: 2 }]);
+      expect(body.zeroResultSearches).toEqual([{ query: 'Atlantis', count: 2, lastSearched: '2025-01-02 08:00:00' }]);
+
+      const hourly = await request('/api/analytics?from=2025-01-01&to=2025-01-01&bucket=hour', { token: KEYS.analytics });
+      expect(hourly.body.searchesOverTime).toEqual([
+        { bucket: '2025-01-01 09:00', searches: 2, found: 2, hits: 2, stale: 0, misses: 0, empty: 0, errors: 0 },
+        { bucket: '2025-01-01 17:00', searches: 1, found: 0, hits: 0, stale: 0, misses: 0, empty: 1, errors: 0 }
+      ]);
+    });
+
+    it('rejects invalid ranges and buckets', async () => {
+      for (const query of ['from=2025-02-30', 'to=yesterday', 'from=2025-02-01&to=2025-01-01', 'bucket=week']) {
+        const { status, body } = await request(`/api/analytics?${query}`, { token: KEYS.analytics });
+        expect(status).toBe(400);
+        expect(body.error).toBeTruthy();
+      }
+    });
+
+    it('reports a zero hit rate with no searches', async () => {
+      const { body } = await request('/api/analytics', { token: KEYS.analytics });
+      expect(body.totalSearches).toBe(0);
+      expect(body.cacheHitRate).toBe(0);
+    });
+  });
+
+  describe('GET /api/export', () => {
+    it('needs an export key or better', async () => {
+      expect((await get('/api/export')).status).toBe(401);
+      expect((await request('/api/export', { token: KEYS.analytics })).status).toBe(403);
+      expect((await request('/api/export', { token: KEYS.admin })).status).toBe(200);
+    });
+
+    it('records every attempt in the audit log', async () => {
+      await get('/api/export');
+      await request('/api/export', { token: KEYS.analytics });
+      await request('/api/export', { token: KEYS.export });
+
+      const { body } = await request('/api/admin/audit', { token: KEYS.admin });
+      expect(body.entries.map(({ key_name, role, action, path, status }) => ({ key_name, role, action, path, status }))).toEqual([
+        { key_name: 'export-client', role: 'export', action: 'export', path: '/api/export', status: 200 },
+        { key_name: 'analytics-client', role: 'analytics', action: 'export', path: '/api/export', status: 403 },
+        { key_name: null, role: null, action: 'export', path: '/api/export', status: 401 }
+      ]);
+      expect(body.entries[0]).toMatchObject({ method: 'GET', ip_address: expect.any(String), user_agent: expect.any(String) });
+    });
+
+    it('dumps locations, cached queries and search logs', async () => {
+      await get('/api/geocode?q=London');
+
+      const { body } = await request('/api/export', { token: KEYS.export });
+      expect(body.locations).toHaveLength(2);
+      const londonId = body.locations.find(l => l.place_key === 'relation/65606').id;
+      const ontarioId = body.locations.find(l => l.place_key === 'relation/7485368').id;
+      expect(body.queries).toEqual([expect.objectContaining({ query: 'london', location_ids: [londonId, ontarioId] })]);
+      expect(body.searches).toHaveLength(1);
+      expect(body.searches[0]).toMatchObject({ query: 'London', location_id: londonId });
+      expect(body.exported_at).toBeTruthy();
+    });
+  });
+
+  describe('location sets', () => {
+    const orange = { name: 'Orange, CA', lat: 33.7879, lng: -117.8531, color: '#FFD700' };
+    const tromso = { name: 'Tromsø', lat: 69.6492, lng: 18.9553, color: '#4ecdc4' };
+
+    const edit = (pathname, options) => request(pathname, { token: KEYS.editor, ...options });
+    const save = (name, locations) => edit('/api/location-sets', { method: 'POST', body: { name, locations } });
+
+    it('needs an editor key or better to change sets once there is one, and audits the accepted changes', async () => {
+      const { body: saved } = await save('Team', [orange]);
+
+      expect((await request('/api/location-sets', { method: 'POST', body: { name: 'Spam', locations: [orange] } })).status).toBe(401);
+      expect((await request(`/api/location-sets/${saved.id}`, { method: 'PUT', body: { name: 'Mine' } })).status).toBe(401);
+      expect((await request(`/api/location-sets/${saved.id}`, { method: 'DELETE', token: 'editor-keyy' })).status).toBe(401);
+      expect((await request(`/api/location-sets/${saved.id}`, { method: 'DELETE', token: KEYS.analytics })).status).toBe(403);
+      expect((await get('/api/location-sets')).body).toMatchObject({ sets: [{ name: 'Team' }], locked: true });
+      expect((await request(`/api/location-sets/${saved.id}`, { method: 'PUT', token: KEYS.admin, body: { name: 'Ours' } })).status).toBe(200);
+
+      // Refused attempts from the public leave no trace of who made them
+      const audited = db.prepare("SELECT key_name, method, status FROM audit_logs WHERE action = 'location-sets' ORDER BY id").all();
+      expect(audited).toEqual([
+        { key_name: 'editor-client', method: 'POST', status: 201 },
+        { key_name: 'admin-client', method: 'PUT', status: 200 }
+      ]);
+    });
+
+    it.each([
+      ['no API keys', undefined],
+      ['no editor key', apiKeys.filter(key => key.role !== 'editor')]
+    ])('lets anyone change sets when there are %s', async (_, keys) => {
+      const server = await listen(createApp({ db, providers: [], apiKeys: keys }));
+      try {
+        const call = async (pathname, method, body) => {
+          const response = await fetch(`${urlOf(server)}${pathname}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body && JSON.stringify(body)
+          });
+          return { status: response.status, body: response.status === 204 ? null : await response.json() };
+        };
+
+        const { status, body: saved } = await call('/api/location-sets', 'POST', { name: 'Open', locations: [orange] });
+        expect(status).toBe(201);
+        expect((await call(`/api/location-sets/${saved.id}`, 'PUT', { name: 'Still open' })).status).toBe(200);
+        expect((await call('/api/location-sets', 'GET')).body).toMatchObject({ sets: [{ name: 'Still open' }], locked: false });
+        expect((await call(`/api/location-sets/${saved.id}`, 'DELETE')).status).toBe(204);
+        expect(db.prepare("SELECT COUNT(*) FROM audit_logs WHERE action = 'location-sets'").pluck().get()).toBe(0);
+      } finally {
+        await close(server);
+      }
+    });
+
+    it('saves a set and lists every set by name', async () => {
+      const { status, body } = await save('  West coast  ', [orange, tromso]);
+      expect(status).toBe(201);
+      expect(body).toMatchObject({ id: expect.any(Number), name: 'West coast', locations: [orange, { ...tromso, color: '#4ECDC4' }] });
+      await save('Arctic', [tromso]);
+
+      const { body: list } = await get('/api/location-sets');
+      expect(list.sets.map(set => [set.name, set.locations.length])).toEqual([['Arctic', 1], ['West coast', 2]]);
+      expect((await get(`/api/location-sets/${body.id}`)).body).toEqual(body);
+    });
+
+    it('renames a set and replaces its locations', async () => {
+      const { body: saved } = await save('Home', [orange]);
+
+      let { status, body } = await edit(`/api/location-sets/${saved.id}`, { method: 'PUT', body: { name: 'Home and away' } });
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ name: 'Home and away', locations: [orange] });
+
+      ({ body } = await edit(`/api/location-sets/${saved.id}`, { method: 'PUT', body: { locations: [tromso, orange] } }));
+      expect(body.locations.map(location => location.name)).toEqual(['Tromsø', 'Orange, CA']);
+    });
+
+    it('keeps names unique regardless of case', async () => {
+      const { body: saved } = await save('Team', [orange]);
+      const { body: other } = await save('Other', [orange]);
+
+      expect(await save('TEAM', [tromso])).toEqual({ status: 409, body: { error: 'A set called "TEAM" already exists' } });
+      expect((await edit(`/api/location-sets/${other.id}`, { method: 'PUT', body: { name: 'team' } })).status).toBe(409);
+      expect((await edit(`/api/location-sets/${saved.id}`, { method: 'PUT', body: { name: 'TEAM' } })).status).toBe(200);
+    });
+
+    it('deletes a set with its locations', async () => {
+      const { body: saved } = await save('Gone soon', [orange, tromso]);
+
+      expect((await edit(`/api/location-sets/${saved.id}`, { method: 'DELETE' })).status).toBe(204);
+      expect((await get('/api/location-sets')).body.sets).toEqual([]);
+      expect(db.prepare('SELECT COUNT(*) FROM location_set_members').pluck().get()).toBe(0);
+      expect((await edit(`/api/location-sets/${saved.id}`, { method: 'DELETE' })).status).toBe(404);
+    });
+
+    it('answers 404 for sets that do not exist', async () => {
+      expect((await get('/api/location-sets/999')).status).toBe(404);
+      expect((await get('/api/location-sets/abc')).status).toBe(404);
+      expect((await edit('/api/location-sets/999', { method: 'PUT', body: { name: 'x' } })).status).toBe(404);
+    });
+
+    it.each([
+      [{ name: '', locations: [orange] }, /name must be/],
+      [{ name: 'x'.repeat(81), locations: [orange] }, /name must be/],
+      [{ name: 'Empty', locations: [] }, /locations must be a list/],
+      [{ name: 'Too many', locations: Array(11).fill(orange) }, /locations must be a list/],
+      [{ name: 'Off the map', locations: [{ ...orange, lat: 95 }] }, /locations\[0\] needs lat/],
+      [{ name: 'As text', locations: [{ ...orange, lng: '-117.8531' }] }, /locations\[0\] needs lat/],
+      [{ name: 'No color', locations: [orange, { ...tromso, color: 'teal' }] }, /locations\[1\]\.color/],
+      [{ name: 'No name', locations: [{ ...orange, name: ' ' }] }, /locations\[0\]\.name/]
+    ])('rejects %j with 400', async (body, message) => {
+      const response = await edit('/api/location-sets', { method: 'POST', body });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(message);
+    });
+
+    it('keeps each location\'s elevation and horizon profile', async () => {
+      const denver = { name: 'Denver', lat: 39.7392, lng: -104.9903, color: '#FF6B6B', elevation: 1609 };
+      const valley = { ...tromso, horizon: [{ azimuth: 90, altitude: 8 }, { azimuth: 0, altitude: 2.5 }] };
+      const { status, body } = await save('Terrain', [denver, valley, orange]);
+
+      expect(status).toBe(201);
+      expect(body.locations).toEqual([
+        denver,
+        { ...valley, color: '#4ECDC4', horizon: [{ azimuth: 0, altitude: 2.5 }, { azimuth: 90, altitude: 8 }] },
+        orange
+      ]);
+    });
+
+    it.each([
+      [{ ...orange, elevation: 'high' }, /locations\[0\]\.elevation/],
+      [{ ...orange, elevation: 12000 }, /locations\[0\]\.elevation/],
+      [{ ...orange, horizon: '0:2,90:8' }, /locations\[0\]\.horizon/],
+      [{ ...orange, horizon: [{ azimuth: 400, altitude: 1 }] }, /locations\[0\]\.horizon: Point 1: azimuth/]
+    ])('rejects terrain %j with 400', async (location, message) => {
+      const response = await save('Bad terrain', [location]);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(message);
+    });
+
+    it('needs something to change', async () => {
+      const { body: saved } = await save('Unchanged', [orange]);
+      const { status, body } = await edit(`/api/location-sets/${saved.id}`, { method: 'PUT', body: { other: true } });
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/name, locations or both/);
+    });
+  });
+
+  describe('GET /api/elevation', () => {
+    it.each([
+      ['on a cell centre', 40.5, -105.5, 1000],
+      ['between cell centres', 40.5, -105, 1500],
+      ['across the antimeridian', 40.5, 254.5, 1000],
+      ['next to a missing cell', 40, -104.5, 2000],
+      ['below sea level', 39.5, -105.5, 0]
+    ])('looks up the ground %s', async (_, lat, lng, elevation) => {
+      const { status, body } = await get(`/api/elevation?lat=${lat}&lng=${lng}`);
+      expect(status).toBe(200);
+      expect(body).toEqual({ lat, lng: lng > 180 ? lng - 360 : lng, elevation, source: 'Test grid' });
+    });
+
+    it('answers 404 outside the model', async () => {
+      expect((await get('/api/elevation?lat=51.5&lng=0')).status).toBe(404);
+    });
+
+    it('rejects bad points', async () => {
+      expect((await get('/api/elevation?lat=95&lng=0')).status).toBe(400);
+      expect((await get('/api/elevation?lat=&lng=0')).status).toBe(400);
+    });
+
+    it('reads EHdr grids in either byte order', () => {
+      const filename = path.join(tempDir, 'elevation.bil');
+      writeBilGrid(filename, {
+        ncols: 3, nrows: 2, cellsize: 1, west: -105.5, north: 40.5, nodata: -9999,
+        heights: Int16Array.from([1000, 2000, 3000, -50, -9999, 1500])
+      });
+      const littleEndian = loadElevationModel(filename);
+      expect(littleEndian.source).toBe('elevation.bil');
+      expect(littleEndian.getElevation(40.5, -105)).toBe(1500);
+      expect(littleEndian.getElevation(40, -104.5)).toBe(2000);
+
+      const bytes = fs.readFileSync(filename).swap16();
+      fs.writeFileSync(filename, bytes);
+      fs.writeFileSync(path.join(tempDir, 'elevation.hdr'),
+        fs.readFileSync(path.join(tempDir, 'elevation.hdr'), 'utf8').replace('BYTEORDER I', 'BYTEORDER M'));
+      expect(loadElevationModel(filename).getElevation(40.5, -105)).toBe(1500);
+    });
+
+    it('looks up the ground from the bundled model', async () => {
+      const server = await listen(createApp({
+        db,
+        providers: [],
+        elevation: loadElevationModel(path.join(import.meta.dirname, '..', DEFAULT_DEM_PATH), { source: DEFAULT_DEM_SOURCE })
+      }));
+      try {
+        const lookUp = async (lat, lng) => {
+          const response = await fetch(`${urlOf(server)}/api/elevation?lat=${lat}&lng=${lng}`);
+          return { status: response.status, body: await response.json() };
+        };
+
+        // Denver is about 1610 m up, Lhasa about 3650 m
+        const denver = await lookUp(39.7392, -104.9903);
+        expect(denver.status).toBe(200);
+        expect(denver.body.source).toBe(DEFAULT_DEM_SOURCE);
+        expect(denver.body.elevation).toBeGreaterThan(1500);
+        expect(denver.body.elevation).toBeLessThan(1800);
+        expect((await lookUp(29.65, 91.1)).body.elevation).toBeGreaterThan(3500);
+        // Only cells with towns have data: not open ocean, nor Mauna Kea
+        expect((await lookUp(0, -140)).status).toBe(404);
+        expect((await lookUp(19.82, -155.47)).status).toBe(404);
+      } finally {
+        await close(server);
+      }
+    });
+
+    it('answers 503 without an elevation model', async () => {
+      const server = await listen(createApp({ db, providers: [] }));
+      try {
+        const response = await fetch(`${urlOf(server)}/api/elevation?lat=40&lng=-105`);
+        expect(response.status).toBe(503);
+        expect((await response.json()).error).toMatch(/No elevation model/);
+      } finally {
+        await close(server);
+      }
+    });
+  });
+
+  describe('GET /api/daylight', () => {
+    it('returns per-day records and statistics', async () => {
+      const { status, body } = await get('/api/daylight?lat=51.5074&lng=-0.1278&year=2024');
+
+      expect(status).toBe(200);
+      expect(body.location).toEqual({ lat: 51.5074, lng: -0.1278, timeZone: 'Europe/London' });
+      expect(body.days).toHaveLength(366);
+      expect(body.days[171].date).toBe('2024-06-20');
+      expect(body.days[171].sunrise).toMatch(/^2024-06-20T04:\d\d:\d\d\+01:00$/);
+      expect(body.summary.hemisphere).toBe('Northern');
+      expect(body.summary.maxDay).toMatch(/^2024-06-2\d$/);
+    });
+
+    it('takes an observer elevation and horizon profile', async () => {
+      const denver = 'lat=39.7392&lng=-104.9903&year=2025';
+      const { body: seaLevel } = await get(`/api/daylight?${denver}`);
+      const { status, body } = await get(`/api/daylight?${denver}&elevation=1609&horizon=0:4,90:12,180:4,270:8`);
+
+      expect(status).toBe(200);
+      expect(body.location).toMatchObject({ elevation: 1609, horizon: [{ azimuth: 0, altitude: 4 }, expect.anything(), expect.anything(), expect.anything()] });
+      expect(body.days[171].sunrise < seaLevel.days[171].sunrise).toBe(true);
+      expect(body.days[171].effectiveSunrise > body.days[171].sunrise).toBe(true);
+      expect(body.days[171].effectiveDaylightHours).toBeLessThan(body.days[171].daylightHours);
+      expect(seaLevel.days[171]).not.toHaveProperty('effectiveSunrise');
+
+      const { body: compared } = await get('/api/daylight/compare?loc=39.7392,-104.9903,1609&loc=39.7392,-104.9903&year=2025');
+      expect(compared.locations[0].summary.mean).toBeGreaterThan(compared.locations[1].summary.mean);
+    });
+
+    it('serves sunrise and sunset as a calendar to subscribe to', async () => {
+      const response = await fetch(`${urlOf(api)}/api/daylight.ics?lat=51.5074&lng=-0.1278&name=London&year=2024`);
+      const text = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^text\/calendar/);
+      expect(text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(text).toContain('X-WR-CALNAME:Sunrise & Sunset: London\r\n');
+      expect(text).toContain('TZID:Europe/London\r\n');
+      expect(text).toMatch(/DTSTART;TZID=Europe\/London:20240620T04\d{4}\r\nDURATION:PT1M\r\nSUMMARY:Sunrise \(London\)/);
+      expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(366 * 2);
+
+      // Without a year it covers this year and next
+      const rolling = await (await fetch(`${urlOf(api)}/api/daylight.ics?lat=51.5074&lng=-0.1278`)).text();
+      const thisYear = new Date().getFullYear();
+      expect(rolling).toContain('SUMMARY:Sunrise (51.5074\\, -0.1278)');
+      expect(rolling).toContain(`UID:sunrise-${thisYear}0101-`);
+      expect(rolling).toContain(`UID:sunrise-${thisYear + 1}1231-`);
+    });
+
+    it('compares several locations', async () => {
+      const { status, body } = await get('/api/daylight/compare?loc=51.5074,-0.1278&loc=-0.1807,-78.4678&year=2025');
+
+      expect(status).toBe(200);
+      expect(body.locations).toHaveLength(2);
+      expect(body.rankings.byRange).toEqual([0, 1]);
+      expect(body.rankings.byStability).toEqual([1, 0]);
+    });
+
+    it.each([
+      ['/api/daylight?lat=91&lng=0', /lat/],
+      ['/api/daylight?lat=abc&lng=0', /lat/],
+      ['/api/daylight?lat=0&lng=-181', /lng/],
+      ['/api/daylight?lat=0&lng=0&year=1899', /year/],
+      ['/api/daylight?lat=0&lng=0&year=2025.5', /year/],
+      ['/api/daylight/compare', /loc/],
+      ['/api/daylight/compare?loc=1', /loc/],
+      ['/api/daylight/compare?loc=1,2&loc=95,0', /lat/],
+      ['/api/daylight/compare?loc=1,2,3,4', /loc/],
+      ['/api/daylight?lat=0&lng=0&elevation=12000', /elevation/],
+      ['/api/daylight?lat=0&lng=0&elevation=', /elevation/],
+      ['/api/daylight?lat=0&lng=0&horizon=0:2,90', /horizon .*Point 2/],
+      ['/api/daylight.ics?lat=0', /lng/],
+      ['/api/daylight.ics?lat=0&lng=0&name=%20', /name/]
+    ])('rejects %s with 400', async (pathname, message) => {
+      const { status, body } = await get(pathname);
+      expect(status).toBe(400);
+      expect(body.error).toMatch(message);
+    });
+  });
+});
+
+describe('legacy geocode cache upgrade', () => {
+  it('splits one-row-per-query caches into places and queries', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daylight-test-'));
+    const filename = path.join(tempDir, 'legacy.db');
+
+    const legacy = new Database(filename);
+    legacy.exec(`
+      CREATE TABLE locations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT NOT NULL UNIQUE,
+        display_name TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lon REAL NOT NULL,
+        full_response TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE search_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT NOT NULL,
+        location_id INTEGER,
+        ip_address TEXT,
+        user_agent TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (location_id) REFERENCES locations(id)
+      );
+      CREATE INDEX idx_locations_query ON locations(query);
+    `);
+    const insert = legacy.prepare('INSERT INTO locations (query, display_name, lat, lon, full_response) VALUES (?, ?, ?, ?, ?)');
+    insert.run('london', london.display_name, 51.5074, -0.1278, JSON.stringify([{ ...london, place_id: 1, importance: 0.9 }, londonOntario]));
+    insert.run('london, uk', london.display_name, 51.5074, -0.1278, JSON.stringify([london]));
+    insert.run('tokyo', 'Tokyo, Japan', 35.6762, 139.6503, JSON.stringify([{ display_name: 'Tokyo, Japan', lat: '35.6762', lon: '139.6503' }]));
+    legacy.prepare('INSERT INTO search_logs (query, location_id) VALUES (?, ?)').run('Tokyo', 3);
+    legacy.prepare('INSERT INTO search_logs (query, location_id) VALUES (?, ?)').run('London, UK', 2);
+    legacy.prepare('INSERT INTO search_logs (query, location_id) VALUES (?, ?)').run('Atlantis', null);
+    legacy.close();
+
+    const db = openDatabase(filename);
+    const placeId = (key) => db.prepare('SELECT id FROM locations WHERE place_key = ?').get(key).id;
+
+    expect(db.prepare('SELECT place_key FROM locations ORDER BY id').all().map(row => row.place_key))
+      .toEqual(['relation/65606', 'relation/7485368', 'Tokyo, Japan@35.67620,139.65030']);
+    expect(db.prepare('SELECT query, result_count, expires_at <= CURRENT_TIMESTAMP AS expired FROM geocode_queries ORDER BY id').all()).toEqual([
+      { query: 'london', result_count: 2, expired: 1 },
+      { query: 'london, uk', result_count: 1, expired: 1 },
+      { query: 'tokyo', result_count: 1, expired: 1 }
+    ]);
+    expect(db.prepare('SELECT query, location_id, outcome FROM search_logs ORDER BY id').all()).toEqual([
+      { query: 'Tokyo', location_id: placeId('Tokyo, Japan@35.67620,139.65030'), outcome: null },
+      { query: 'London, UK', location_id: placeId('relation/65606'), outcome: null },
+      { query: 'Atlantis', location_id: null, outcome: null }
+    ]);
+    expect(db.pragma('foreign_key_check')).toEqual([]);
+    expect(db.pragma('foreign_keys', { simple: true })).toBe(1);
+
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
+
+describe('search outcome upgrade', () => {
+  it('adds outcome columns to existing search logs and daily rollups', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daylight-test-'));
+    const filename = path.join(tempDir, 'outcomes.db');
+
+    const old = new Database(filename);
+    old.exec(`
+      CREATE TABLE search_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT NOT NULL,
+        location_id INTEGER,
+        ip_address TEXT,
+        user_agent TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE search_log_daily (
+        day TEXT NOT NULL,
+        query TEXT NOT NULL,
+        searches INTEGER NOT NULL,
+        hits INTEGER NOT NULL,
+        PRIMARY KEY (day, query)
+      );
+      INSERT INTO search_logs (query) VALUES ('Tokyo');
+      INSERT INTO search_log_daily VALUES ('2024-01-01', 'Tokyo', 3, 2);
+    `);
+    old.close();
+
+    const db = openDatabase(filename);
+    expect(db.prepare('SELECT query, outcome, result_count, latency_ms FROM search_logs').all())
+      .toEqual([{ query: 'Tokyo', outcome: null, result_count: null, latency_ms: null }]);
+    expect(db.prepare('SELECT * FROM search_log_daily').all()).toEqual([
+      { day: '2024-01-01', query: 'Tokyo', searches: 3, found: 2, hits: 0, stale: 0, misses: 0, empty: 0, errors: 0 }
+    ]);
+    db.close();
+
+    // Opening again leaves the upgraded tables alone
+    const reopened = openDatabase(filename);
+    expect(reopened.prepare('SELECT found, hits FROM search_log_daily').get()).toEqual({ found: 2, hits: 0 });
+    expect(getSchemaVersion(reopened)).toBe(LATEST_VERSION);
+    reopened.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
+
+describe('migrations', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daylight-test-'));
+    return () => fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const schemaOf = (db) => db.prepare(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+    ORDER BY name
+  `).all();
+
+  it('creates the database where DATABASE_PATH points, in WAL mode, at the latest version', () => {
+    const db = openDatabase(path.join(tempDir, 'data', 'daylight.db'));
+    expect(db.pragma('journal_mode', { simple: true })).toBe('wal');
+    expect(db.prepare('SELECT version, name FROM schema_version ORDER BY version').all().map(row => row.version))
+      .toEqual(Array.from({ length: LATEST_VERSION }, (_, i) => i + 1));
+    expect(db.pragma('foreign_keys', { simple: true })).toBe(1);
+    db.close();
+  });
+
+  it('migrates every step down and back up to the same schema', () => {
+    const db = openDatabase(path.join(tempDir, 'daylight.db'));
+    const schemas = [schemaOf(db)];
+
+    for (let version = LATEST_VERSION - 1; version >= 0; version--) {
+      expect(migrate(db, version)).toEqual([expect.objectContaining({ version: version + 1, direction: 'down' })]);
+      expect(getSchemaVersion(db)).toBe(version);
+      schemas.unshift(schemaOf(db));
+    }
+    expect(schemas[0]).toEqual([]);
+
+    for (let version = 1; version <= LATEST_VERSION; version++) {
+      migrate(db, version);
+      expect(schemaOf(db)).toEqual(schemas[version]);
+    }
+    expect(migrate(db)).toEqual([]);
+    db.close();
+  });
+
+  it('keeps daily rollups when migrating search outcomes down', () => {
+    const db = openDatabase(path.join(tempDir, 'daylight.db'));
+    db.prepare("INSERT INTO search_log_daily (day, query, searches, found, hits) VALUES ('2024-01-01', 'Tokyo', 3, 2, 1)").run();
+    migrate(db, 1);
+    expect(db.prepare('SELECT * FROM search_log_daily').all()).toEqual([{ day: '2024-01-01', query: 'Tokyo', searches: 3, hits: 2 }]);
+    db.close();
+  });
+
+  it('refuses a database migrated by newer code', () => {
+    const filename = path.join(tempDir, 'daylight.db');
+    const db = openDatabase(filename);
+    db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(LATEST_VERSION + 1, 'from the future');
+    db.close();
+
+    expect(() => openDatabase(filename)).toThrow(`is at schema version ${LATEST_VERSION + 1}`);
+    expect(() => openDatabase(filename, { migrate: false })).toThrow(/only knows up to/);
+  });
+
+  it('rejects targets it has no migrations for', () => {
+    const db = openDatabase(':memory:');
+    expect(() => migrate(db, LATEST_VERSION + 1)).toThrow(/between 0 and/);
+    expect(() => migrate(db, -1)).toThrow(/between 0 and/);
+    db.close();
+  });
+});
+
+describe('parseApiKeys', () => {
+  const hash = hashApiKey('secret');
+
+  it('reads name:role:hash entries', () => {
+    expect(parseApiKeys(` dashboard:analytics:${hash}, ops:admin:${hash.toUpperCase()} `)).toEqual([
+      { name: 'dashboard', role: 'analytics', hash },
+      { name: 'ops', role: 'admin', hash }
+    ]);
+    expect(parseApiKeys(undefined)).toEqual([]);
+  });
+
+  it('rejects malformed entries', () => {
+    expect(() => parseApiKeys(`ops:root:${hash}`)).toThrow(/Invalid API_KEYS entry/);
+    expect(() => parseApiKeys('ops:admin:secret')).toThrow(/Invalid API_KEYS entry/);
+    expect(() => parseApiKeys(`:admin:${hash}`)).toThrow(/Invalid API_KEYS entry/);
+  });
+});
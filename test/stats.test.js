@@ -0,0 +1,82 @@
+// test/stats.test.js
+import { describe, expect, it } from 'vitest';
+import SunCalc from 'suncalc';
+import { DAY_TYPES } from '../src/daylight.js';
+import { getDaylightData, getDaylightStats, getDaysInYear } from '../src/daylightData.js';
+
+// Day records with the given daylight hours and no twilight
+const makeData = (year, getHours) => Array.from({ length: getDaysInYear(year) }, (_, day) => {
+  const daylightHours = getHours(day);
+  return {
+    day,
+    date: new Date(year, 0, 1 + day),
+    daylightHours,
+    dayType: daylightHours >= 24 ? DAY_TYPES.MIDNIGHT_SUN : daylightHours <= 0 ? DAY_TYPES.POLAR_NIGHT : DAY_TYPES.NORMAL,
+    twilight: { civil: 0, nautical: 0, astronomical: 0 }
+  };
+});
+
+describe('getDaylightStats', () => {
+  it('gives zero variance and full stability for constant daylight', () => {
+    const stats = getDaylightStats(makeData(2025, () => 12), 2025);
+
+    expect(stats.mean).toBe(12);
+    expect(stats.min).toBe(12);
+    expect(stats.max).toBe(12);
+    expect(stats.range).toBe(0);
+    expect(stats.variance).toBe(0);
+    expect(stats.stdDev).toBe(0);
+    expect(stats.stability).toBe(100);
+    expect(stats.quarters).toEqual([12, 12, 12, 12]);
+  });
+
+  it('computes mean, variance and standard deviation', () => {
+    // Alternating 10h and 14h days, starting and ending on 10h
+    const stats = getDaylightStats(makeData(2025, day => (day % 2 === 0 ? 10 : 14)), 2025);
+    const mean = (183 * 10 + 182 * 14) / 365;
+    const variance = (183 * (10 - mean) ** 2 + 182 * (14 - mean) ** 2) / 365;
+
+    expect(stats.mean).toBeCloseTo(mean, 10);
+    expect(stats.variance).toBeCloseTo(variance, 10);
+    expect(stats.stdDev).toBeCloseTo(Math.sqrt(variance), 10);
+    expect(stats.range).toBe(4);
+    expect(stats.stability).toBeCloseTo(100 - (variance / 144) * 100, 10);
+    expect(stats.minDay.day).toBe(0);
+    expect(stats.maxDay.day).toBe(1);
+  });
+
+  it('splits quarters on calendar months, including leap years', () => {
+    // Each day's value is its quarter number
+    const quarterOf = (year, day) => Math.floor(new Date(year, 0, 1 + day).getMonth() / 3) + 1;
+
+    expect(getDaylightStats(makeData(2025, day => quarterOf(2025, day)), 2025).quarters).toEqual([1, 2, 3, 4]);
+    expect(getDaylightStats(makeData(2024, day => quarterOf(2024, day)), 2024).quarters).toEqual([1, 2, 3, 4]);
+  });
+
+  it('detects the hemisphere from when daylight peaks', () => {
+    const orange = getDaylightStats(getDaylightData(SunCalc, { lat: 33.7879, lng: -117.8531 }, 2025), 2025);
+    const sydney = getDaylightStats(getDaylightData(SunCalc, { lat: -33.8688, lng: 151.2093 }, 2025), 2025);
+
+    expect(orange.hemisphere).toBe('Northern');
+    expect(sydney.hemisphere).toBe('Southern');
+    expect(orange.quarters[1]).toBeGreaterThan(orange.quarters[3]);
+    expect(sydney.quarters[3]).toBeGreaterThan(sydney.quarters[1]);
+  });
+
+  it('counts polar days and nights', () => {
+    const stats = getDaylightStats(makeData(2025, day => (day < 10 ? 0 : day > 355 ? 24 : 12)), 2025);
+
+    expect(stats.polarNights).toBe(10);
+    expect(stats.polarDays).toBe(9);
+    expect(stats.stability).toBeGreaterThanOrEqual(0);
+  });
+
+  it('reports longest and shortest days at the solstices', () => {
+    const stats = getDaylightStats(getDaylightData(SunCalc, { lat: 51.5074, lng: -0.1278 }, 2025), 2025);
+
+    expect(stats.maxDay.date.getMonth()).toBe(5); // June
+    expect(Math.abs(stats.maxDay.date.getDate() - 21)).toBeLessThanOrEqual(1);
+    expect(stats.minDay.date.getMonth()).toBe(11); // December
+    expect(Math.abs(stats.minDay.date.getDate() - 21)).toBeLessThanOrEqual(1);
+  });
+});